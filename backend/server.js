@@ -9,6 +9,25 @@
  * - RESTful API design
  * - MongoDB integration
  * - JWT authentication
+ * - Role-based access control
+ * - File attachments with pluggable storage
+ * - Real-time updates via Server-Sent Events
+ * - Signed outgoing webhooks with retries
+ * - Append-only activity log
+ * - Soft delete with trash and restore
+ * - Configurable per-project status workflows
+ * - Time tracking with timers and timesheets
+ * - Recurring tasks and due date reminders
+ * - In-app notifications, @mentions and task watchers
+ * - Queued email notifications and daily digests
+ * - Password reset, email verification and account lockout
+ * - TOTP two-factor authentication with backup codes
+ * - Scoped personal API keys with per-key rate limits
+ * - Full-text search with ranking, snippets and facets
+ * - Saved task views shared with project teams
+ * - Bulk task updates with per-task results
+ * - Streaming CSV/JSON export and validated imports
+ * - Trello and Jira imports as background jobs
  * - CORS handling
  * - Error handling middleware
  * - Input validation
@@ -23,10 +42,182 @@ const bcrypt = require('bcryptjs');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const multer = require('multer');
+const nodemailer = require('nodemailer');
+const { XMLParser } = require('fast-xml-parser');
+const { EventEmitter } = require('events');
 
 const app = express();
+// Nested query strings (dueDate[lt]=...) carry the task filter operators; must be set
+// before the first middleware is added
+app.set('query parser', 'extended');
 const PORT = process.env.PORT || 5000;
 const JWT_SECRET = process.env.JWT_SECRET || 'ibm_fullstack_capstone_secret_2025';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// How long a rotated-out refresh token still counts as a concurrent refresh (another tab) rather than reuse
+const REFRESH_TOKEN_REUSE_GRACE_MS = 30 * 1000;
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const UPLOAD_PATH = path.resolve(process.env.UPLOAD_PATH || './uploads');
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024; // 10MB
+const MAX_FILES_PER_UPLOAD = 5;
+const TASK_POSITION_STEP = 1024;
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const DEFAULT_TASK_PAGE_SIZE = 10;
+const MAX_TASK_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 100; // page-numbered listings (activity, notifications, trash, deliveries)
+const MAX_BULK_TASKS = 500; // tasks one bulk request may touch, by ids or by filter
+const IMPORT_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_IMPORT_ROWS = 5000;
+// Trello and Jira exports are imported by a background job that keeps the file until it has run,
+// so it has to fit in one MongoDB document
+const EXTERNAL_IMPORT_FORMATS = { trello: ['json'], jira: ['csv', 'xml'] };
+const MAX_EXTERNAL_IMPORT_SIZE = 15 * 1024 * 1024; // 15MB
+const IMPORT_JOB_POLL_INTERVAL_MS = parseInt(process.env.IMPORT_JOB_POLL_INTERVAL_MS, 10) || 30 * 1000;
+const IMPORT_JOB_LOCK_MS = 5 * 60 * 1000; // renewed with every progress update
+const IMPORT_JOB_PROGRESS_EVERY = 25; // tasks between progress updates
+const MAX_IMPORT_JOB_ERRORS = 200;
+const STATUS_CATEGORIES = ['todo', 'in-progress', 'done'];
+const DEFAULT_WORKFLOW = {
+    initialStatus: 'todo',
+    statuses: [
+        { key: 'todo', label: 'To Do', category: 'todo' },
+        { key: 'in-progress', label: 'In Progress', category: 'in-progress' },
+        { key: 'review', label: 'Review', category: 'in-progress' },
+        { key: 'completed', label: 'Completed', category: 'done' }
+    ],
+    // No rules means any status may move to any other
+    transitions: []
+};
+// Fallback for projects without an hourlyRate; with neither, health leaves the budget out
+const PROJECT_HOURLY_RATE = parseFloat(process.env.PROJECT_HOURLY_RATE) || null;
+const PROJECT_AT_RISK_MARGIN = 15; // percentage points of progress behind the schedule
+const WORKING_HOURS_PER_DAY = 8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EVENT_STREAM_HEARTBEAT_MS = 25 * 1000;
+const EVENT_STREAM_TICKET_TTL_MS = 30 * 1000;
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+// Hosts webhooks may reach although they resolve to private addresses, e.g. WEBHOOK_ALLOWED_HOSTS=localhost
+// for a local receiver in development and tests
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_TIME_ENTRY_MINUTES = 24 * 60;
+const MAX_TIMESHEET_RANGE_DAYS = 366;
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const REMINDER_INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS, 10) || 60 * 1000;
+const REMINDER_DUE_SOON_HOURS = parseInt(process.env.REMINDER_DUE_SOON_HOURS, 10) || 24;
+const REMINDER_OVERDUE_LOOKBACK_DAYS = 7; // older overdue tasks are not announced (e.g. on first start)
+const REMINDER_BATCH_SIZE = 100;
+const NOTIFICATION_TYPES = ['assigned', 'comment', 'mention', 'status_changed', 'due_soon', 'overdue'];
+const NOTIFICATION_RETENTION_DAYS = 90;
+const EMAIL_DELIVERY_MODES = ['immediate', 'digest', 'off'];
+const DEFAULT_EMAIL_PREFERENCES = {
+    assigned: 'immediate',
+    comment: 'digest',
+    mention: 'immediate',
+    status_changed: 'off',
+    due_soon: 'digest',
+    overdue: 'immediate'
+};
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'Task Platform <no-reply@localhost>';
+const MAIL_OUTBOX_PATH = path.resolve(process.env.MAIL_OUTBOX_PATH || './outbox');
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const EMAIL_POLL_INTERVAL_MS = parseInt(process.env.EMAIL_POLL_INTERVAL_MS, 10) || 10 * 1000;
+const EMAIL_RETRY_BASE_MS = 60 * 1000;
+const EMAIL_MAX_ATTEMPTS = 5;
+const EMAIL_LOCK_MS = 2 * 60 * 1000;
+const DIGEST_HOUR_UTC = parseInt(process.env.DIGEST_HOUR_UTC, 10) || 8;
+const DIGEST_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000;
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL === 'true';
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOGIN_LOCKOUT_BASE_MS = 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+// Password rules; booleans are switched on with e.g. PASSWORD_REQUIRE_SYMBOL=true
+const PASSWORD_POLICY = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    maxLength: 72, // bcrypt ignores anything beyond 72 bytes
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    disallowUserInfo: process.env.PASSWORD_DISALLOW_USER_INFO !== 'false'
+};
+// TOTP (RFC 6238) with the parameters every authenticator app defaults to
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // steps accepted either side of now, for clock drift
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'IBM Capstone';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const BACKUP_CODE_COUNT = 10;
+// Initial value of the admin-editable setting, e.g. TWO_FACTOR_REQUIRED_ROLES=admin,manager
+const DEFAULT_TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',').map(role => role.trim()).filter(Boolean);
+const API_KEY_PREFIX = 'tmk_';
+// A write scope also grants read on the same resource
+const API_KEY_SCOPES = [
+    'tasks:read', 'tasks:write',
+    'projects:read', 'projects:write',
+    'time:read', 'time:write',
+    'notifications:read', 'notifications:write',
+    'users:read',
+    'analytics:read',
+    'events:read',
+    'webhooks:read', 'webhooks:write'
+];
+const API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 1000; // per key per 15 minutes
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000; // lastUsedAt resolution, saves a write on every request
+const MAX_API_KEYS_PER_USER = 20;
+const SEARCH_TYPES = ['all', 'tasks', 'projects'];
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const MAX_SEARCH_RESULTS = 50;
+const SEARCH_SNIPPET_RADIUS = 60; // characters of context either side of the first hit
+const VIEW_VISIBILITIES = ['private', 'project'];
+const MAX_VIEW_FILTERS_LENGTH = 4000; // serialized size of a saved view's filters
+const DASHBOARD_WIDGET_DISPLAYS = ['count', 'list', 'by-status', 'by-priority'];
+const MAX_DASHBOARD_WIDGETS = 12;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_LOCK_MS = 60 * 1000;
+const WEBHOOK_EVENTS = [
+    'task.created',
+    'task.updated',
+    'task.status_changed',
+    'task.deleted',
+    'task.restored',
+    'task.comment_added',
+    'task.comment_updated',
+    'task.comment_deleted',
+    'task.due_soon',
+    'task.overdue',
+    'project.created',
+    'project.updated',
+    'project.deleted',
+    'project.restored'
+];
+const ALLOWED_FILE_TYPES = (process.env.ALLOWED_FILE_TYPES ||
+    'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/csv,application/zip,' +
+    'application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document,' +
+    'application/vnd.ms-excel,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean);
 
 // Security middleware
 app.use(helmet());
@@ -38,10 +229,25 @@ app.use(cors({
 // Rate limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    max: 100, // limit each IP to 100 requests per windowMs
+    // API keys get their own per-key budget in authenticateToken, which only runs on the routes
+    // keys may use; anywhere else (sign-in, registration, refresh) a key header changes nothing
+    skip: req => !!apiKeyFromRequest(req) && API_KEY_ROUTES.some(route => route.pattern.test(req.path))
 });
 app.use(limiter);
 
+const apiKeyLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: API_KEY_RATE_LIMIT,
+    keyGenerator: req => `api-key:${req.user.apiKeyId}`
+});
+
+// Requests with an unknown or expired key are counted per IP instead, so guessing is not free
+const invalidApiKeyLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 100
+});
+
 // Logging
 app.use(morgan('combined'));
 
@@ -56,7 +262,12 @@ mongoose.connect(MONGODB_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+    console.log('✅ Connected to MongoDB');
+    backfillTaskProjects();
+    backfillStatusCategories();
+    backfillEmailVerification();
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // User Schema
@@ -69,46 +280,170 @@ const userSchema = new mongoose.Schema({
     role: { type: String, enum: ['user', 'admin', 'manager'], default: 'user' },
     avatar: { type: String, default: '' },
     isActive: { type: Boolean, default: true },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
+    // Consecutive failed logins; past LOGIN_LOCKOUT_THRESHOLD each failure locks the account for longer
+    failedLoginAttempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
     lastLogin: { type: Date },
+    // TOTP secrets are encrypted at rest and, like the backup code hashes, never selected by default
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        enabledAt: { type: Date },
+        secret: { type: String, select: false },
+        pendingSecret: { type: String, select: false }, // awaiting the first code during enrolment
+        lastUsedStep: { type: Number, select: false }, // stops a code being replayed inside its window
+        backupCodes: {
+            type: [{ _id: false, hash: String, usedAt: Date }],
+            select: false
+        }
+    },
+    // Email delivery per notification type
+    emailPreferences: Object.fromEntries(Object.entries(DEFAULT_EMAIL_PREFERENCES).map(([type, mode]) => (
+        [type, { type: String, enum: EMAIL_DELIVERY_MODES, default: mode }]
+    ))),
+    lastDigestAt: { type: Date },
+    // Saved views shown on the dashboard, in display order
+    dashboardWidgets: [{
+        _id: false,
+        view: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedView', required: true },
+        display: { type: String, enum: DASHBOARD_WIDGET_DISPLAYS, default: 'count' }
+    }],
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 });
 
+// Soft delete plugin
+// Adds deletedAt/deletedBy and hides trashed documents from every query and aggregate.
+// Pass { withDeleted: true } as a query option to see them (trash listing, restore, purge).
+const softDeletePlugin = (schema) => {
+    schema.add({
+        deletedAt: { type: Date, default: null, index: true },
+        deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    });
+
+    const excludeDeleted = function () {
+        if (this.getOptions().withDeleted) return;
+        if (this.getFilter().deletedAt === undefined) {
+            this.where({ deletedAt: null });
+        }
+    };
+
+    ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany']
+        .forEach(operation => schema.pre(operation, excludeDeleted));
+
+    schema.pre('aggregate', function () {
+        const pipeline = this.pipeline();
+        // Merge into a leading $match so stages that must come first ($text) stay first
+        if (pipeline[0] && pipeline[0].$match) {
+            if (pipeline[0].$match.deletedAt === undefined) {
+                pipeline[0].$match.deletedAt = null;
+            }
+        } else {
+            pipeline.unshift({ $match: { deletedAt: null } });
+        }
+    });
+};
+
+// Recurrence rule (RRULE subset); weekdays use Date#getUTCDay numbering, 0 = Sunday
+const recurrenceSchema = new mongoose.Schema({
+    freq: { type: String, enum: RECURRENCE_FREQUENCIES, required: true },
+    interval: { type: Number, min: 1, default: 1 },
+    byWeekday: [{ type: Number, min: 0, max: 6 }],
+    byMonthDay: { type: Number, min: 1, max: 31 },
+    count: { type: Number, min: 1 }, // total occurrences in the series
+    until: { type: Date }
+}, { _id: false });
+
 // Task Schema
 const taskSchema = new mongoose.Schema({
     title: { type: String, required: true, trim: true },
     description: { type: String, required: true },
-    status: { 
-        type: String, 
-        enum: ['todo', 'in-progress', 'review', 'completed'], 
-        default: 'todo' 
-    },
+    // Valid values come from the project's workflow; statusCategory mirrors the status's category
+    status: { type: String, required: true, trim: true, default: DEFAULT_WORKFLOW.initialStatus },
+    statusCategory: { type: String, enum: STATUS_CATEGORIES, default: 'todo', index: true },
     priority: { 
         type: String, 
-        enum: ['low', 'medium', 'high', 'urgent'], 
+        enum: TASK_PRIORITIES, 
         default: 'medium' 
     },
     assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    project: { type: String, required: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true, index: true },
     tags: [{ type: String, trim: true }],
     dueDate: { type: Date },
     estimatedHours: { type: Number, min: 0 },
     actualHours: { type: Number, min: 0, default: 0 },
+    // Sort order within a status column; fractional so a move only rewrites the moved task
+    position: { type: Number, default: 0 },
+    // Set when the task's project was deleted with the "archive" cascade
+    archivedAt: { type: Date },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', index: true },
+    blockedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task', index: true }],
+    // Notified of status changes, comments and reminders; creator and assignees join automatically
+    watchers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Completing an occurrence of a recurring task creates the next one in the same series
+    recurrence: { type: recurrenceSchema, default: null },
+    recurrenceSeries: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' }, // first task; unset on it
+    occurrence: { type: Number, min: 1, default: 1 },
+    // Due date each reminder was last sent for, so moving the due date re-arms it
+    reminders: {
+        dueSoonFor: { type: Date },
+        overdueFor: { type: Date }
+    },
     attachments: [{
         filename: String,
         url: String,
+        storageKey: String,
+        mimeType: String,
+        size: Number,
+        uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
         uploadedAt: { type: Date, default: Date.now }
     }],
     comments: [{
         user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-        text: { type: String, required: true },
-        createdAt: { type: Date, default: Date.now }
+        text: { type: String, required: true, trim: true },
+        externalId: { type: String }, // the comment's id in the system it was imported from
+        createdAt: { type: Date, default: Date.now },
+        updatedAt: { type: Date }
     }],
+    // Card or issue the task was imported from, so importing the same export again skips it
+    externalRef: {
+        source: { type: String },
+        id: { type: String }
+    },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 });
 
+taskSchema.plugin(softDeletePlugin);
+taskSchema.index({ status: 1, position: 1 });
+taskSchema.index({ statusCategory: 1, dueDate: 1 });
+// Guards against creating the same occurrence twice (double completion, concurrent requests)
+taskSchema.index(
+    { recurrenceSeries: 1, occurrence: 1 },
+    { unique: true, partialFilterExpression: { recurrenceSeries: { $exists: true } } }
+);
+// GET /api/tasks: each access branch (project, assignee, creator) can walk an index in sort
+// order, plus the unfiltered admin listing and tag filters
+taskSchema.index({ project: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ project: 1, updatedAt: -1, _id: -1 });
+taskSchema.index({ project: 1, dueDate: 1, _id: 1 });
+taskSchema.index({ assignedTo: 1, dueDate: 1, _id: 1 });
+taskSchema.index({ createdBy: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ createdAt: -1, _id: -1 });
+taskSchema.index({ tags: 1 });
+// A card or issue is imported once, whichever project the task has moved to since
+taskSchema.index(
+    { 'externalRef.source': 1, 'externalRef.id': 1 },
+    { unique: true, partialFilterExpression: { 'externalRef.id': { $exists: true } } }
+);
+// Full-text search; weights rank title hits above tags, descriptions and comments
+taskSchema.index(
+    { title: 'text', tags: 'text', description: 'text', 'comments.text': 'text' },
+    { name: 'task_search', weights: { title: 10, tags: 5, description: 2, 'comments.text': 1 } }
+);
+
 // Project Schema
 const projectSchema = new mongoose.Schema({
     name: { type: String, required: true, trim: true },
@@ -123,331 +458,7750 @@ const projectSchema = new mongoose.Schema({
     startDate: { type: Date, required: true },
     endDate: { type: Date },
     budget: { type: Number, min: 0 },
+    // What an hour of work costs, for comparing projected cost with the budget
+    hourlyRate: { type: Number, min: 0 },
+    workflow: {
+        initialStatus: { type: String, default: DEFAULT_WORKFLOW.initialStatus },
+        statuses: {
+            type: [{
+                _id: false,
+                key: { type: String, required: true, trim: true },
+                label: { type: String, required: true, trim: true },
+                category: { type: String, enum: STATUS_CATEGORIES, required: true }
+            }],
+            default: () => DEFAULT_WORKFLOW.statuses
+        },
+        transitions: [{
+            _id: false,
+            from: { type: String, required: true }, // a status key or '*'
+            to: { type: String, required: true },
+            roles: [{ type: String }] // empty: any role
+        }]
+    },
+    // Derived from the project's tasks by refreshProjectStats, never set by clients
     progress: { type: Number, min: 0, max: 100, default: 0 },
+    progressWeighting: { type: String, enum: ['tasks', 'hours'], default: 'tasks' },
+    stats: {
+        totalTasks: { type: Number, default: 0 },
+        completedTasks: { type: Number, default: 0 },
+        estimatedHours: { type: Number, default: 0 },
+        remainingHours: { type: Number, default: 0 },
+        actualHours: { type: Number, default: 0 },
+        calculatedAt: { type: Date }
+    },
+    archivedAt: { type: Date },
+    // Board or Jira project the project was imported from
+    externalRef: {
+        source: { type: String },
+        id: { type: String }
+    },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
+}, {
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
 });
 
-// Models
-const User = mongoose.model('User', userSchema);
-const Task = mongoose.model('Task', taskSchema);
-const Project = mongoose.model('Project', projectSchema);
+// Health depends on today's date, so it is evaluated on read rather than stored
+const computeProjectHealth = (project, now = new Date()) => {
+    const reasons = [];
+    const stats = project.stats || {};
+    const remainingHours = stats.remainingHours || 0;
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    if (['completed', 'cancelled'].includes(project.status) || project.progress >= 100) {
+        return { status: 'on-track', reasons };
+    }
 
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
+    if (project.endDate && now > project.endDate) {
+        return { status: 'late', reasons: ['End date has passed with work remaining'] };
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
+    if (project.startDate && project.endDate && project.endDate > project.startDate) {
+        const elapsed = (now - project.startDate) / (project.endDate - project.startDate);
+        const expectedProgress = Math.min(Math.max(elapsed, 0), 1) * 100;
+        if (expectedProgress - project.progress > PROJECT_AT_RISK_MARGIN) {
+            reasons.push(`Progress is ${project.progress}% with ${Math.round(expectedProgress)}% of the schedule elapsed`);
         }
-        req.user = user;
-        next();
-    });
-};
 
-// Error handling middleware
-const errorHandler = (err, req, res, next) => {
-    console.error(err.stack);
-    
-    if (err.name === 'ValidationError') {
-        return res.status(400).json({ 
-            error: 'Validation Error', 
-            details: Object.values(err.errors).map(e => e.message) 
-        });
+        const headcount = (project.team || []).length + 1;
+        const workingDaysLeft = Math.max(project.endDate - now, 0) / DAY_MS * 5 / 7;
+        const capacityHours = workingDaysLeft * WORKING_HOURS_PER_DAY * headcount;
+        if (remainingHours > capacityHours) {
+            reasons.push(`${remainingHours}h of estimated work left but only ~${Math.round(capacityHours)}h of team capacity before the end date`);
+        }
     }
-    
-    if (err.code === 11000) {
-        return res.status(400).json({ 
-            error: 'Duplicate entry', 
-            field: Object.keys(err.keyPattern)[0] 
-        });
+
+    const hourlyRate = project.hourlyRate || PROJECT_HOURLY_RATE;
+    if (project.budget && hourlyRate) {
+        const projectedCost = ((stats.actualHours || 0) + remainingHours) * hourlyRate;
+        if (projectedCost > project.budget) {
+            reasons.push(`Projected cost ${Math.round(projectedCost)} exceeds the budget of ${project.budget}`);
+        }
     }
-    
-    res.status(500).json({ error: 'Internal server error' });
+
+    return { status: reasons.length > 0 ? 'at-risk' : 'on-track', reasons };
 };
 
-// Routes
+projectSchema.plugin(softDeletePlugin);
+projectSchema.index(
+    { name: 'text', description: 'text' },
+    { name: 'project_search', weights: { name: 10, description: 2 } }
+);
+projectSchema.index(
+    { 'externalRef.source': 1, 'externalRef.id': 1 },
+    { unique: true, partialFilterExpression: { 'externalRef.id': { $exists: true } } }
+);
 
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        timestamp: new Date().toISOString(),
-        service: 'IBM Full-Stack JavaScript Capstone API',
-        version: '1.0.0'
-    });
+projectSchema.virtual('health').get(function () {
+    return computeProjectHealth(this);
 });
 
-// Authentication routes
-app.post('/api/auth/register', async (req, res) => {
-    try {
-        const { username, email, password, firstName, lastName } = req.body;
-        
-        // Validation
-        if (!username || !email || !password || !firstName || !lastName) {
-            return res.status(400).json({ error: 'All fields are required' });
-        }
-        
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters' });
-        }
-        
-        // Check if user exists
-        const existingUser = await User.findOne({ 
-            $or: [{ email }, { username }] 
-        });
-        
-        if (existingUser) {
-            return res.status(400).json({ error: 'User already exists' });
-        }
-        
-        // Hash password
-        const hashedPassword = await bcrypt.hash(password, 12);
-        
-        // Create user
-        const user = new User({
-            username,
-            email,
-            password: hashedPassword,
-            firstName,
-            lastName
-        });
-        
-        await user.save();
-        
-        // Generate token
-        const token = jwt.sign(
-            { userId: user._id, username: user.username },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
-        
-        res.status(201).json({
-            message: 'User created successfully',
-            token,
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                role: user.role
-            }
-        });
-        
-    } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({ error: 'Registration failed' });
-    }
+// Session Schema (one per signed-in device, holds the hashed refresh token)
+const sessionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    previousTokenHash: { type: String, index: true },
+    rotatedAt: { type: Date },
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    lastUsedAt: { type: Date, default: Date.now },
+    createdAt: { type: Date, default: Date.now }
 });
 
-app.post('/api/auth/login', async (req, res) => {
-    try {
-        const { username, password } = req.body;
-        
-        if (!username || !password) {
-            return res.status(400).json({ error: 'Username and password required' });
-        }
-        
-        // Find user
-        const user = await User.findOne({ 
-            $or: [{ username }, { email: username }] 
-        });
-        
-        if (!user || !user.isActive) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-        
-        // Check password
-        const isValidPassword = await bcrypt.compare(password, user.password);
-        
-        if (!isValidPassword) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-        
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
-        
-        // Generate token
-        const token = jwt.sign(
-            { userId: user._id, username: user.username },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
-        
-        res.json({
-            message: 'Login successful',
-            token,
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                role: user.role,
-                lastLogin: user.lastLogin
-            }
-        });
-        
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Login failed' });
+// Let MongoDB purge sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// User Token Schema (single-use password reset, email verification and event stream tokens, stored hashed)
+const userTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    purpose: { type: String, enum: ['password_reset', 'email_verification', 'event_stream'], required: true },
+    // Event stream tickets act for the session that asked for them
+    session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session' },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// API Key Schema (personal keys for scripts and integrations; only a hash of the key is kept)
+const apiKeySchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    prefix: { type: String, required: true }, // start of the key, to tell keys apart in lists
+    keyHash: { type: String, required: true, unique: true },
+    scopes: [{ type: String, enum: API_KEY_SCOPES }],
+    // Empty means every project the owner can access
+    projects: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Project' }],
+    expiresAt: { type: Date },
+    lastUsedAt: { type: Date },
+    lastUsedIp: { type: String },
+    revokedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Setting Schema (deployment-wide options admins can change at runtime, one document per key)
+const settingSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed, default: {} },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Saved View Schema (named GET /api/tasks filters and sort; private, or shared with a project's team)
+const savedViewSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    visibility: { type: String, enum: VIEW_VISIBILITIES, default: 'private' },
+    // Required when shared; the view then only ever lists this project's tasks
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', index: true },
+    // Filter query params as parsed by qs, e.g. { priority: { in: 'high,urgent' }, assignedTo: 'me' }
+    filters: { type: mongoose.Schema.Types.Mixed, default: {} },
+    sort: { type: String, default: '-createdAt' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+// Webhook Schema (project-scoped, or global when project is empty)
+const webhookSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    url: { type: String, required: true, trim: true },
+    secret: { type: String, required: true, select: false },
+    events: [{ type: String, enum: WEBHOOK_EVENTS }],
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    active: { type: Boolean, default: true },
+    lastDeliveryAt: { type: Date },
+    lastDeliveryStatus: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Webhook Delivery Schema (doubles as the retry queue and the per-webhook delivery log)
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true, index: true },
+    event: { type: String, required: true },
+    eventId: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: ['pending', 'success', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date },
+    lastAttemptAt: { type: Date },
+    responseStatus: { type: Number },
+    responseBody: { type: String },
+    durationMs: { type: Number },
+    error: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Activity Log Schema (append-only audit trail of every mutation)
+const activityLogSchema = new mongoose.Schema({
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    entityType: { type: String, enum: ['task', 'project', 'user'], required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    action: { type: String, required: true },
+    changes: [{
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed }
+    }],
+    eventId: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+activityLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+activityLogSchema.index({ project: 1, createdAt: -1 });
+activityLogSchema.index({ actor: 1, createdAt: -1 });
+
+activityLogSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Activity log entries are append-only'));
     }
+    next();
 });
 
-// User routes
-app.get('/api/users/profile', authenticateToken, async (req, res) => {
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+    activityLogSchema.pre(operation, function (next) {
+        next(new Error('Activity log entries are append-only'));
+    });
+});
+
+// Time Entry Schema (one per stretch of work; a running timer has no endedAt yet)
+const timeEntrySchema = new mongoose.Schema({
+    task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, default: null },
+    minutes: { type: Number, min: 0, default: 0 },
+    note: { type: String, trim: true, maxlength: 500 },
+    source: { type: String, enum: ['timer', 'manual'], default: 'manual' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+timeEntrySchema.index({ task: 1, startedAt: -1 });
+timeEntrySchema.index({ user: 1, startedAt: -1 });
+timeEntrySchema.index({ project: 1, startedAt: -1 });
+// One running timer per user, even when two starts race
+timeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { endedAt: { $type: 'null' } } });
+
+// Notification Schema (per-recipient inbox entry)
+const notificationSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    message: { type: String, required: true },
+    task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    data: { type: mongoose.Schema.Types.Mixed },
+    readAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Email Message Schema (outgoing mail queue; rendered when queued, sent by the mail worker)
+const emailMessageSchema = new mongoose.Schema({
+    to: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    template: { type: String, required: true },
+    subject: { type: String, required: true },
+    text: { type: String, required: true },
+    html: { type: String, required: true },
+    status: { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date },
+    lastAttemptAt: { type: Date },
+    sentAt: { type: Date },
+    error: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Import Job Schema (a Trello or Jira export being imported; also the queue the import worker claims from)
+const importJobSchema = new mongoose.Schema({
+    source: { type: String, enum: Object.keys(EXTERNAL_IMPORT_FORMATS), required: true },
+    format: { type: String, required: true },
+    fileName: { type: String, default: '' },
+    data: { type: String, select: false }, // the export itself, dropped once the job has finished
+    // Import into this project instead of creating one per board or Jira project
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    statusMap: { type: mongoose.Schema.Types.Mixed, default: {} }, // source status name -> status key
+    userMap: { type: mongoose.Schema.Types.Mixed, default: {} }, // source person -> username or email
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    status: { type: String, enum: ['queued', 'running', 'completed', 'failed'], default: 'queued' },
+    progress: {
+        total: { type: Number, default: 0 },
+        processed: { type: Number, default: 0 },
+        created: { type: Number, default: 0 },
+        updated: { type: Number, default: 0 }, // already imported; new comments were added
+        unchanged: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 }, // archived cards, trashed tasks
+        failed: { type: Number, default: 0 }
+    },
+    projects: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Project' }],
+    unmatchedUsers: [{ type: String }],
+    // Not `errors`, which Mongoose reserves
+    itemErrors: [{
+        _id: false,
+        ref: { type: String },
+        title: { type: String },
+        error: { type: String }
+    }],
+    error: { type: String },
+    attempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+importJobSchema.index({ status: 1, createdAt: 1 });
+
+// Models
+const User = mongoose.model('User', userSchema);
+const Task = mongoose.model('Task', taskSchema);
+const Project = mongoose.model('Project', projectSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+const Setting = mongoose.model('Setting', settingSchema);
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+const SavedView = mongoose.model('SavedView', savedViewSchema);
+const Webhook = mongoose.model('Webhook', webhookSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+const ActivityLog = mongoose.model('ActivityLog', activityLogSchema);
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+const Notification = mongoose.model('Notification', notificationSchema);
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+// Tasks created before workflows existed have no statusCategory stored
+const backfillStatusCategories = async () => {
     try {
-        const user = await User.findById(req.user.userId).select('-password');
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+        for (const status of DEFAULT_WORKFLOW.statuses) {
+            await Task.collection.updateMany(
+                { status: status.key, statusCategory: { $exists: false } },
+                { $set: { statusCategory: status.category } }
+            );
         }
-        res.json(user);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch profile' });
+        console.error('Failed to backfill task status categories:', error);
     }
-});
+};
 
-app.get('/api/users', authenticateToken, async (req, res) => {
+// Tasks from before projects were referenced by id hold the project's name (or its id as text).
+// Names that match no project, or several, are left for an admin to sort out.
+const backfillTaskProjects = async () => {
     try {
-        const users = await User.find({ isActive: true })
-            .select('-password')
-            .sort({ firstName: 1 });
-        res.json(users);
+        const legacyRefs = await Task.collection.distinct('project', { project: { $type: 'string' } });
+        for (const ref of legacyRefs) {
+            const byId = /^[0-9a-f]{24}$/i.test(ref)
+                ? await Project.collection.find({ _id: new mongoose.Types.ObjectId(ref) }).project({ _id: 1 }).toArray()
+                : [];
+            const matches = byId.length > 0
+                ? byId
+                : await Project.collection.find({ name: ref }).project({ _id: 1 }).toArray();
+            if (matches.length !== 1) {
+                console.warn(`Cannot backfill tasks of project "${ref}": ${matches.length} projects match`);
+                continue;
+            }
+            await Task.collection.updateMany({ project: ref }, { $set: { project: matches[0]._id } });
+        }
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch users' });
+        console.error('Failed to backfill task projects:', error);
     }
-});
+};
 
-// Task routes
-app.get('/api/tasks', authenticateToken, async (req, res) => {
+// Accounts created before email verification existed keep working as verified accounts
+const backfillEmailVerification = async () => {
     try {
-        const { status, priority, project, assignedTo, page = 1, limit = 10 } = req.query;
-        
-        const filter = {};
-        if (status) filter.status = status;
-        if (priority) filter.priority = priority;
-        if (project) filter.project = project;
-        if (assignedTo) filter.assignedTo = assignedTo;
-        
-        const tasks = await Task.find(filter)
-            .populate('assignedTo', 'firstName lastName username')
-            .populate('createdBy', 'firstName lastName username')
-            .populate('comments.user', 'firstName lastName username')
-            .sort({ createdAt: -1 })
-            .limit(limit * 1)
-            .skip((page - 1) * limit);
-            
-        const total = await Task.countDocuments(filter);
-        
-        res.json({
-            tasks,
-            totalPages: Math.ceil(total / limit),
-            currentPage: page,
-            total
-        });
+        await User.collection.updateMany(
+            { emailVerified: { $exists: false } },
+            { $set: { emailVerified: true } }
+        );
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch tasks' });
+        console.error('Failed to backfill email verification:', error);
     }
-});
+};
+
+// Token helpers
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const signAccessToken = (user, session) => jwt.sign(
+    { userId: user._id, username: user.username, role: user.role, sessionId: session._id },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Opens a new session for the device making the request
+const issueTokens = async (user, req) => {
+    const refreshToken = generateRefreshToken();
+    const session = await Session.create({
+        user: user._id,
+        tokenHash: hashToken(refreshToken),
+        userAgent: req.get('user-agent') || '',
+        ip: req.ip,
+        expiresAt: refreshTokenExpiry()
+    });
+
+    return { token: signAccessToken(user, session), refreshToken, session };
+};
+
+// Account security
+const PASSWORD_RULES = [
+    { check: (password, policy) => password.length >= policy.minLength, describe: policy => `at least ${policy.minLength} characters` },
+    { check: (password, policy) => password.length <= policy.maxLength, describe: policy => `at most ${policy.maxLength} characters` },
+    { enabled: 'requireLowercase', check: password => /[a-z]/.test(password), describe: () => 'a lowercase letter' },
+    { enabled: 'requireUppercase', check: password => /[A-Z]/.test(password), describe: () => 'an uppercase letter' },
+    { enabled: 'requireNumber', check: password => /\d/.test(password), describe: () => 'a number' },
+    { enabled: 'requireSymbol', check: password => /[^A-Za-z0-9]/.test(password), describe: () => 'a symbol' }
+];
+
+const activePasswordRules = () => PASSWORD_RULES.filter(rule => !rule.enabled || PASSWORD_POLICY[rule.enabled]);
+
+// Returns an error message, or null when the password satisfies PASSWORD_POLICY
+const validatePassword = (password, { username, email } = {}) => {
+    if (typeof password !== 'string') {
+        return 'Password is required';
+    }
+
+    const failed = activePasswordRules().filter(rule => !rule.check(password, PASSWORD_POLICY));
+    if (failed.length > 0) {
+        return `Password must contain ${failed.map(rule => rule.describe(PASSWORD_POLICY)).join(', ')}`;
+    }
+
+    if (PASSWORD_POLICY.disallowUserInfo) {
+        const lowered = password.toLowerCase();
+        const personal = [username, email && email.split('@')[0]]
+            .filter(value => value && value.length >= 3)
+            .map(value => value.toLowerCase());
+        if (personal.some(value => lowered.includes(value))) {
+            return 'Password must not contain your username or email';
+        }
+    }
+
+    return null;
+};
+
+// Replaces any unused token of the same purpose, so only the latest link works
+const issueUserToken = async (user, purpose, ttlMs) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await UserToken.deleteMany({ user: user._id, purpose, usedAt: null });
+    await UserToken.create({
+        user: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+    return token;
+};
+
+// Marks the token used in the same operation that checks it; resolves with the token record or null
+const consumeUserToken = (token, purpose) => {
+    if (typeof token !== 'string' || !token) return null;
+
+    const now = new Date();
+    return UserToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { usedAt: now },
+        { new: true }
+    );
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueUserToken(user, 'email_verification', EMAIL_VERIFICATION_TTL_MS);
+    await queueEmail({
+        to: user.email,
+        user: user._id,
+        template: 'email_verification',
+        data: { user, link: `${APP_URL}/?verifyEmail=${token}` }
+    });
+};
+
+// Past LOGIN_LOCKOUT_THRESHOLD consecutive failures every further failure locks the account,
+// starting at LOGIN_LOCKOUT_BASE_MS and doubling up to LOGIN_LOCKOUT_MAX_MS
+const recordFailedLogin = async (user) => {
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    ).select('failedLoginAttempts');
+
+    const excess = updated.failedLoginAttempts - LOGIN_LOCKOUT_THRESHOLD;
+    if (excess < 0) return null;
+
+    const lockedUntil = new Date(Date.now() + Math.min(LOGIN_LOCKOUT_BASE_MS * Math.pow(2, excess), LOGIN_LOCKOUT_MAX_MS));
+    await User.updateOne({ _id: user._id }, { lockedUntil });
+    return lockedUntil;
+};
+
+const accountLocked = (res, lockedUntil) => {
+    res.set('Retry-After', String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+    return res.status(423).json({
+        error: 'Too many failed login attempts. Try again later or reset your password.',
+        lockedUntil
+    });
+};
+
+// Two-factor authentication
+// Falls back to a key derived from JWT_SECRET so existing deployments work without new config
+const TWO_FACTOR_KEY = crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET)
+    .digest();
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 4648 base32 without padding, the form authenticator apps expect
+const base32Encode = (buffer) => {
+    let output = '';
+    let value = 0;
+    let bits = 0;
+    for (const byte of buffer) {
+        value = ((value << 8) | byte) & 0xffff;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+// AES-256-GCM, stored as iv:tag:ciphertext in hex
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', TWO_FACTOR_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', TWO_FACTOR_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+};
+
+const hotp = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', secret).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const code = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(code % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+// Returns the time step the code belongs to, or null when it matches none within TOTP_WINDOW
+const verifyTotp = (secret, code, now = Date.now()) => {
+    const current = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        if (crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+const totpProvisioningUri = (secret, account) => {
+    const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${account}`);
+    const params = new URLSearchParams({
+        secret: base32Encode(secret),
+        issuer: TWO_FACTOR_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    // Some authenticator apps show a + from form encoding literally
+    return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+// Keyed, so a leaked database alone is not enough to brute-force the short codes
+const hashBackupCode = (code) => crypto.createHmac('sha256', TWO_FACTOR_KEY)
+    .update(code.replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+
+// Codes look like 3f9a2-c41d7; only their hashes are stored
+const generateBackupCodes = () => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, records: codes.map(code => ({ hash: hashBackupCode(code) })) };
+};
+
+const TOTP_CODE_PATTERN = new RegExp(`^\\d{${TOTP_DIGITS}}$`);
+
+// Accepts an authenticator code or an unused backup code and spends it in the same
+// operation that checks it; resolves with 'totp', 'backup_code' or null
+const verifySecondFactor = async (userId, code) => {
+    if (typeof code !== 'string') return null;
+    const normalized = code.replace(/\s/g, '');
+
+    if (TOTP_CODE_PATTERN.test(normalized)) {
+        const user = await User.findById(userId).select('+twoFactor.secret');
+        if (!user || !user.twoFactor.secret) return null;
+
+        const step = verifyTotp(decryptSecret(user.twoFactor.secret), normalized);
+        if (step === null) return null;
+
+        const claimed = await User.updateOne(
+            { _id: userId, $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+            { 'twoFactor.lastUsedStep': step }
+        );
+        return claimed.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    const spent = await User.updateOne(
+        { _id: userId, 'twoFactor.backupCodes': { $elemMatch: { hash: hashBackupCode(normalized), usedAt: null } } },
+        { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+    );
+    return spent.modifiedCount === 1 ? 'backup_code' : null;
+};
+
+const getSecuritySettings = async () => {
+    const setting = await Setting.findOne({ key: 'security' }).lean();
+    return { twoFactorRequiredRoles: DEFAULT_TWO_FACTOR_REQUIRED_ROLES, ...(setting && setting.value) };
+};
+
+const twoFactorRequiredFor = async (user) => (
+    (await getSecuritySettings()).twoFactorRequiredRoles.includes(user.role)
+);
+
+// Short-lived proof that the password step passed. 'login' challenges are exchanged for tokens
+// with a code, 'setup' challenges only allow enrolling when the role requires 2FA.
+const signTwoFactorChallenge = (user, purpose) => jwt.sign(
+    { userId: user._id, purpose: `two_factor_${purpose}` },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+);
+
+// Resolves the user id of a valid challenge, or null
+const verifyTwoFactorChallenge = (challengeToken, purpose) => {
+    try {
+        const payload = jwt.verify(challengeToken, JWT_SECRET);
+        return payload.purpose === `two_factor_${purpose}` ? payload.userId : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Attachment storage
+// Every driver exposes the same interface so the backend can be swapped via STORAGE_DRIVER:
+//   save(file, prefix) -> storageKey, createReadStream(storageKey), remove(storageKey)
+const createLocalDiskStorage = (rootDir) => {
+    const resolveKey = (storageKey) => {
+        const filePath = path.resolve(rootDir, storageKey);
+        if (!filePath.startsWith(rootDir + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+        return filePath;
+    };
+
+    return {
+        async save(file, prefix) {
+            const extension = path.extname(file.originalname).toLowerCase();
+            const storageKey = path.join(prefix, `${crypto.randomBytes(16).toString('hex')}${extension}`);
+            const filePath = resolveKey(storageKey);
+
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, file.buffer);
+            return storageKey;
+        },
+
+        createReadStream(storageKey) {
+            return fs.createReadStream(resolveKey(storageKey));
+        },
+
+        async remove(storageKey) {
+            try {
+                await fs.promises.unlink(resolveKey(storageKey));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    };
+};
+
+const storageDrivers = {
+    local: () => createLocalDiskStorage(UPLOAD_PATH)
+};
+
+if (!storageDrivers[STORAGE_DRIVER]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}"`);
+}
+
+const attachmentStorage = storageDrivers[STORAGE_DRIVER]();
+
+const removeStoredAttachments = async (attachments) => {
+    const results = await Promise.allSettled(
+        attachments
+            .filter(attachment => attachment.storageKey)
+            .map(attachment => attachmentStorage.remove(attachment.storageKey))
+    );
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.error('Failed to remove attachment:', result.reason));
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES_PER_UPLOAD },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_FILE_TYPES.includes(file.mimetype)) {
+            const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+            error.message = `File type ${file.mimetype} is not allowed`;
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+// Turns multer failures into 400/413 responses instead of falling through to a 500
+const uploadAttachments = (req, res, next) => {
+    upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (err) => {
+        if (!err) return next();
+        if (err instanceof multer.MulterError) {
+            const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ error: err.message });
+        }
+        next(err);
+    });
+};
+
+// Imports arrive as one CSV or JSON file; its content is checked by readImportData
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 }
+});
+
+const uploadImportFile = (req, res, next) => {
+    importUpload.single('file')(req, res, (err) => {
+        if (!err) return next();
+        if (err instanceof multer.MulterError) {
+            const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ error: err.message });
+        }
+        next(err);
+    });
+};
+
+// Trello and Jira exports are larger than row imports; parseExternalImport checks their content
+const externalImportUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_EXTERNAL_IMPORT_SIZE, files: 1 }
+});
+
+const uploadExternalImportFile = (req, res, next) => {
+    externalImportUpload.single('file')(req, res, (err) => {
+        if (!err) return next();
+        if (err instanceof multer.MulterError) {
+            const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ error: err.message });
+        }
+        next(err);
+    });
+};
+
+// API keys
+// Which scope covers a route. Routes matching nothing (sign-in, sessions, 2FA, API key
+// management, settings, trash) cannot be reached with an API key at all, and keys limited
+// to some projects only reach the projectScoped ones.
+const API_KEY_ROUTES = [
+    { pattern: /^\/api\/tasks\/[^/]+\/(time-entries|timer)(\/|$)/, resource: 'time', projectScoped: true },
+    { pattern: /^\/api\/(time-entries|timesheets)(\/|$)/, resource: 'time', projectScoped: true },
+    { pattern: /^\/api\/tasks(\/|$)/, resource: 'tasks', projectScoped: true },
+    { pattern: /^\/api\/projects(\/|$)/, resource: 'projects', projectScoped: true },
+    { pattern: /^\/api\/events\//, resource: 'events', readOnly: true, projectScoped: true },
+    { pattern: /^\/api\/analytics\//, resource: 'analytics', readOnly: true, projectScoped: true },
+    { pattern: /^\/api\/search$/, resource: 'tasks', readOnly: true, projectScoped: true },
+    { pattern: /^\/api\/views(\/|$)/, resource: 'tasks', projectScoped: true },
+    { pattern: /^\/api\/notifications(\/|$)/, resource: 'notifications' },
+    { pattern: /^\/api\/users(\/|$)/, resource: 'users', readOnly: true },
+    { pattern: /^\/api\/webhooks(\/|$)/, resource: 'webhooks' }
+];
+
+const generateApiKey = () => `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+// Keys are sent as X-API-Key, or as a bearer token that scripts can use in place of a JWT
+const apiKeyFromRequest = (req) => {
+    if (req.headers['x-api-key']) return req.headers['x-api-key'];
+
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    return token && token.startsWith(API_KEY_PREFIX) ? token : null;
+};
+
+// Returns the scope the request needs, or null when API keys may not use the route
+const apiKeyScopeFor = (req, key) => {
+    const route = API_KEY_ROUTES.find(candidate => candidate.pattern.test(req.path));
+    if (!route || (key.projects.length > 0 && !route.projectScoped)) return null;
+
+    const write = !['GET', 'HEAD'].includes(req.method);
+    if (write && route.readOnly) return null;
+    return `${route.resource}:${write ? 'write' : 'read'}`;
+};
+
+const apiKeyHasScope = (key, scope) => {
+    const [resource, access] = scope.split(':');
+    return key.scopes.includes(scope) || (access === 'read' && key.scopes.includes(`${resource}:write`));
+};
+
+const authenticateApiKey = async (rawKey, req, res, next) => {
+    try {
+        const now = new Date();
+        const key = await ApiKey.findOne({ keyHash: hashToken(rawKey), revokedAt: null });
+        if (!key || (key.expiresAt && key.expiresAt <= now)) {
+            return invalidApiKeyLimiter(req, res, () => res.status(401).json({ error: 'Invalid or expired API key' }));
+        }
+
+        const user = await User.findById(key.user).select('username role isActive');
+        if (!user || !user.isActive) {
+            return res.status(401).json({ error: 'User not found or inactive' });
+        }
+
+        if (!key.lastUsedAt || now - key.lastUsedAt > API_KEY_TOUCH_INTERVAL_MS) {
+            ApiKey.updateOne({ _id: key._id }, { lastUsedAt: now, lastUsedIp: req.ip })
+                .catch(error => console.error('Failed to record API key use:', error));
+        }
+
+        req.user = {
+            userId: String(user._id),
+            username: user.username,
+            role: user.role,
+            apiKeyId: String(key._id),
+            // Only set for keys limited to some projects; the access helpers check it
+            projects: key.projects.length > 0 ? key.projects.map(String) : undefined
+        };
+
+        apiKeyLimiter(req, res, () => {
+            const scope = apiKeyScopeFor(req, key);
+            if (!scope) {
+                return forbidden(res, 'This endpoint is not available to this API key');
+            }
+            if (!apiKeyHasScope(key, scope)) {
+                return forbidden(res, `API key is missing the ${scope} scope`);
+            }
+            next();
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Authentication middleware
+const authenticateToken = (req, res, next) => {
+    const apiKey = apiKeyFromRequest(req);
+    if (apiKey) {
+        return authenticateApiKey(apiKey, req, res, next);
+    }
+
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return res.status(401).json({ error: 'Access token required' });
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, payload) => {
+        // Two-factor challenges are signed with the same secret but grant no API access. 401, not
+        // 403: clients refresh on 401, while 403 is reserved for permission denials.
+        if (err || payload.purpose) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+
+        authenticateSession(payload, req, res, next);
+    });
+};
+
+// Sets req.user for a verified { userId, sessionId, role }. The role travels in the token, but the
+// database is authoritative: a demoted or deactivated account loses access immediately.
+const authenticateSession = async ({ userId, sessionId, role }, req, res, next) => {
+    try {
+        const [user, session] = await Promise.all([
+            User.findById(userId).select('username role isActive'),
+            sessionId ? Session.findById(sessionId).select('revokedAt') : null
+        ]);
+        if (!user || !user.isActive) {
+            return res.status(401).json({ error: 'User not found or inactive' });
+        }
+        if (sessionId && (!session || session.revokedAt)) {
+            return res.status(401).json({ error: 'Session has been revoked' });
+        }
+        if (role && role !== user.role) {
+            return res.status(401).json({ error: 'Role has changed, please log in again' });
+        }
+
+        req.user = {
+            userId: String(user._id),
+            username: user.username,
+            role: user.role,
+            sessionId
+        };
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Authorization helpers
+const ROLES = ['user', 'manager', 'admin'];
+
+const forbidden = (res, message = 'Insufficient permissions') => {
+    return res.status(403).json({ error: message });
+};
+
+const authorizeRoles = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+        return forbidden(res);
+    }
+    next();
+};
+
+const sameId = (a, b) => {
+    if (!a || !b) return false;
+    return String(a._id || a) === String(b._id || b);
+};
+
+const isProjectMember = (user, project) => {
+    return sameId(project.owner, user.userId) ||
+        (project.team || []).some(member => sameId(member, user.userId));
+};
+
+// API keys can be limited to some projects (user.projects); other callers never are
+const withinKeyProjects = (user, projectRef) => {
+    if (!user.projects) return true;
+    return !!projectRef && user.projects.includes(String(projectRef._id || projectRef));
+};
+
+const canViewProject = (user, project) => {
+    if (!withinKeyProjects(user, project)) return false;
+    return user.role === 'admin' || isProjectMember(user, project);
+};
+
+const canManageProject = (user, project) => {
+    if (!withinKeyProjects(user, project)) return false;
+    if (user.role === 'admin') return true;
+    return user.role === 'manager' && isProjectMember(user, project);
+};
+
+const canDeleteProject = (user, project) => {
+    if (!withinKeyProjects(user, project)) return false;
+    return user.role === 'admin' || sameId(project.owner, user.userId);
+};
+
+// Global webhooks are admin-only; project webhooks also belong to the project owner
+const canManageWebhooks = (user, project) => {
+    if (!withinKeyProjects(user, project)) return false;
+    return user.role === 'admin' || (!!project && sameId(project.owner, user.userId));
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Filters are built with real ObjectIds so they also work inside aggregate $match stages
+const projectAccessFilter = (user) => {
+    const filter = user.role === 'admin'
+        ? {}
+        : { $or: [{ owner: toObjectId(user.userId) }, { team: toObjectId(user.userId) }] };
+    if (user.projects) {
+        filter._id = { $in: user.projects.map(toObjectId) };
+    }
+    return filter;
+};
+
+const findTaskProject = async (projectRef) => {
+    const projectId = projectRef && (projectRef._id || projectRef);
+    if (!projectId || !mongoose.Types.ObjectId.isValid(projectId)) return null;
+    return Project.findById(projectId);
+};
+
+// Recomputes progress from the project's tasks; call after any task change that may affect it
+const refreshProjectStats = async (...projectRefs) => {
+    const projectIds = [...new Set(projectRefs
+        .filter(Boolean)
+        .map(ref => String(ref._id || ref)))];
+
+    await Promise.all(projectIds.map(async (projectId) => {
+        try {
+            const project = await Project.findById(projectId);
+            if (!project) return;
+
+            const isCompleted = { $eq: ['$statusCategory', 'done'] };
+            const estimate = { $ifNull: ['$estimatedHours', 0] };
+            const [totals = {}] = await Task.aggregate([
+                { $match: { project: project._id, archivedAt: null } },
+                {
+                    $group: {
+                        _id: null,
+                        totalTasks: { $sum: 1 },
+                        completedTasks: { $sum: { $cond: [isCompleted, 1, 0] } },
+                        estimatedHours: { $sum: estimate },
+                        completedHours: { $sum: { $cond: [isCompleted, estimate, 0] } },
+                        actualHours: { $sum: { $ifNull: ['$actualHours', 0] } }
+                    }
+                }
+            ]);
+
+            const totalTasks = totals.totalTasks || 0;
+            const estimatedHours = totals.estimatedHours || 0;
+            const completedHours = totals.completedHours || 0;
+
+            // Hour weighting needs estimates; without any, fall back to counting tasks
+            let progress = 0;
+            if (project.progressWeighting === 'hours' && estimatedHours > 0) {
+                progress = completedHours / estimatedHours * 100;
+            } else if (totalTasks > 0) {
+                progress = totals.completedTasks / totalTasks * 100;
+            }
+
+            project.progress = Math.round(progress);
+            project.stats = {
+                totalTasks,
+                completedTasks: totals.completedTasks || 0,
+                estimatedHours,
+                remainingHours: estimatedHours - completedHours,
+                actualHours: totals.actualHours || 0,
+                calculatedAt: new Date()
+            };
+            await project.save();
+        } catch (error) {
+            // Stats are derived data: log and let the triggering request succeed
+            console.error(`Failed to refresh stats for project ${projectId}:`, error);
+        }
+    }));
+};
+
+const taskAccessFilter = async (user) => {
+    // Project-limited keys see no personal tasks outside those projects
+    if (user.projects) {
+        return { project: { $in: await Project.find(projectAccessFilter(user)).distinct('_id') } };
+    }
+    if (user.role === 'admin') return {};
+
+    const projectIds = await Project.find(projectAccessFilter(user)).distinct('_id');
+    const userId = toObjectId(user.userId);
+
+    return {
+        $or: [
+            { createdBy: userId },
+            { assignedTo: userId },
+            { project: { $in: projectIds } }
+        ]
+    };
+};
+
+const canViewTask = async (user, task) => {
+    if (!withinKeyProjects(user, task.project)) return false;
+    if (user.role === 'admin') return true;
+    if (sameId(task.createdBy, user.userId) || sameId(task.assignedTo, user.userId)) return true;
+
+    const project = await findTaskProject(task.project);
+    return !!project && canViewProject(user, project);
+};
+
+const canManageTask = async (user, task) => {
+    if (!withinKeyProjects(user, task.project)) return false;
+    if (user.role === 'admin') return true;
+    if (sameId(task.createdBy, user.userId) || sameId(task.assignedTo, user.userId)) return true;
+    if (user.role !== 'manager') return false;
+
+    const project = await findTaskProject(task.project);
+    return !!project && canManageProject(user, project);
+};
+
+// Project workflows
+const getWorkflow = (project) => {
+    const workflow = project && project.workflow;
+    if (!workflow || !workflow.statuses || workflow.statuses.length === 0) {
+        return DEFAULT_WORKFLOW;
+    }
+    return workflow;
+};
+
+const findWorkflowStatus = (workflow, key) => workflow.statuses.find(status => status.key === key);
+
+const isTransitionAllowed = (workflow, from, to, role) => {
+    if (from === to || role === 'admin' || workflow.transitions.length === 0) return true;
+    return workflow.transitions.some(rule =>
+        (rule.from === from || rule.from === '*') &&
+        rule.to === to &&
+        (!rule.roles || rule.roles.length === 0 || rule.roles.includes(role))
+    );
+};
+
+// A status unknown to the workflow maps to its first status of the same category
+const mapStatusToWorkflow = (workflow, status, category) => {
+    if (findWorkflowStatus(workflow, status)) return status;
+    const sameCategory = workflow.statuses.find(candidate => candidate.category === category);
+    return sameCategory ? sameCategory.key : workflow.initialStatus;
+};
+
+const validateWorkflow = (workflow) => {
+    const { statuses, transitions = [], initialStatus } = workflow || {};
+
+    if (!Array.isArray(statuses) || statuses.length === 0) {
+        return 'workflow.statuses must be a non-empty array';
+    }
+    const keys = statuses.map(status => status && status.key);
+    if (keys.some(key => !key || typeof key !== 'string')) {
+        return 'Every status needs a key';
+    }
+    if (new Set(keys).size !== keys.length) {
+        return 'Status keys must be unique';
+    }
+    const badCategory = statuses.find(status => !STATUS_CATEGORIES.includes(status.category));
+    if (badCategory) {
+        return `Status "${badCategory.key}" needs a category of: ${STATUS_CATEGORIES.join(', ')}`;
+    }
+    if (!statuses.some(status => status.category === 'done')) {
+        return 'At least one status must have the "done" category';
+    }
+    if (initialStatus && !keys.includes(initialStatus)) {
+        return `initialStatus "${initialStatus}" is not one of the statuses`;
+    }
+    if (!Array.isArray(transitions)) {
+        return 'workflow.transitions must be an array';
+    }
+    for (const rule of transitions) {
+        if (!rule || (rule.from !== '*' && !keys.includes(rule.from)) || !keys.includes(rule.to)) {
+            return 'Transitions must reference existing status keys (or "*" as from)';
+        }
+        const badRole = (rule.roles || []).find(role => !ROLES.includes(role));
+        if (badRole) {
+            return `Unknown role "${badRole}" in transition ${rule.from} -> ${rule.to}`;
+        }
+    }
+    return null;
+};
+
+// Brings tasks matching `filter` onto `workflow`, remapping statuses it does not define
+const remapTasksToWorkflow = async (filter, workflow) => {
+    const groups = await Task.aggregate([
+        { $match: filter },
+        { $group: { _id: { status: '$status', category: '$statusCategory' } } }
+    ]);
+
+    for (const { _id: { status, category } } of groups) {
+        const key = mapStatusToWorkflow(workflow, status, category);
+        const target = findWorkflowStatus(workflow, key);
+        if (key !== status || target.category !== category) {
+            await Task.updateMany(
+                { ...filter, status },
+                { status: key, statusCategory: target.category, updatedAt: new Date() }
+            );
+        }
+    }
+};
+
+// Task relations
+// Subtasks (parent) and dependencies (blockedBy) stay within one project, so the whole
+// graph for a check is a single query.
+const loadTaskGraph = async (projectId) => {
+    const tasks = await Task.find({ project: projectId })
+        .select('title status statusCategory priority estimatedHours dueDate assignedTo parent blockedBy');
+    return new Map(tasks.map(task => [String(task._id), task]));
+};
+
+// True when `targetId` is reachable from `startId` by repeatedly following `next(id)`
+const reaches = (next, startId, targetId) => {
+    const visited = new Set();
+    const stack = [startId];
+    while (stack.length > 0) {
+        const id = stack.pop();
+        if (id === targetId) return true;
+        if (visited.has(id)) continue;
+        visited.add(id);
+        stack.push(...next(id));
+    }
+    return false;
+};
+
+const parentOf = (graph) => (id) => {
+    const task = graph.get(id);
+    return task && task.parent ? [String(task.parent)] : [];
+};
+
+const blockersOf = (graph) => (id) => {
+    const task = graph.get(id);
+    return task ? task.blockedBy.map(String) : [];
+};
+
+// Returns an error message, or null when the proposed parent/blockedBy are valid
+const validateTaskRelations = async (taskId, projectId, { parent, blockedBy }) => {
+    if (!parent && (!blockedBy || blockedBy.length === 0)) return null;
+
+    const graph = await loadTaskGraph(projectId);
+    const id = taskId ? String(taskId) : null;
+
+    if (parent) {
+        const parentId = String(parent);
+        if (!graph.has(parentId)) {
+            return 'Parent must be an existing task in the same project';
+        }
+        if (id && reaches(parentOf(graph), parentId, id)) {
+            return 'A task cannot be nested under itself or one of its subtasks';
+        }
+    }
+
+    if (blockedBy) {
+        if (!Array.isArray(blockedBy)) {
+            return 'blockedBy must be an array of task ids';
+        }
+        for (const blocker of blockedBy) {
+            const blockerId = String(blocker);
+            if (!graph.has(blockerId)) {
+                return `Blocking task ${blockerId} must be an existing task in the same project`;
+            }
+            if (id && reaches(blockersOf(graph), blockerId, id)) {
+                return `Depending on ${blockerId} would create a circular dependency`;
+            }
+        }
+    }
+
+    return null;
+};
+
+// A trashed or purged task stops blocking others and drops its subtasks, trashed ones included,
+// so no task keeps an id it can no longer resolve
+const detachTaskRelations = (taskId) => Promise.all([
+    Task.updateMany({ blockedBy: taskId }, { $pull: { blockedBy: taskId } }).setOptions({ withDeleted: true }),
+    Task.updateMany({ parent: taskId }, { parent: null }).setOptions({ withDeleted: true })
+]);
+
+const findOpenBlockers = (blockedBy) => {
+    if (!blockedBy || blockedBy.length === 0) return [];
+    return Task.find({ _id: { $in: blockedBy }, statusCategory: { $ne: 'done' } }).select('title status');
+};
+
+// Longest chain of open work that has to finish before `taskId` can, weighted by estimated hours
+const criticalPathTo = (graph, taskId) => {
+    const memo = new Map();
+
+    const walk = (id, trail) => {
+        if (memo.has(id)) return memo.get(id);
+        const task = graph.get(id);
+        if (!task || trail.has(id)) return { hours: 0, path: [] };
+
+        trail.add(id);
+        let best = { hours: 0, path: [] };
+        for (const blockerId of blockersOf(graph)(id)) {
+            const candidate = walk(blockerId, trail);
+            if (candidate.hours > best.hours ||
+                (candidate.hours === best.hours && candidate.path.length > best.path.length)) {
+                best = candidate;
+            }
+        }
+        trail.delete(id);
+
+        const ownHours = task.statusCategory === 'done' ? 0 : (task.estimatedHours || 0);
+        const result = { hours: best.hours + ownHours, path: [...best.path, id] };
+        memo.set(id, result);
+        return result;
+    };
+
+    const { hours, path } = walk(String(taskId), new Set());
+    return { totalHours: hours, tasks: path.map(id => graph.get(id)) };
+};
+
+// Application events
+// Mutating routes publish here; the event stream (and any other consumer) subscribes to 'event'.
+const appEvents = new EventEmitter();
+appEvents.setMaxListeners(0);
+
+// Recipients are resolved at publish time: the project's owner and team plus the task's
+// creator and assignee. `audience` adds users who must hear about it anyway (e.g. a removed member).
+const publishEvent = async (type, { task, project, data, actor, previous, audience = [] }) => {
+    try {
+        const projectDoc = project || (task ? await findTaskProject(task.project) : null);
+        const recipients = [
+            ...audience,
+            ...(projectDoc ? [projectDoc.owner, ...(projectDoc.team || [])] : []),
+            ...(task ? [task.createdBy, task.assignedTo] : [])
+        ]
+            .filter(Boolean)
+            .map(id => String(id._id || id));
+
+        appEvents.emit('event', {
+            id: crypto.randomUUID(),
+            type,
+            projectId: projectDoc ? String(projectDoc._id) : null,
+            actor: actor ? String(actor) : null,
+            data: data && typeof data.toJSON === 'function' ? data.toJSON() : data,
+            previous: previous && typeof previous.toJSON === 'function' ? previous.toJSON() : previous,
+            recipients: [...new Set(recipients)],
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`Failed to publish ${type} event:`, error);
+    }
+};
+
+const canReceiveEvent = (user, event) => {
+    if (user.projects && !user.projects.includes(event.projectId)) return false;
+    return user.role === 'admin' || event.recipients.includes(user.userId);
+};
+
+// Webhooks
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Receivers verify with HMAC-SHA256(secret, `${timestamp}.${body}`) against X-Webhook-Signature
+const signWebhookPayload = (secret, timestamp, body) => {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const isValidWebhookUrl = (url) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Loopback, private, link-local (cloud metadata endpoints), shared, unspecified and multicast ranges
+const isPrivateAddress = (address) => {
+    if (net.isIPv6(address)) {
+        const lower = address.toLowerCase();
+        const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+        const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(lower);
+        if (dotted) return isPrivateAddress(dotted[1]);
+        if (hex) {
+            const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+            return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+        }
+        return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+    }
+
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+        (a === 100 && b >= 64 && b <= 127) ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168);
+};
+
+// dns.lookup that refuses private addresses. Used as the request's lookup, so the address checked
+// is the one connected to and a second resolution cannot swap it out.
+const publicOnlyLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// Null when the webhook may post to `url`, else the reason it may not
+const webhookTargetError = (url) => {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (WEBHOOK_ALLOWED_HOSTS.includes(hostname)) return null;
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) return `${hostname} is a local address`;
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) return `${hostname} is a private address`;
+    return null;
+};
+
+// Receivers' responses can hold anything the server could reach, so only admins see their bodies
+const serializeWebhookDelivery = (delivery, user) => {
+    const { lockedUntil, responseBody, ...fields } = delivery.toJSON();
+    return user.role === 'admin' ? { ...fields, responseBody } : fields;
+};
+
+// Fans an application event out to matching webhooks; task.updated also yields
+// task.status_changed when the status moved
+const enqueueWebhookDeliveries = async (event) => {
+    try {
+        const types = [event.type];
+        if (event.type === 'task.updated' && event.previous && event.previous.status !== event.data.status) {
+            types.push('task.status_changed');
+        }
+
+        const scope = [{ project: null }];
+        if (event.projectId) {
+            scope.push({ project: event.projectId });
+        }
+
+        const webhooks = await Webhook.find({ active: true, events: { $in: types }, $or: scope });
+        const deliveries = [];
+
+        webhooks.forEach(webhook => {
+            types
+                .filter(type => webhook.events.includes(type))
+                .forEach(type => deliveries.push({
+                    webhook: webhook._id,
+                    event: type,
+                    eventId: event.id,
+                    payload: {
+                        id: event.id,
+                        type,
+                        timestamp: event.timestamp,
+                        projectId: event.projectId,
+                        actor: event.actor,
+                        data: type === 'task.status_changed'
+                            ? { task: event.data, from: event.previous.status, to: event.data.status }
+                            : event.data
+                    }
+                }));
+        });
+
+        if (deliveries.length > 0) {
+            await WebhookDelivery.insertMany(deliveries);
+            setImmediate(processWebhookDeliveries);
+        }
+    } catch (error) {
+        console.error('Failed to enqueue webhook deliveries:', error);
+    }
+};
+
+// Resolves with { status, body } for any HTTP response; rejects on network errors and timeouts
+// Private addresses are refused unless the host is in WEBHOOK_ALLOWED_HOSTS: literal IPs here,
+// names once they resolve
+const postWebhook = (url, headers, body) => new Promise((resolve, reject) => {
+    const targetError = webhookTargetError(url);
+    if (targetError) {
+        return reject(new Error(`Refusing to post to ${targetError}`));
+    }
+
+    const { protocol, hostname } = new URL(url);
+    const transport = protocol === 'https:' ? https : http;
+    const allowed = WEBHOOK_ALLOWED_HOSTS.includes(hostname.replace(/^\[|\]$/g, '').toLowerCase());
+    const request = transport.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        ...(!allowed && { lookup: publicOnlyLookup })
+    }, (response) => {
+        let responseBody = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+            if (responseBody.length < 1000) responseBody += chunk;
+        });
+        response.on('end', () => resolve({ status: response.statusCode, body: responseBody.slice(0, 1000) }));
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Timed out after ${WEBHOOK_TIMEOUT_MS}ms`)));
+    request.on('error', reject);
+    request.end(body);
+});
+
+const attemptWebhookDelivery = async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    const now = new Date();
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = now;
+    delivery.lockedUntil = undefined;
+
+    if (!webhook || !webhook.active) {
+        delivery.status = 'failed';
+        delivery.error = 'Webhook deleted or disabled';
+        return delivery.save();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now.getTime() / 1000).toString();
+    const started = Date.now();
+
+    try {
+        const response = await postWebhook(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'IBM-Capstone-Webhooks/1.0',
+            'X-Webhook-Id': String(webhook._id),
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': String(delivery._id),
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+        }, body);
+
+        const ok = response.status >= 200 && response.status < 300;
+        delivery.responseStatus = response.status;
+        delivery.responseBody = response.body;
+        delivery.error = ok ? undefined : `Receiver responded with ${response.status}`;
+    } catch (error) {
+        delivery.responseStatus = undefined;
+        delivery.responseBody = undefined;
+        delivery.error = error.message;
+    }
+
+    delivery.durationMs = Date.now() - started;
+
+    if (!delivery.error) {
+        delivery.status = 'success';
+    } else if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+    } else {
+        // Exponential backoff: base, 2x base, 4x base, ...
+        const delay = WEBHOOK_RETRY_BASE_MS * Math.pow(2, delivery.attempts - 1);
+        delivery.nextAttemptAt = new Date(Date.now() + delay);
+    }
+
+    webhook.lastDeliveryAt = now;
+    webhook.lastDeliveryStatus = delivery.status;
+    await Promise.all([delivery.save(), webhook.save()]);
+};
+
+let webhookWorkerRunning = false;
+
+// Each delivery is claimed with an atomic lock, so several server instances can share the queue
+const processWebhookDeliveries = async () => {
+    if (webhookWorkerRunning || mongoose.connection.readyState !== 1) return;
+    webhookWorkerRunning = true;
+
+    try {
+        for (;;) {
+            const now = new Date();
+            const delivery = await WebhookDelivery.findOneAndUpdate(
+                {
+                    status: 'pending',
+                    nextAttemptAt: { $lte: now },
+                    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+                },
+                { lockedUntil: new Date(now.getTime() + WEBHOOK_LOCK_MS) },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            );
+            if (!delivery) break;
+
+            await attemptWebhookDelivery(delivery);
+        }
+    } catch (error) {
+        console.error('Webhook worker error:', error);
+    } finally {
+        webhookWorkerRunning = false;
+    }
+};
+
+appEvents.on('event', enqueueWebhookDeliveries);
+setInterval(processWebhookDeliveries, WEBHOOK_POLL_INTERVAL_MS).unref();
+
+// Pagination
+// page and limit as positive integers, with limit capped at MAX_PAGE_SIZE; anything unusable falls back
+const parsePagination = (query, defaultLimit) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_PAGE_SIZE);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+// Activity log
+// Fields whose changes are recorded per entity type; derived fields (progress, stats, position) are left out
+const AUDITED_FIELDS = {
+    task: ['title', 'description', 'status', 'priority', 'assignedTo', 'project', 'tags',
+        'dueDate', 'estimatedHours', 'actualHours', 'parent', 'blockedBy', 'recurrence', 'archivedAt', 'deletedAt'],
+    project: ['name', 'description', 'status', 'owner', 'team', 'startDate', 'endDate',
+        'budget', 'hourlyRate', 'progressWeighting', 'archivedAt', 'deletedAt'],
+    user: ['username', 'email', 'firstName', 'lastName', 'role', 'isActive']
+};
+
+// Populated refs become ids and dates become ISO strings so before/after compare by value
+const normalizeAuditValue = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (Array.isArray(value)) return value.map(normalizeAuditValue);
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return String(value);
+    if (typeof value === 'object' && value._id) return String(value._id);
+    return value;
+};
+
+const diffFields = (fields, before = {}, after = {}) => {
+    return fields
+        .map(field => ({
+            field,
+            from: normalizeAuditValue(before[field]),
+            to: normalizeAuditValue(after[field])
+        }))
+        .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+};
+
+// Reminders announce something without changing it, so there is nothing to audit
+const UNAUDITED_EVENTS = ['task.due_soon', 'task.overdue'];
+
+// Builds the log entry for an application event; event types read "<entity>.<action>"
+const recordActivity = async (event) => {
+    try {
+        const [entityType, action] = event.type.split('.');
+        const fields = AUDITED_FIELDS[entityType];
+        if (!fields || UNAUDITED_EVENTS.includes(event.type)) return;
+
+        let entityId = (event.data && event.data._id) || (event.previous && event.previous._id);
+        let changes;
+
+        if (action.startsWith('comment_')) {
+            entityId = event.data.taskId;
+            changes = [{
+                field: 'comment',
+                from: event.data.previousText || null,
+                to: event.data.comment ? event.data.comment.text : null
+            }];
+        } else if (action === 'purged') {
+            // Permanent removal: keep a snapshot of the last known values
+            changes = diffFields(fields, event.previous, {});
+        } else {
+            changes = diffFields(fields, event.previous, event.data);
+            if (action === 'updated' && changes.length === 0) return;
+        }
+
+        await ActivityLog.create({
+            actor: event.actor,
+            entityType,
+            entityId,
+            project: entityType === 'project' ? entityId : event.projectId,
+            action,
+            changes,
+            eventId: event.id
+        });
+    } catch (error) {
+        console.error(`Failed to record activity for ${event.type}:`, error);
+    }
+};
+
+appEvents.on('event', recordActivity);
+
+const listActivity = async (filter, query) => {
+    const { page, limit, skip } = parsePagination(query, 50);
+    const [entries, total] = await Promise.all([
+        ActivityLog.find(filter)
+            .populate('actor', 'firstName lastName username')
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .skip(skip),
+        ActivityLog.countDocuments(filter)
+    ]);
+
+    return {
+        entries,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total
+    };
+};
+
+// Notifications
+// Derived from application events like the activity log. Each new notification is also
+// emitted as 'notification' so the event stream can push it to its recipient.
+
+// @username tokens, skipping e-mail addresses; a trailing full stop ends the sentence, not the name
+const parseMentions = (text = '') => {
+    const usernames = new Set();
+    const pattern = /(^|[^\w@.])@([\w.-]+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const username = match[2].replace(/[.-]+$/, '');
+        if (username) usernames.add(username);
+    }
+    return [...usernames];
+};
+
+// Users named in `text` who may see the task; the author never notifies themselves
+const resolveMentions = async (text, task, authorId) => {
+    const usernames = parseMentions(text);
+    if (usernames.length === 0) return [];
+
+    const users = await User.find({ username: { $in: usernames }, isActive: true }).select('role');
+    const mentioned = [];
+    for (const user of users) {
+        if (sameId(user._id, authorId)) continue;
+        if (await canViewTask({ userId: String(user._id), role: user.role }, task)) {
+            mentioned.push(String(user._id));
+        }
+    }
+    return mentioned;
+};
+
+// Watchers stay on a task after losing access to it (e.g. removed from the team); only those
+// who can still see the task hear about it
+const watchersWithAccess = async (task) => {
+    const users = await User.find({ _id: { $in: task.watchers || [] }, isActive: true }).select('role');
+    const allowed = [];
+    for (const user of users) {
+        if (await canViewTask({ userId: String(user._id), role: user.role }, task)) {
+            allowed.push(String(user._id));
+        }
+    }
+    return allowed;
+};
+
+const notifyUsers = async (userIds, notification) => {
+    const recipients = [...new Set(userIds.filter(Boolean).map(id => String(id._id || id)))]
+        .filter(id => !sameId(id, notification.actor));
+    if (recipients.length === 0) return;
+
+    const created = await Notification.insertMany(recipients.map(user => ({ ...notification, user })));
+    created.forEach(doc => appEvents.emit('notification', doc.toJSON()));
+    await queueNotificationEmails(created);
+};
+
+const createNotifications = async (event) => {
+    try {
+        if (!event.type.startsWith('task.')) return;
+
+        const taskId = event.type.startsWith('task.comment_') ? event.data.taskId : event.data && event.data._id;
+        const task = taskId && await Task.findById(taskId).select('title project createdBy assignedTo watchers');
+        if (!task) return;
+
+        const base = { task: task._id, project: task.project, actor: event.actor };
+
+        switch (event.type) {
+            case 'task.created':
+            case 'task.updated': {
+                const assignee = event.data.assignedTo;
+                if (assignee && !sameId(assignee, event.previous && event.previous.assignedTo)) {
+                    await notifyUsers([assignee], {
+                        ...base,
+                        type: 'assigned',
+                        message: `You were assigned "${task.title}"`
+                    });
+                }
+                if (event.previous && event.previous.status !== event.data.status) {
+                    await notifyUsers(await watchersWithAccess(task), {
+                        ...base,
+                        type: 'status_changed',
+                        message: `"${task.title}" moved from ${event.previous.status} to ${event.data.status}`,
+                        data: { from: event.previous.status, to: event.data.status }
+                    });
+                }
+                break;
+            }
+            case 'task.comment_added':
+            case 'task.comment_updated': {
+                const { comment, previousText } = event.data;
+                const data = { commentId: comment._id, excerpt: comment.text.slice(0, 140) };
+
+                // Edits only notify people who were not already mentioned
+                const alreadyMentioned = event.type === 'task.comment_updated'
+                    ? await resolveMentions(previousText, task, event.actor)
+                    : [];
+                const mentioned = (await resolveMentions(comment.text, task, event.actor))
+                    .filter(id => !alreadyMentioned.includes(id));
+
+                await notifyUsers(mentioned, {
+                    ...base,
+                    type: 'mention',
+                    message: `You were mentioned on "${task.title}"`,
+                    data
+                });
+                if (event.type === 'task.comment_added') {
+                    const watchers = await watchersWithAccess(task);
+                    await notifyUsers(watchers.filter(id => !mentioned.includes(id)), {
+                        ...base,
+                        type: 'comment',
+                        message: `New comment on "${task.title}"`,
+                        data
+                    });
+                }
+                break;
+            }
+            case 'task.due_soon':
+            case 'task.overdue': {
+                const overdue = event.type === 'task.overdue';
+                await notifyUsers([task.assignedTo || task.createdBy, ...await watchersWithAccess(task)], {
+                    ...base,
+                    type: overdue ? 'overdue' : 'due_soon',
+                    message: overdue ? `"${task.title}" is overdue` : `"${task.title}" is due soon`,
+                    data: { dueDate: event.data.dueDate }
+                });
+                break;
+            }
+            default:
+                break;
+        }
+    } catch (error) {
+        console.error(`Failed to create notifications for ${event.type}:`, error);
+    }
+};
+
+appEvents.on('event', createNotifications);
+
+// Mail transports
+// Every transport exposes send({ to, subject, text, html }); MAIL_TRANSPORT picks one:
+//   smtp (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS), file (.eml files in
+//   MAIL_OUTBOX_PATH) or console (development default)
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        send: (message) => transporter.sendMail({ from: MAIL_FROM, ...message })
+    };
+};
+
+const createFileTransport = (outboxDir) => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+        async send(message) {
+            const info = await transporter.sendMail({ from: MAIL_FROM, ...message });
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+            await fs.promises.writeFile(path.join(outboxDir, fileName), info.message);
+        }
+    };
+};
+
+const createConsoleTransport = () => ({
+    async send(message) {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}\n`);
+    }
+});
+
+const mailTransports = {
+    smtp: createSmtpTransport,
+    file: () => createFileTransport(MAIL_OUTBOX_PATH),
+    console: createConsoleTransport
+};
+
+if (!mailTransports[MAIL_TRANSPORT]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}"`);
+}
+// The console transport prints password reset and verification links, which must not end up in production logs
+if (process.env.NODE_ENV === 'production' && MAIL_TRANSPORT === 'console') {
+    throw new Error('Set MAIL_TRANSPORT to smtp or file in production');
+}
+
+const mailTransport = mailTransports[MAIL_TRANSPORT]();
+
+// Email templates
+// Each template turns its data into { subject, text, html }; values are escaped for the HTML part
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+const renderEmailLayout = (heading, bodyHtml) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#172b4d;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:6px;padding:24px;">
+    <h2 style="margin-top:0;font-size:18px;">${escapeHtml(heading)}</h2>
+    ${bodyHtml}
+    <p style="margin-top:32px;font-size:12px;color:#6b778c;">
+      You can change which emails you receive in your notification preferences.
+    </p>
+  </div>
+</body>
+</html>`;
+
+const notificationExcerpt = (notification) => (notification.data && notification.data.excerpt) || '';
+
+const EMAIL_TEMPLATES = {
+    notification: ({ user, notification }) => {
+        const excerpt = notificationExcerpt(notification);
+        return {
+            subject: notification.message,
+            text: [
+                `Hi ${user.firstName},`,
+                '',
+                notification.message,
+                ...(excerpt ? [`"${excerpt}"`] : []),
+                '',
+                `Open the app: ${APP_URL}`
+            ].join('\n'),
+            html: renderEmailLayout(notification.message, `
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>${escapeHtml(notification.message)}</p>
+    ${excerpt ? `<blockquote style="margin:0;padding-left:12px;border-left:3px solid #dfe1e6;">${escapeHtml(excerpt)}</blockquote>` : ''}
+    <p><a href="${escapeHtml(APP_URL)}">Open the app</a></p>`)
+        };
+    },
+
+    digest: ({ user, notifications }) => {
+        const subject = `Your daily summary: ${notifications.length} update${notifications.length === 1 ? '' : 's'}`;
+        return {
+            subject,
+            text: [
+                `Hi ${user.firstName}, here is what happened since your last summary:`,
+                '',
+                ...notifications.map(notification => `- ${notification.message}`),
+                '',
+                `Open the app: ${APP_URL}`
+            ].join('\n'),
+            html: renderEmailLayout(subject, `
+    <p>Hi ${escapeHtml(user.firstName)}, here is what happened since your last summary:</p>
+    <ul>
+      ${notifications.map(notification => `<li>${escapeHtml(notification.message)}</li>`).join('\n      ')}
+    </ul>
+    <p><a href="${escapeHtml(APP_URL)}">Open the app</a></p>`)
+        };
+    },
+
+    password_reset: ({ user, link }) => ({
+        subject: 'Reset your password',
+        text: [
+            `Hi ${user.firstName},`,
+            '',
+            'Someone asked to reset the password for your account. Use this link within the next hour:',
+            link,
+            '',
+            'If it was not you, ignore this email; your password stays the same.'
+        ].join('\n'),
+        html: renderEmailLayout('Reset your password', `
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>Someone asked to reset the password for your account. The link works once, within the next hour.</p>
+    <p><a href="${escapeHtml(link)}">Choose a new password</a></p>
+    <p>If it was not you, ignore this email; your password stays the same.</p>`)
+    }),
+
+    email_verification: ({ user, link }) => ({
+        subject: 'Confirm your email address',
+        text: [
+            `Hi ${user.firstName},`,
+            '',
+            'Please confirm your email address by opening this link:',
+            link
+        ].join('\n'),
+        html: renderEmailLayout('Confirm your email address', `
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>Please confirm your email address.</p>
+    <p><a href="${escapeHtml(link)}">Confirm email address</a></p>`)
+    }),
+
+    test: ({ user }) => ({
+        subject: 'Test email',
+        text: `Hi ${user.firstName}, email delivery through the "${MAIL_TRANSPORT}" transport works.`,
+        html: renderEmailLayout('Test email', `
+    <p>Hi ${escapeHtml(user.firstName)}, email delivery through the "${escapeHtml(MAIL_TRANSPORT)}" transport works.</p>`)
+    })
+};
+
+// Email queue
+// Requests only insert into the queue; the worker sends in the background, so no route waits on mail.
+const queueEmail = async ({ to, user, template, data }) => {
+    const message = await EmailMessage.create({ to, user, template, ...EMAIL_TEMPLATES[template](data) });
+    setImmediate(processEmailQueue);
+    return message;
+};
+
+const emailPreferenceFor = (user, type) => {
+    const preferences = user.emailPreferences || {};
+    return preferences[type] || DEFAULT_EMAIL_PREFERENCES[type] || 'off';
+};
+
+const emailPreferencesOf = (user) => Object.fromEntries(
+    Object.keys(DEFAULT_EMAIL_PREFERENCES).map(type => [type, emailPreferenceFor(user, type)])
+);
+
+// Immediate-mode notifications are mailed one by one; digest-mode ones wait for the daily digest
+const queueNotificationEmails = async (notifications) => {
+    try {
+        const users = await User.find({
+            _id: { $in: notifications.map(notification => notification.user) },
+            isActive: true,
+            emailVerified: { $ne: false }
+        })
+            .select('email firstName lastName emailPreferences');
+        const usersById = new Map(users.map(user => [String(user._id), user]));
+
+        for (const notification of notifications) {
+            const user = usersById.get(String(notification.user));
+            if (!user || emailPreferenceFor(user, notification.type) !== 'immediate') continue;
+
+            await queueEmail({ to: user.email, user: user._id, template: 'notification', data: { user, notification } });
+        }
+    } catch (error) {
+        console.error('Failed to queue notification emails:', error);
+    }
+};
+
+const attemptEmailDelivery = async (message) => {
+    message.attempts += 1;
+    message.lastAttemptAt = new Date();
+    message.lockedUntil = undefined;
+
+    try {
+        await mailTransport.send({ to: message.to, subject: message.subject, text: message.text, html: message.html });
+        message.status = 'sent';
+        message.sentAt = new Date();
+        message.error = undefined;
+    } catch (error) {
+        message.error = error.message;
+        if (message.attempts >= EMAIL_MAX_ATTEMPTS) {
+            message.status = 'failed';
+        } else {
+            message.nextAttemptAt = new Date(Date.now() + EMAIL_RETRY_BASE_MS * Math.pow(2, message.attempts - 1));
+        }
+    }
+
+    await message.save();
+};
+
+let emailWorkerRunning = false;
+
+// Messages are claimed with an atomic lock, like webhook deliveries
+const processEmailQueue = async () => {
+    if (emailWorkerRunning || mongoose.connection.readyState !== 1) return;
+    emailWorkerRunning = true;
+
+    try {
+        for (;;) {
+            const now = new Date();
+            const message = await EmailMessage.findOneAndUpdate(
+                {
+                    status: 'pending',
+                    nextAttemptAt: { $lte: now },
+                    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+                },
+                { lockedUntil: new Date(now.getTime() + EMAIL_LOCK_MS) },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            );
+            if (!message) break;
+
+            await attemptEmailDelivery(message);
+        }
+    } catch (error) {
+        console.error('Email worker error:', error);
+    } finally {
+        emailWorkerRunning = false;
+    }
+};
+
+setInterval(processEmailQueue, EMAIL_POLL_INTERVAL_MS).unref();
+
+// Daily digest
+// After DIGEST_HOUR_UTC each user with digest-mode types gets everything of those types since
+// their previous digest. Advancing lastDigestAt atomically claims the user, so each instance
+// sending digests at once still mails every user only once.
+const sendDailyDigests = async () => {
+    if (mongoose.connection.readyState !== 1) return;
+
+    const now = new Date();
+    const todaysRun = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), DIGEST_HOUR_UTC));
+    if (now < todaysRun) return;
+
+    const due = { $or: [{ lastDigestAt: null }, { lastDigestAt: { $lt: todaysRun } }] };
+    const wantsDigest = {
+        $or: [
+            { emailPreferences: { $exists: false } },
+            ...Object.keys(DEFAULT_EMAIL_PREFERENCES).map(type => ({ [`emailPreferences.${type}`]: 'digest' }))
+        ]
+    };
+
+    try {
+        const candidates = await User.find({ isActive: true, emailVerified: { $ne: false }, $and: [due, wantsDigest] })
+            .select('_id');
+        for (const candidate of candidates) {
+            // Resolves with the user as it was before the claim, i.e. with the previous lastDigestAt
+            const user = await User.findOneAndUpdate({ _id: candidate._id, ...due }, { lastDigestAt: now })
+                .select('email firstName lastName emailPreferences lastDigestAt');
+            if (!user) continue;
+
+            const types = Object.keys(DEFAULT_EMAIL_PREFERENCES).filter(type => emailPreferenceFor(user, type) === 'digest');
+            const notifications = await Notification.find({
+                user: user._id,
+                type: { $in: types },
+                createdAt: { $gt: user.lastDigestAt || new Date(now.getTime() - DAY_MS), $lte: now }
+            }).sort({ createdAt: 1 });
+            if (notifications.length === 0) continue;
+
+            await queueEmail({ to: user.email, user: user._id, template: 'digest', data: { user, notifications } });
+        }
+    } catch (error) {
+        console.error('Daily digest failed:', error);
+    }
+};
+
+setInterval(sendDailyDigests, DIGEST_CHECK_INTERVAL_MS).unref();
+
+// Recurring tasks
+// Accepts a rule object or an RRULE string ("FREQ=WEEKLY;BYDAY=MO,TH;COUNT=10"); null clears it.
+// Resolves with { value } or { error }.
+const parseRecurrence = (input) => {
+    if (input === null || input === '') return { value: null };
+
+    let rule = input;
+    if (typeof input === 'string') {
+        rule = {};
+        for (const part of input.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+            const [key, value = ''] = part.split('=');
+            switch (key.toUpperCase()) {
+                case 'FREQ': rule.freq = value.toLowerCase(); break;
+                case 'INTERVAL': rule.interval = Number(value); break;
+                case 'BYDAY': rule.byWeekday = value.split(','); break;
+                case 'BYMONTHDAY': rule.byMonthDay = Number(value); break;
+                case 'COUNT': rule.count = Number(value); break;
+                case 'UNTIL':
+                    rule.until = value.replace(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/,
+                        (match, y, m, d, hh = '23', mm = '59', ss = '59') => `${y}-${m}-${d}T${hh}:${mm}:${ss}Z`);
+                    break;
+                default:
+                    return { error: `Unsupported recurrence part "${key}"` };
+            }
+        }
+    }
+
+    if (typeof rule !== 'object' || !RECURRENCE_FREQUENCIES.includes(rule.freq)) {
+        return { error: `Recurrence freq must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}` };
+    }
+
+    const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+    if (!Number.isInteger(interval) || interval < 1) {
+        return { error: 'Recurrence interval must be a positive whole number' };
+    }
+
+    const byWeekday = (rule.byWeekday || []).map(day => (
+        typeof day === 'string' ? RRULE_WEEKDAYS.indexOf(day.toUpperCase()) : day
+    ));
+    if (byWeekday.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return { error: 'Recurrence weekdays must be 0-6 or MO, TU, WE, TH, FR, SA, SU' };
+    }
+
+    const value = { freq: rule.freq, interval, byWeekday: [...new Set(byWeekday)].sort() };
+
+    if (rule.byMonthDay !== undefined && rule.byMonthDay !== null) {
+        if (!Number.isInteger(rule.byMonthDay) || rule.byMonthDay < 1 || rule.byMonthDay > 31) {
+            return { error: 'Recurrence byMonthDay must be between 1 and 31' };
+        }
+        value.byMonthDay = rule.byMonthDay;
+    }
+    if (rule.count !== undefined && rule.count !== null) {
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+            return { error: 'Recurrence count must be a positive whole number' };
+        }
+        value.count = rule.count;
+    }
+    if (rule.until) {
+        value.until = new Date(rule.until);
+        if (isNaN(value.until)) {
+            return { error: 'Recurrence until must be a valid date' };
+        }
+    }
+
+    return { value };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Same time of day in the target month, clamped to its last day (the 31st becomes the 30th in April)
+const shiftMonths = (date, months, dayOfMonth) => {
+    const target = new Date(date);
+    target.setUTCDate(1);
+    target.setUTCMonth(target.getUTCMonth() + months);
+    target.setUTCDate(Math.min(dayOfMonth, daysInMonth(target.getUTCFullYear(), target.getUTCMonth())));
+    return target;
+};
+
+// The first occurrence after `from`; weeks start on Monday as in RRULE's default WKST
+const nextOccurrence = (rule, from) => {
+    const interval = rule.interval || 1;
+
+    switch (rule.freq) {
+        case 'daily':
+            return new Date(from.getTime() + interval * DAY_MS);
+        case 'weekly': {
+            if (!rule.byWeekday || rule.byWeekday.length === 0) {
+                return new Date(from.getTime() + interval * 7 * DAY_MS);
+            }
+            const weekStart = (date) => Math.floor((date.getTime() / DAY_MS - ((date.getUTCDay() + 6) % 7)));
+            for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+                const candidate = new Date(from.getTime() + offset * DAY_MS);
+                const weeks = Math.round((weekStart(candidate) - weekStart(from)) / 7);
+                if (weeks % interval === 0 && rule.byWeekday.includes(candidate.getUTCDay())) {
+                    return candidate;
+                }
+            }
+            return null;
+        }
+        case 'monthly':
+            return shiftMonths(from, interval, rule.byMonthDay || from.getUTCDate());
+        case 'yearly':
+            return shiftMonths(from, interval * 12, from.getUTCDate());
+        default:
+            return null;
+    }
+};
+
+// Creates the occurrence after `task` unless the series has ended or it already exists.
+// Errors are logged rather than thrown so they never fail the completing request.
+const spawnNextOccurrence = async (task, actor) => {
+    try {
+        const rule = task.recurrence;
+        if (!rule || !rule.freq) return null;
+
+        const occurrence = (task.occurrence || 1) + 1;
+        if (rule.count && occurrence > rule.count) return null;
+
+        const from = task.dueDate || new Date();
+        const dueDate = nextOccurrence(rule, from);
+        if (!dueDate || (rule.until && dueDate > rule.until)) return null;
+
+        const project = await findTaskProject(task.project);
+        if (!project || project.archivedAt) return null;
+
+        const workflow = getWorkflow(project);
+        const status = findWorkflowStatus(workflow, workflow.initialStatus) || workflow.statuses[0];
+        const lastTask = await Task.findOne({ status: status.key }).sort({ position: -1 }).select('position');
+
+        let next;
+        try {
+            next = await Task.create({
+                title: task.title,
+                description: task.description,
+                priority: task.priority,
+                tags: task.tags,
+                estimatedHours: task.estimatedHours,
+                watchers: task.watchers,
+                assignedTo: task.assignedTo && (task.assignedTo._id || task.assignedTo),
+                createdBy: task.createdBy && (task.createdBy._id || task.createdBy),
+                project: project._id,
+                status: status.key,
+                statusCategory: status.category,
+                position: lastTask ? lastTask.position + TASK_POSITION_STEP : TASK_POSITION_STEP,
+                dueDate,
+                // Pin the day of month so a clamped month (the 30th of April) does not drift the series
+                recurrence: rule.freq === 'monthly' && !rule.byMonthDay
+                    ? { ...rule.toObject(), byMonthDay: from.getUTCDate() }
+                    : rule.toObject(),
+                recurrenceSeries: task.recurrenceSeries || task._id,
+                occurrence
+            });
+        } catch (error) {
+            if (error.code === 11000) return null; // this occurrence already exists
+            throw error;
+        }
+
+        await refreshProjectStats(project._id);
+        const populatedTask = await Task.findById(next._id)
+            .populate('project', 'name')
+            .populate('assignedTo', 'firstName lastName username')
+            .populate('createdBy', 'firstName lastName username');
+        await publishEvent('task.created', { task: next, project, data: populatedTask, actor });
+
+        return populatedTask;
+    } catch (error) {
+        console.error('Failed to create the next occurrence:', error);
+        return null;
+    }
+};
+
+// Due date reminders
+// Every server instance runs the sweep. A reminder is claimed by atomically stamping the
+// due date it was sent for onto the task, so exactly one instance publishes each of them.
+const REMINDER_KINDS = [
+    {
+        type: 'task.due_soon',
+        field: 'reminders.dueSoonFor',
+        window: (now) => ({ $gt: now, $lte: new Date(now.getTime() + REMINDER_DUE_SOON_HOURS * 60 * 60 * 1000) })
+    },
+    {
+        type: 'task.overdue',
+        field: 'reminders.overdueFor',
+        window: (now) => ({ $lte: now, $gt: new Date(now.getTime() - REMINDER_OVERDUE_LOOKBACK_DAYS * DAY_MS) })
+    }
+];
+
+const sendDueReminders = async () => {
+    if (mongoose.connection.readyState !== 1) return;
+
+    const now = new Date();
+    try {
+        for (const kind of REMINDER_KINDS) {
+            const candidates = await Task.find({
+                dueDate: kind.window(now),
+                statusCategory: { $ne: 'done' },
+                archivedAt: null,
+                $expr: { $ne: [`$${kind.field}`, '$dueDate'] }
+            })
+                .select('dueDate')
+                .limit(REMINDER_BATCH_SIZE);
+
+            for (const candidate of candidates) {
+                const task = await Task.findOneAndUpdate(
+                    { _id: candidate._id, dueDate: candidate.dueDate, [kind.field]: { $ne: candidate.dueDate } },
+                    { $set: { [kind.field]: candidate.dueDate } },
+                    { new: true }
+                )
+                    .populate('project', 'name')
+                    .populate('assignedTo', 'firstName lastName username');
+                if (!task) continue; // claimed elsewhere, or the due date just changed
+
+                await publishEvent(kind.type, { task, data: task });
+            }
+        }
+    } catch (error) {
+        console.error('Reminder sweep failed:', error);
+    }
+};
+
+setInterval(sendDueReminders, REMINDER_INTERVAL_MS).unref();
+
+// Time tracking
+const minutesBetween = (startedAt, endedAt) => Math.max(0, Math.round((endedAt - startedAt) / 60000));
+
+// Manual logs give either startedAt/endedAt or a duration (minutes or hours) with an optional date
+const parseTimeEntryInput = (body) => {
+    let startedAt;
+    let endedAt;
+
+    if (body.startedAt || body.endedAt) {
+        startedAt = new Date(body.startedAt);
+        endedAt = new Date(body.endedAt);
+        if (isNaN(startedAt) || isNaN(endedAt)) {
+            return { error: 'startedAt and endedAt must both be valid dates' };
+        }
+        if (endedAt <= startedAt) {
+            return { error: 'endedAt must be after startedAt' };
+        }
+    } else {
+        const minutes = body.minutes !== undefined ? Number(body.minutes) : Number(body.hours) * 60;
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+            return { error: 'Provide startedAt and endedAt, or a positive minutes/hours value' };
+        }
+        startedAt = body.date ? new Date(body.date) : new Date(Date.now() - minutes * 60000);
+        if (isNaN(startedAt)) {
+            return { error: 'date must be a valid date' };
+        }
+        endedAt = new Date(startedAt.getTime() + Math.round(minutes) * 60000);
+    }
+
+    const minutes = minutesBetween(startedAt, endedAt);
+    if (minutes > MAX_TIME_ENTRY_MINUTES) {
+        return { error: `A single entry cannot exceed ${MAX_TIME_ENTRY_MINUTES / 60} hours` };
+    }
+    if (endedAt > new Date(Date.now() + 60000)) {
+        return { error: 'Time cannot be logged in the future' };
+    }
+    return { startedAt, endedAt, minutes };
+};
+
+const populateTimeEntry = (query) => query
+    .populate('user', 'firstName lastName username')
+    .populate('task', 'title');
+
+// actualHours is the sum of the task's finished entries; call after any entry change
+const syncActualHours = async (taskId, actor) => {
+    const previous = await Task.findById(taskId);
+    if (!previous) return;
+
+    const [totals] = await TimeEntry.aggregate([
+        { $match: { task: previous._id, endedAt: { $ne: null } } },
+        { $group: { _id: null, minutes: { $sum: '$minutes' } } }
+    ]);
+    const actualHours = Math.round(((totals ? totals.minutes : 0) / 60) * 100) / 100;
+    if (actualHours === previous.actualHours) return;
+
+    const task = await Task.findByIdAndUpdate(taskId, { actualHours, updatedAt: new Date() }, { new: true })
+        .populate('project', 'name')
+        .populate('assignedTo', 'firstName lastName username')
+        .populate('createdBy', 'firstName lastName username');
+    await refreshProjectStats(task.project);
+    await publishEvent('task.updated', { task, data: task, previous, actor });
+};
+
+// Ends the user's running timer, wherever it is; resolves with the stopped entry or null
+const stopRunningTimer = async (userId, filter = {}) => {
+    const entry = await TimeEntry.findOne({ ...filter, user: userId, endedAt: null });
+    if (!entry) return null;
+
+    entry.endedAt = new Date();
+    entry.minutes = minutesBetween(entry.startedAt, entry.endedAt);
+    entry.updatedAt = new Date();
+    await entry.save();
+    await syncActualHours(entry.task, userId);
+    return entry;
+};
+
+// Everyone sees their own time; managers also see time logged in projects they manage
+const timesheetAccessFilter = async (user) => {
+    if (user.projects) {
+        const projectIds = await Project.find(projectAccessFilter(user)).distinct('_id');
+        const own = user.role === 'user' ? { user: toObjectId(user.userId) } : {};
+        return { ...own, project: { $in: projectIds } };
+    }
+    if (user.role === 'admin') return {};
+
+    const userId = toObjectId(user.userId);
+    if (user.role !== 'manager') return { user: userId };
+
+    const projectIds = await Project.find(projectAccessFilter(user)).distinct('_id');
+    return { $or: [{ user: userId }, { project: { $in: projectIds } }] };
+};
+
+const TIMESHEET_PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V' };
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Task list queries
+// Filterable fields for GET /api/tasks. Plain `field=value` means equality; operators go in
+// brackets, e.g. dueDate[lt]=2025-01-01, priority[in]=high,urgent, assignedTo[exists]=false,
+// updatedAt[gte]=2025-06-01T00:00:00Z. `null` compares against unset values, `me` stands for the
+// caller on id fields, and dates may be relative (now-24h, today+7d) so saved views stay current.
+const TASK_FILTER_FIELDS = {
+    status: { type: 'string' },
+    statusCategory: { type: 'string', values: STATUS_CATEGORIES },
+    priority: { type: 'string', values: TASK_PRIORITIES },
+    tags: { type: 'string' },
+    project: { type: 'id' },
+    assignedTo: { type: 'id' },
+    createdBy: { type: 'id' },
+    parent: { type: 'id' },
+    dueDate: { type: 'date' },
+    createdAt: { type: 'date' },
+    updatedAt: { type: 'date' },
+    estimatedHours: { type: 'number' },
+    actualHours: { type: 'number' }
+};
+
+const FILTER_OPERATORS = {
+    eq: { types: ['string', 'id', 'date', 'number'] },
+    ne: { types: ['string', 'id', 'date', 'number'] },
+    in: { types: ['string', 'id', 'date', 'number'], list: true },
+    nin: { types: ['string', 'id', 'date', 'number'], list: true },
+    all: { types: ['string', 'id'], list: true }, // arrays such as tags: contains every value
+    lt: { types: ['date', 'number'] },
+    lte: { types: ['date', 'number'] },
+    gt: { types: ['date', 'number'] },
+    gte: { types: ['date', 'number'] },
+    exists: { types: ['string', 'id', 'date', 'number'] }
+};
+
+// Query parameters of GET /api/tasks that are not filters
+const TASK_LIST_PARAMS = ['sort', 'limit', 'cursor', 'page', 'includeArchived'];
+
+// Sort keys; ties are broken by _id so every cursor position is unique
+const TASK_SORT_FIELDS = {
+    createdAt: 'date',
+    updatedAt: 'date',
+    dueDate: 'date',
+    title: 'string',
+    position: 'number',
+    estimatedHours: 'number'
+};
+
+const RELATIVE_DATE_PATTERN = /^(now|today)(?:([+-])(\d{1,4})([hdw]))?$/;
+const RELATIVE_DATE_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// now[+-]N(h|d|w), or today[+-]N(d|w) counted from midnight UTC; null when raw is not relative
+const parseRelativeDate = (raw, now = new Date()) => {
+    const match = RELATIVE_DATE_PATTERN.exec(raw);
+    if (!match) return null;
+
+    const [, anchor, sign, amount, unit] = match;
+    const base = anchor === 'today'
+        ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+        : now.getTime();
+    const offset = sign ? Number(amount) * RELATIVE_DATE_UNITS[unit] * (sign === '-' ? -1 : 1) : 0;
+    return new Date(base + offset);
+};
+
+// Converts one raw value for a field; throws with a client-facing message
+const parseFilterValue = (field, definition, raw, user) => {
+    if (raw === 'null') return null;
+
+    switch (definition.type) {
+        case 'id':
+            // Kept for old clients: parent=none meant top-level tasks
+            if (field === 'parent' && raw === 'none') return null;
+            if (raw === 'me' && user) return toObjectId(user.userId);
+            if (!mongoose.Types.ObjectId.isValid(raw)) throw new Error(`${field} must be an id`);
+            return toObjectId(raw);
+        case 'date': {
+            const date = parseRelativeDate(raw) || new Date(raw);
+            if (Number.isNaN(date.getTime())) throw new Error(`${field} must be a date`);
+            return date;
+        }
+        case 'number': {
+            const number = Number(raw);
+            if (raw === '' || !Number.isFinite(number)) throw new Error(`${field} must be a number`);
+            return number;
+        }
+        default:
+            if (definition.values && !definition.values.includes(raw)) {
+                throw new Error(`${field} must be one of: ${definition.values.join(', ')}`);
+            }
+            return raw;
+    }
+};
+
+// Turns the query string into a MongoDB filter; throws on unknown fields or operators
+const parseTaskFilters = (query, user) => {
+    const filter = {};
+
+    Object.entries(query).forEach(([field, spec]) => {
+        if (TASK_LIST_PARAMS.includes(field)) return;
+
+        const definition = TASK_FILTER_FIELDS[field];
+        if (!definition) {
+            throw new Error(`Unknown filter field "${field}". Filterable fields: ${Object.keys(TASK_FILTER_FIELDS).join(', ')}`);
+        }
+
+        const operations = typeof spec === 'object' && !Array.isArray(spec) ? spec : { eq: spec };
+        const conditions = {};
+
+        Object.entries(operations).forEach(([operator, raw]) => {
+            const rule = FILTER_OPERATORS[operator];
+            if (!rule) {
+                throw new Error(`Unknown operator "${operator}" on ${field}. Operators: ${Object.keys(FILTER_OPERATORS).join(', ')}`);
+            }
+            if (!rule.types.includes(definition.type)) {
+                throw new Error(`Operator "${operator}" cannot be used on ${field}`);
+            }
+            if (typeof raw !== 'string' && !(rule.list && Array.isArray(raw))) {
+                throw new Error(`Invalid value for ${field}[${operator}]`);
+            }
+
+            if (operator === 'exists') {
+                if (!['true', 'false'].includes(raw)) throw new Error(`${field}[exists] must be true or false`);
+                // Unset and null are the same thing to the API
+                conditions[raw === 'true' ? '$ne' : '$eq'] = null;
+            } else if (rule.list) {
+                const values = (Array.isArray(raw) ? raw : raw.split(','))
+                    .map(value => value.trim())
+                    .filter(Boolean);
+                if (values.length === 0) throw new Error(`${field}[${operator}] needs at least one value`);
+                conditions[`$${operator}`] = values.map(value => parseFilterValue(field, definition, value, user));
+            } else {
+                conditions[`$${operator}`] = parseFilterValue(field, definition, raw, user);
+            }
+        });
+
+        filter[field] = conditions;
+    });
+
+    return filter;
+};
+
+const parseTaskSort = (sort = '-createdAt') => {
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const field = sort.replace(/^[-+]/, '');
+    if (!TASK_SORT_FIELDS[field]) {
+        throw new Error(`sort must be one of: ${Object.keys(TASK_SORT_FIELDS).join(', ')} (prefix with - for descending)`);
+    }
+    return { field, direction };
+};
+
+// Opaque to clients: the sort it belongs to plus the sort value and _id of the last row returned
+const encodeTaskCursor = (sort, task) => Buffer.from(JSON.stringify({
+    s: sort.field,
+    d: sort.direction,
+    v: task[sort.field] === undefined ? null : task[sort.field],
+    id: task._id
+})).toString('base64url');
+
+const decodeTaskCursor = (cursor, sort) => {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+    if (!position || position.s !== sort.field || position.d !== sort.direction || !mongoose.Types.ObjectId.isValid(position.id)) {
+        throw new Error('Cursor does not match this sort order');
+    }
+
+    const value = position.v !== null && TASK_SORT_FIELDS[sort.field] === 'date' ? new Date(position.v) : position.v;
+    return { value, id: toObjectId(position.id) };
+};
+
+// Rows strictly after the cursor in (sort field, _id) order. MongoDB sorts null and missing
+// values first, so they come first ascending and last descending.
+const taskCursorFilter = ({ field, direction }, { value, id }) => {
+    const after = direction === 1 ? '$gt' : '$lt';
+    const tie = { [field]: value, _id: { [after]: id } };
+
+    if (value === null) {
+        return direction === 1 ? { $or: [tie, { [field]: { $ne: null } }] } : tie;
+    }
+
+    const conditions = [tie, { [field]: { [after]: value } }];
+    if (direction === -1) {
+        conditions.push({ [field]: null });
+    }
+    return { $or: conditions };
+};
+
+// Saved views
+// A view is replayed with the permissions of whoever opens it, so `me` and the task access
+// filter resolve per viewer; a view's project is applied on top of its filters.
+const canViewSavedView = (user, view) => sameId(view.owner, user.userId) ||
+    (view.visibility === 'project' && !!view.project && canViewProject(user, view.project));
+
+// Shared views can also be maintained by the project's managers
+const canEditSavedView = (user, view) => sameId(view.owner, user.userId) ||
+    (view.visibility === 'project' && !!view.project && canManageProject(user, view.project));
+
+const savedViewAccessFilter = async (user) => {
+    const projectIds = await Project.distinct('_id', projectAccessFilter(user));
+    return {
+        $or: [
+            { owner: toObjectId(user.userId) },
+            { visibility: 'project', project: { $in: projectIds } }
+        ]
+    };
+};
+
+// Populates what the access checks need; a trashed project populates as null
+const findSavedView = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return SavedView.findById(id)
+        .populate('owner', 'firstName lastName username')
+        .populate('project', 'name owner team');
+};
+
+const viewScope = (view) => (view.project ? [{ project: view.project._id || view.project }] : []);
+
+const serializeSavedView = (view, user) => ({
+    _id: view._id,
+    name: view.name,
+    owner: view.owner,
+    visibility: view.visibility,
+    project: view.project ? { _id: view.project._id, name: view.project.name } : null,
+    filters: view.filters,
+    sort: view.sort,
+    canEdit: canEditSavedView(user, view),
+    createdAt: view.createdAt,
+    updatedAt: view.updatedAt
+});
+
+// Validates a create or update body against the current view (if any); throws with a client-facing message
+const parseSavedViewInput = async (body, user, current = {}) => {
+    const input = {};
+
+    if (body.name !== undefined || !current.name) {
+        if (typeof body.name !== 'string' || !body.name.trim()) throw new Error('Name is required');
+        if (body.name.trim().length > 100) throw new Error('Name must be at most 100 characters');
+        input.name = body.name.trim();
+    }
+
+    if (body.filters !== undefined) {
+        const filters = body.filters;
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+            throw new Error('filters must be an object of task filter params');
+        }
+        const paging = Object.keys(filters).find(key => TASK_LIST_PARAMS.includes(key) && key !== 'includeArchived');
+        if (paging) throw new Error(`"${paging}" cannot be saved in filters`);
+        if (JSON.stringify(filters).length > MAX_VIEW_FILTERS_LENGTH) throw new Error('filters are too long');
+        parseTaskFilters(filters, user);
+        input.filters = filters;
+    }
+
+    if (body.sort !== undefined) {
+        const sort = parseTaskSort(String(body.sort));
+        input.sort = `${sort.direction === -1 ? '-' : ''}${sort.field}`;
+    }
+
+    if (body.visibility !== undefined && !VIEW_VISIBILITIES.includes(body.visibility)) {
+        throw new Error(`visibility must be one of: ${VIEW_VISIBILITIES.join(', ')}`);
+    }
+    const visibility = body.visibility || current.visibility || 'private';
+    input.visibility = visibility;
+
+    if (body.project !== undefined) {
+        if (body.project === null || body.project === '') {
+            input.project = null;
+        } else {
+            const project = await findTaskProject(body.project);
+            if (!project || !canViewProject(user, project)) throw new Error('Project not found');
+            input.project = project._id;
+        }
+    }
+    const project = input.project !== undefined ? input.project : current.project;
+    if (visibility === 'project' && !project) {
+        throw new Error('A shared view needs a project');
+    }
+
+    return input;
+};
+
+// Bulk task operations
+// What a bulk update may change; tags are replaced with `tags` or edited with addTags/removeTags
+const BULK_TASK_ACTIONS = ['update', 'delete'];
+const BULK_TASK_FIELDS = ['status', 'priority', 'assignedTo', 'dueDate', 'project', 'tags', 'addTags', 'removeTags'];
+
+// Checks the parts of a bulk change that do not depend on the task; throws with a client-facing message
+const parseBulkChanges = (changes) => {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw new Error('changes must be an object');
+    }
+
+    const fields = Object.keys(changes);
+    if (fields.length === 0) {
+        throw new Error(`changes needs at least one of: ${BULK_TASK_FIELDS.join(', ')}`);
+    }
+    const unknown = fields.find(field => !BULK_TASK_FIELDS.includes(field));
+    if (unknown) {
+        throw new Error(`"${unknown}" cannot be changed in bulk. Fields: ${BULK_TASK_FIELDS.join(', ')}`);
+    }
+
+    if (changes.status !== undefined && (typeof changes.status !== 'string' || !changes.status)) {
+        throw new Error('status must be a status key');
+    }
+    if (changes.priority !== undefined && !TASK_PRIORITIES.includes(changes.priority)) {
+        throw new Error(`priority must be one of: ${TASK_PRIORITIES.join(', ')}`);
+    }
+    if (changes.assignedTo !== undefined && changes.assignedTo !== null && !mongoose.Types.ObjectId.isValid(changes.assignedTo)) {
+        throw new Error('assignedTo must be a user id or null');
+    }
+    if (changes.project !== undefined && !mongoose.Types.ObjectId.isValid(changes.project)) {
+        throw new Error('project must be a project id');
+    }
+    if (changes.dueDate !== undefined && changes.dueDate !== null && Number.isNaN(new Date(changes.dueDate).getTime())) {
+        throw new Error('dueDate must be a date or null');
+    }
+    ['tags', 'addTags', 'removeTags'].forEach(field => {
+        const tags = changes[field];
+        if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim()))) {
+            throw new Error(`${field} must be a list of tags`);
+        }
+    });
+    if (changes.tags && (changes.addTags || changes.removeTags)) {
+        throw new Error('Use either tags or addTags/removeTags');
+    }
+};
+
+// The PUT body for one task, with tag additions and removals applied to its current tags
+const bulkUpdateBody = (task, changes) => {
+    const { addTags, removeTags, ...body } = changes;
+    if (addTags || removeTags) {
+        const removed = new Set((removeTags || []).map(tag => tag.trim()));
+        body.tags = [...new Set([...task.tags, ...(addTags || []).map(tag => tag.trim())])]
+            .filter(tag => !removed.has(tag));
+    }
+    return body;
+};
+
+// Search
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Splits a query into what the text index answers and a trailing partial word. Quoted phrases
+// and -exclusions follow $text syntax; the last bare word, unless a space follows it, is matched
+// as a prefix so results show up while the user is still typing.
+const parseSearchQuery = (q) => {
+    const tokens = (q.match(/-?"[^"]*"?|\S+/g) || [])
+        .map(token => (token.includes('"') && !token.endsWith('"') ? `${token}"` : token))
+        .filter(token => !['-', '"', '-"', '""', '-""'].includes(token));
+
+    let prefix = null;
+    const last = tokens[tokens.length - 1];
+    if (last && !/\s$/.test(q) && !/^[-"]/.test(last)) {
+        prefix = tokens.pop();
+    }
+
+    // Highlight words starting with each positive term, allowing for simple plurals and tenses
+    // the text index would have stemmed
+    const terms = tokens
+        .filter(token => !token.startsWith('-'))
+        .map(token => token.replace(/"/g, ''))
+        .map(term => (term.includes(' ') ? term : term.replace(/(ing|ed|es|s)$/i, '') || term))
+        .concat(prefix ? [prefix] : [])
+        .filter(term => term.length > 0);
+
+    return {
+        text: tokens.join(' '),
+        prefix,
+        highlight: terms.length > 0
+            ? new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})[\\w'-]*`, 'gi')
+            : null
+    };
+};
+
+// The first $match stage: the text search plus a prefix match on the given fields
+const searchMatch = (parsed, prefixFields) => {
+    const match = {};
+    if (parsed.text) {
+        match.$text = { $search: parsed.text };
+    }
+    if (parsed.prefix) {
+        const regex = new RegExp(`\\b${escapeRegex(parsed.prefix)}`, 'i');
+        match.$or = prefixFields.map(field => ({ [field]: regex }));
+    }
+    return match;
+};
+
+// Text relevance, plus a bonus when the prefix matches in the title rather than elsewhere
+const searchScore = (parsed, titleField) => {
+    const parts = [];
+    if (parsed.text) {
+        parts.push({ $meta: 'textScore' });
+    }
+    if (parsed.prefix) {
+        const regex = new RegExp(`\\b${escapeRegex(parsed.prefix)}`, 'i');
+        parts.push({ $cond: [{ $regexMatch: { input: `$${titleField}`, regex } }, 1, 0.5] });
+    }
+    return { $add: parts };
+};
+
+// Splits text into [{ text, match }] segments around the hits, cut down to a window around the
+// first one so long descriptions stay short; null when nothing matches
+const highlightText = (text, pattern, radius = SEARCH_SNIPPET_RADIUS) => {
+    if (!text || !pattern) return null;
+
+    const first = text.search(pattern);
+    if (first === -1) return null;
+
+    const start = Math.max(0, first - radius);
+    const end = Math.min(text.length, first + radius * 2);
+    const excerpt = text.slice(start, end);
+
+    const segments = [];
+    let cursor = 0;
+    for (const hit of excerpt.matchAll(pattern)) {
+        if (hit.index > cursor) {
+            segments.push({ text: excerpt.slice(cursor, hit.index), match: false });
+        }
+        segments.push({ text: hit[0], match: true });
+        cursor = hit.index + hit[0].length;
+    }
+    if (cursor < excerpt.length) {
+        segments.push({ text: excerpt.slice(cursor), match: false });
+    }
+
+    if (start > 0) segments.unshift({ text: '…', match: false });
+    if (end < text.length) segments.push({ text: '…', match: false });
+    return segments;
+};
+
+const highlightTaskResult = (task, pattern) => ({
+    title: highlightText(task.title, pattern, Infinity) || [{ text: task.title, match: false }],
+    description: highlightText(task.description, pattern),
+    tags: (task.tags || []).filter(tag => pattern && tag.search(pattern) !== -1),
+    comments: (task.comments || [])
+        .map(comment => ({ _id: comment._id, user: comment.user, text: highlightText(comment.text, pattern) }))
+        .filter(comment => comment.text)
+        .slice(0, 3)
+});
+
+const countFacet = (field) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: 20 }
+];
+
+// Facet values are ids; attach a readable label to each
+const labelFacet = (buckets, docs, label) => buckets.map(bucket => {
+    const doc = bucket._id && docs.find(item => sameId(item, bucket._id));
+    return { value: bucket._id, label: doc ? label(doc) : null, count: bucket.count };
+});
+
+// Status keys come from each project's workflow; label them from the first matching project
+// that defines the key, then the default workflow
+const labelStatusFacet = (buckets, projects) => {
+    const workflows = [...projects.map(getWorkflow), DEFAULT_WORKFLOW];
+    return buckets.map(bucket => {
+        const definition = workflows.map(workflow => findWorkflowStatus(workflow, bucket._id)).find(Boolean);
+        return { value: bucket._id, label: definition ? definition.label : null, count: bucket.count };
+    });
+};
+
+const searchTasks = async (user, parsed, filters, { skip, limit }) => {
+    const [facetResult] = await Task.aggregate([
+        { $match: { ...searchMatch(parsed, ['title', 'tags', 'description', 'comments.text']), $and: [filters, await taskAccessFilter(user)] } },
+        { $addFields: { score: searchScore(parsed, 'title') } },
+        {
+            $facet: {
+                results: [
+                    { $sort: { score: -1, updatedAt: -1 } },
+                    { $skip: skip },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            title: 1, description: 1, status: 1, statusCategory: 1, priority: 1, project: 1,
+                            assignedTo: 1, tags: 1, dueDate: 1, updatedAt: 1, score: 1,
+                            'comments._id': 1, 'comments.text': 1, 'comments.user': 1
+                        }
+                    }
+                ],
+                total: [{ $count: 'count' }],
+                status: countFacet('$status'),
+                priority: countFacet('$priority'),
+                project: countFacet('$project'),
+                projectIds: [{ $group: { _id: '$project' } }],
+                tag: [{ $unwind: '$tags' }, ...countFacet('$tags')],
+                assignedTo: countFacet('$assignedTo')
+            }
+        }
+    ]);
+
+    const results = await Task.populate(facetResult.results, [
+        { path: 'project', select: 'name' },
+        { path: 'assignedTo', select: 'firstName lastName username' },
+        { path: 'comments.user', select: 'firstName lastName username' }
+    ]);
+    const [projects, users] = await Promise.all([
+        Project.find({ _id: { $in: facetResult.projectIds.map(group => group._id).filter(Boolean) } }).select('name workflow'),
+        User.find({ _id: { $in: facetResult.assignedTo.map(bucket => bucket._id).filter(Boolean) } }).select('firstName lastName')
+    ]);
+
+    return {
+        results: results.map(({ comments, ...task }) => ({
+            ...task,
+            highlights: highlightTaskResult({ ...task, comments }, parsed.highlight)
+        })),
+        total: facetResult.total.length > 0 ? facetResult.total[0].count : 0,
+        facets: {
+            status: labelStatusFacet(facetResult.status, projects),
+            priority: facetResult.priority.map(bucket => ({ value: bucket._id, count: bucket.count })),
+            project: labelFacet(facetResult.project, projects, project => project.name),
+            tag: facetResult.tag.map(bucket => ({ value: bucket._id, count: bucket.count })),
+            assignedTo: labelFacet(facetResult.assignedTo, users, displayName)
+        }
+    };
+};
+
+const searchProjects = async (user, parsed, { skip, limit }) => {
+    const [facetResult] = await Project.aggregate([
+        { $match: { ...searchMatch(parsed, ['name', 'description']), $and: [projectAccessFilter(user), { archivedAt: null }] } },
+        { $addFields: { score: searchScore(parsed, 'name') } },
+        {
+            $facet: {
+                results: [
+                    { $sort: { score: -1, updatedAt: -1 } },
+                    { $skip: skip },
+                    { $limit: limit },
+                    { $project: { name: 1, description: 1, status: 1, progress: 1, updatedAt: 1, score: 1 } }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    return {
+        results: facetResult.results.map(project => ({
+            ...project,
+            highlights: {
+                name: highlightText(project.name, parsed.highlight, Infinity) || [{ text: project.name, match: false }],
+                description: highlightText(project.description, parsed.highlight)
+            }
+        })),
+        total: facetResult.total.length > 0 ? facetResult.total[0].count : 0
+    };
+};
+
+// CSV export
+// Cells that a spreadsheet would evaluate as formulas are prefixed with a quote
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvCell).join(',');
+
+const toCsv = (columns, rows) => [
+    csvRow(columns.map(column => column.header)),
+    ...rows.map(row => csvRow(columns.map(column => column.value(row))))
+].join('\r\n');
+
+const displayName = (user) => (user ? `${user.firstName} ${user.lastName}`.trim() || user.username : '');
+
+// Import and export
+// Columns shared by CSV (header) and JSON (key) exports. The keys and headers are also
+// recognised on import, so an exported file can be imported again without a mapping.
+const TASK_EXPORT_COLUMNS = [
+    { key: 'id', header: 'ID', value: task => String(task._id) },
+    { key: 'title', header: 'Title', value: task => task.title },
+    { key: 'description', header: 'Description', value: task => task.description },
+    { key: 'status', header: 'Status', value: task => task.status },
+    { key: 'priority', header: 'Priority', value: task => task.priority },
+    { key: 'project', header: 'Project', value: task => (task.project ? task.project.name : null) },
+    { key: 'assignedTo', header: 'Assignee', value: task => (task.assignedTo ? task.assignedTo.username : null) },
+    { key: 'createdBy', header: 'Created by', value: task => (task.createdBy ? task.createdBy.username : null) },
+    { key: 'dueDate', header: 'Due date', value: task => task.dueDate || null },
+    { key: 'estimatedHours', header: 'Estimated hours', value: task => task.estimatedHours ?? null },
+    { key: 'actualHours', header: 'Actual hours', value: task => task.actualHours ?? null },
+    { key: 'tags', header: 'Tags', value: task => task.tags },
+    { key: 'createdAt', header: 'Created', value: task => task.createdAt },
+    { key: 'updatedAt', header: 'Updated', value: task => task.updatedAt }
+];
+
+const PROJECT_EXPORT_COLUMNS = [
+    { key: 'id', header: 'ID', value: project => String(project._id) },
+    { key: 'name', header: 'Name', value: project => project.name },
+    { key: 'description', header: 'Description', value: project => project.description },
+    { key: 'status', header: 'Status', value: project => project.status },
+    { key: 'owner', header: 'Owner', value: project => (project.owner ? project.owner.username : null) },
+    { key: 'team', header: 'Team', value: project => (project.team || []).filter(Boolean).map(member => member.username) },
+    { key: 'startDate', header: 'Start date', value: project => project.startDate || null },
+    { key: 'endDate', header: 'End date', value: project => project.endDate || null },
+    { key: 'budget', header: 'Budget', value: project => project.budget ?? null },
+    { key: 'hourlyRate', header: 'Hourly rate', value: project => project.hourlyRate ?? null },
+    { key: 'progress', header: 'Progress', value: project => project.progress },
+    { key: 'archivedAt', header: 'Archived', value: project => project.archivedAt || null },
+    { key: 'createdAt', header: 'Created', value: project => project.createdAt }
+];
+
+// Resolves once the chunk is buffered, waiting for 'drain' when the client reads slowly
+const writeChunk = (res, chunk) => new Promise(resolve => {
+    if (res.write(chunk)) return resolve();
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+// Streams a query cursor as CSV or as a JSON array, one document at a time
+const streamExport = async (res, { cursor, columns, format, filename }) => {
+    res.type(format === 'csv' ? 'text/csv' : 'application/json');
+    res.attachment(`${filename}-${new Date().toISOString().slice(0, 10)}.${format}`);
+
+    try {
+        await writeChunk(res, format === 'csv' ? `${csvRow(columns.map(column => column.header))}\r\n` : '[');
+
+        let count = 0;
+        for await (const doc of cursor) {
+            if (res.destroyed) break;
+
+            const values = columns.map(column => column.value(doc));
+            const chunk = format === 'csv'
+                ? `${csvRow(values.map(value => (Array.isArray(value) ? value.join(', ') : value)))}\r\n`
+                : `${count > 0 ? ',' : ''}\n${JSON.stringify(Object.fromEntries(columns.map((column, index) => [column.key, values[index]])))}`;
+            count += 1;
+            await writeChunk(res, chunk);
+        }
+
+        res.end(format === 'csv' ? '' : '\n]\n');
+    } catch (error) {
+        // The status line is already sent, so a failure can only cut the download short
+        console.error('Export error:', error);
+        res.destroy(error);
+    } finally {
+        await cursor.close();
+    }
+};
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index += 1) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                cell += '"';
+                index += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index += 1;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) throw new Error('CSV has an unterminated quoted field');
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Fields an import may set. `aliases` are other column names recognised without a mapping;
+// export keys and headers are added below.
+const TASK_IMPORT_FIELDS = {
+    title: { type: 'string', required: true, aliases: ['name', 'summary'] },
+    description: { type: 'string' },
+    status: { type: 'string' },
+    priority: { type: 'string' },
+    project: { type: 'project', required: true },
+    assignedTo: { type: 'user', aliases: ['assignee', 'assigned to'] },
+    dueDate: { type: 'date', aliases: ['due'] },
+    estimatedHours: { type: 'number', aliases: ['estimate'] },
+    tags: { type: 'list', aliases: ['labels'] }
+};
+
+const PROJECT_IMPORT_FIELDS = {
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    status: { type: 'string' },
+    startDate: { type: 'date', aliases: ['start'] },
+    endDate: { type: 'date', aliases: ['end'] },
+    budget: { type: 'number' },
+    hourlyRate: { type: 'number', aliases: ['rate'] },
+    team: { type: 'users', aliases: ['members'] }
+};
+
+const normalizeColumnName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// `mapping` is an object, or JSON text when it comes with a multipart upload
+const parseImportMapping = (raw) => {
+    if (raw === undefined || raw === null || raw === '') return {};
+
+    let mapping = raw;
+    if (typeof raw === 'string') {
+        try {
+            mapping = JSON.parse(raw);
+        } catch (error) {
+            throw new Error('mapping must be a JSON object');
+        }
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new Error('mapping must be an object of column: field');
+    }
+    return mapping;
+};
+
+// Source column -> field, from the caller's mapping where given and from names otherwise.
+// Throws on a mapping to an unknown field or two columns mapped to one field.
+const resolveImportMapping = (columns, fields, exportColumns, mapping = {}) => {
+    const known = new Map();
+    Object.entries(fields).forEach(([field, definition]) => {
+        const exported = exportColumns.find(column => column.key === field);
+        [field, ...(definition.aliases || []), ...(exported ? [exported.header] : [])]
+            .forEach(name => known.set(normalizeColumnName(name), field));
+    });
+
+    const resolved = {};
+    columns.forEach(column => {
+        const target = Object.prototype.hasOwnProperty.call(mapping, column)
+            ? mapping[column] || null
+            : known.get(normalizeColumnName(column)) || null;
+        if (target && !Object.prototype.hasOwnProperty.call(fields, target)) {
+            throw new Error(`Cannot map "${column}" to unknown field "${target}". Fields: ${Object.keys(fields).join(', ')}`);
+        }
+        resolved[column] = target;
+    });
+
+    const targets = Object.values(resolved).filter(Boolean);
+    const duplicate = targets.find((target, index) => targets.indexOf(target) !== index);
+    if (duplicate) throw new Error(`More than one column is mapped to "${duplicate}"`);
+
+    const missing = Object.keys(fields).filter(field => fields[field].required && !targets.includes(field));
+    if (missing.length > 0) throw new Error(`No column is mapped to required field(s): ${missing.join(', ')}`);
+
+    return resolved;
+};
+
+// The request's file (multipart `file`) or `data` (CSV text or a JSON array) as
+// { columns, records }, with each record's row number as a spreadsheet would show it
+const readImportData = (req) => {
+    const { file } = req;
+    const name = file ? file.originalname.toLowerCase() : '';
+    const format = req.body.format || (name.endsWith('.json') || (file && file.mimetype === 'application/json') ? 'json' : 'csv');
+    if (!IMPORT_FORMATS.includes(format)) {
+        throw new Error(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    let data = file ? file.buffer.toString('utf8') : req.body.data;
+    if (data === undefined || data === null || data === '') {
+        throw new Error('Upload a file or send the rows as data');
+    }
+    if (typeof data === 'string') {
+        // Uploads are capped by multer; the same limit applies to data sent in a JSON body
+        if (Buffer.byteLength(data) > MAX_IMPORT_FILE_SIZE) throw new Error('Import data is too large');
+        data = data.replace(/^\uFEFF/, '');
+    }
+
+    if (format === 'json') {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                throw new Error('data is not valid JSON');
+            }
+        }
+        if (!Array.isArray(data)) throw new Error('JSON imports must be an array of objects');
+        if (data.length > MAX_IMPORT_ROWS) throw new Error(`At most ${MAX_IMPORT_ROWS} rows per import`);
+        const notObject = data.findIndex(item => !item || typeof item !== 'object' || Array.isArray(item));
+        if (notObject !== -1) throw new Error(`Item ${notObject + 1} is not an object`);
+
+        return {
+            format,
+            columns: [...new Set(data.flatMap(item => Object.keys(item)))],
+            records: data.map((values, index) => ({ row: index + 1, values }))
+        };
+    }
+
+    if (typeof data !== 'string') throw new Error('CSV data must be text');
+    const [header = [], ...rows] = parseCsv(data);
+    const columns = header.map(column => column.trim());
+    if (columns.length === 0 || columns.every(column => !column)) throw new Error('CSV needs a header row');
+
+    const records = rows
+        .map((cells, index) => ({
+            row: index + 2,
+            // Undo the formula guard csvCell adds on export
+            values: Object.fromEntries(columns.map((column, position) => [
+                column,
+                (cells[position] || '').replace(/^'(?=[=+\-@\t\r])/, '')
+            ]))
+        }))
+        .filter(record => Object.values(record.values).some(value => value.trim() !== ''));
+    if (records.length > MAX_IMPORT_ROWS) throw new Error(`At most ${MAX_IMPORT_ROWS} rows per import`);
+
+    return { format, columns, records };
+};
+
+// A field's value from one record, trimmed and typed; undefined when blank. Throws on bad values.
+const importFieldValue = (field, definition, raw) => {
+    if (raw === undefined || raw === null) return undefined;
+    if (typeof raw === 'string' && raw.trim() === '') return undefined;
+
+    switch (definition.type) {
+        case 'number': {
+            const number = Number(raw);
+            if (!Number.isFinite(number)) throw new Error(`${field} must be a number`);
+            return number;
+        }
+        case 'date': {
+            const date = new Date(raw);
+            if (Number.isNaN(date.getTime())) throw new Error(`${field} must be a date`);
+            return date;
+        }
+        case 'list':
+        case 'users':
+            return (Array.isArray(raw) ? raw.map(String) : String(raw).split(/[,;]/))
+                .map(value => value.trim())
+                .filter(Boolean);
+        default:
+            if (typeof raw === 'object') throw new Error(`${field} must be text`);
+            return String(raw).trim();
+    }
+};
+
+// Every record as { row, values: { field: value } } or { row, errors: [{ field, error }] }
+const mapImportRecords = (records, mapping, fields) => records.map(({ row, values }) => {
+    const mapped = {};
+    const errors = [];
+    Object.entries(mapping).forEach(([column, field]) => {
+        if (!field) return;
+        try {
+            const value = importFieldValue(field, fields[field], values[column]);
+            if (value !== undefined) mapped[field] = value;
+        } catch (error) {
+            errors.push({ field, error: error.message });
+        }
+    });
+    Object.keys(fields)
+        .filter(field => fields[field].required && mapped[field] === undefined && !errors.some(error => error.field === field))
+        .forEach(field => errors.push({ field, error: `${field} is required` }));
+
+    return errors.length > 0 ? { row, errors } : { row, values: mapped };
+});
+
+// Case-insensitive lookup of active users by username or email
+const findImportUsers = async (references) => {
+    const names = [...new Set(references.map(reference => reference.toLowerCase()))];
+    if (names.length === 0) return new Map();
+
+    const users = await User.find({ isActive: true, $or: [{ username: { $in: names } }, { email: { $in: names } }] })
+        .collation({ locale: 'en', strength: 2 })
+        .select('username email');
+    const byName = new Map();
+    users.forEach(user => {
+        byName.set(user.username.toLowerCase(), user);
+        byName.set(user.email.toLowerCase(), user);
+    });
+    return byName;
+};
+
+// Projects the caller can see, by lower-cased name; names used twice map to every match
+const findImportProjects = async (user) => {
+    const projects = await Project.find({ ...projectAccessFilter(user), archivedAt: null });
+    const byName = new Map();
+    projects.forEach(project => {
+        const key = project.name.toLowerCase();
+        byName.set(key, [...(byName.get(key) || []), project]);
+    });
+    return byName;
+};
+
+// Problems in `errors` plus rows that failed later checks, in row order
+const importReport = ({ dryRun, format, mapping, records, errors, created }) => {
+    const sorted = [...errors].sort((a, b) => a.row - b.row);
+    const failedRows = new Set(sorted.map(error => error.row)).size;
+    return {
+        dryRun,
+        format,
+        mapping,
+        ignoredColumns: Object.keys(mapping).filter(column => !mapping[column]),
+        total: records.length,
+        succeeded: records.length - failedRows,
+        failed: failedRows,
+        errors: sorted,
+        ...(created && { created })
+    };
+};
+
+// Trello and Jira imports
+// Every export is parsed into the same shape, with ids from the source system as refs:
+//   projects: [{ ref, name, description, statuses: [{ name, category }], members: [personRef] }]
+//   people:   [{ ref, username, email, name }]
+//   tasks:    [{ ref, projectRef, title, description, status, statusCategory, priority, assignee,
+//                tags, dueDate, estimatedHours, position, createdAt, comments: [{ ref, author, text, createdAt }] }]
+//   skipped:  archived cards and lists, which are left out
+const IMPORT_SOURCE_LABELS = { trello: 'Trello', jira: 'Jira' };
+const IMPORT_JOB_MAX_ATTEMPTS = 3;
+
+// Trello lists have no category, so it is guessed from the list name
+const guessStatusCategory = (name) => {
+    if (/\b(done|complete|completed|closed|finished|resolved|shipped|released)\b/i.test(name)) return 'done';
+    if (/\b(doing|progress|review|testing|qa|active|started|blocked)\b/i.test(name)) return 'in-progress';
+    return 'todo';
+};
+
+// Adds a person under `ref`, filling in details an earlier mention lacked; returns the ref
+const addImportPerson = (people, ref, details = {}) => {
+    if (!ref) return undefined;
+    const person = people.get(ref) || { ref };
+    Object.entries(details).forEach(([key, value]) => {
+        if (value && !person[key]) person[key] = value;
+    });
+    people.set(ref, person);
+    return ref;
+};
+
+const validDate = (value) => {
+    if (!value) return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Board export from Trello's "Print, export and share" menu
+const parseTrelloExport = (text) => {
+    let board;
+    try {
+        board = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The Trello export is not valid JSON');
+    }
+    if (!board || !board.id || !Array.isArray(board.lists) || !Array.isArray(board.cards)) {
+        throw new Error('Not a Trello board export: lists and cards are missing');
+    }
+
+    const people = new Map();
+    (board.members || []).forEach(member => addImportPerson(people, member.id, {
+        username: member.username,
+        name: member.fullName
+    }));
+
+    const lists = board.lists.filter(list => !list.closed).sort((a, b) => a.pos - b.pos);
+    const listsById = new Map(lists.map(list => [list.id, list]));
+    const statuses = new Map(lists.map(list => [list.name, guessStatusCategory(list.name)]));
+
+    // Actions come newest first and include every other kind of board activity
+    const commentsByCard = new Map();
+    (board.actions || [])
+        .filter(action => action.type === 'commentCard' && action.data && action.data.card && action.data.text)
+        .forEach(action => {
+            const author = addImportPerson(people, action.idMemberCreator, action.memberCreator && {
+                username: action.memberCreator.username,
+                name: action.memberCreator.fullName
+            });
+            const comments = commentsByCard.get(action.data.card.id) || [];
+            comments.unshift({ ref: action.id, author, text: action.data.text, createdAt: validDate(action.date) });
+            commentsByCard.set(action.data.card.id, comments);
+        });
+
+    const cards = board.cards
+        .filter(card => !card.closed && listsById.has(card.idList))
+        .sort((a, b) => a.pos - b.pos);
+
+    return {
+        projects: [{
+            ref: board.id,
+            name: board.name || 'Trello board',
+            description: board.desc,
+            statuses: [...statuses].map(([name, category]) => ({ name, category })),
+            members: [...people.keys()]
+        }],
+        people: [...people.values()],
+        tasks: cards.map(card => ({
+            ref: card.id,
+            projectRef: board.id,
+            title: card.name,
+            description: card.desc,
+            status: listsById.get(card.idList).name,
+            statusCategory: statuses.get(listsById.get(card.idList).name),
+            // Tasks have a single assignee; the card's first member gets it
+            assignee: (card.idMembers || []).find(id => people.has(id)),
+            tags: [...new Set((card.labels || []).map(label => label.name || label.color).filter(Boolean))],
+            dueDate: validDate(card.due),
+            position: typeof card.pos === 'number' ? card.pos : undefined,
+            // Card ids are ObjectIds, which start with the creation time
+            createdAt: /^[0-9a-f]{24}$/.test(card.id) ? new Date(parseInt(card.id.slice(0, 8), 16) * 1000) : undefined,
+            comments: commentsByCard.get(card.id) || []
+        })),
+        skipped: board.cards.length - cards.length
+    };
+};
+
+const JIRA_PRIORITIES = {
+    highest: 'urgent',
+    blocker: 'urgent',
+    high: 'high',
+    critical: 'high',
+    medium: 'medium',
+    major: 'medium',
+    low: 'low',
+    lowest: 'low',
+    minor: 'low',
+    trivial: 'low'
+};
+
+// Status category keys (XML) and names (CSV)
+const JIRA_STATUS_CATEGORIES = {
+    new: 'todo',
+    'to do': 'todo',
+    indeterminate: 'in-progress',
+    'in progress': 'in-progress',
+    done: 'done'
+};
+
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// CSV exports write dates as 05/Jan/26 10:15 AM in the exporting user's time zone, which the
+// file does not name, so they are read as UTC. Anything else goes to Date.
+const parseJiraDate = (value) => {
+    const text = String(value || '').trim();
+    const match = /^(\d{1,2})\/([a-z]{3})\/(\d{2}|\d{4})(?:\s+(\d{1,2}):(\d{2})(?:\s*([ap]m))?)?$/i.exec(text);
+    if (!match) return validDate(text);
+
+    const [, day, monthName, yearText, hourText = '0', minutes = '0', meridiem] = match;
+    const month = MONTH_ABBREVIATIONS.indexOf(monthName.toLowerCase());
+    if (month === -1) return undefined;
+    let hours = Number(hourText);
+    if (meridiem) {
+        hours = (hours % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+    const year = yearText.length === 2 ? 2000 + Number(yearText) : Number(yearText);
+    return new Date(Date.UTC(year, month, Number(day), hours, Number(minutes)));
+};
+
+const jiraPriority = (name) => JIRA_PRIORITIES[String(name || '').trim().toLowerCase()];
+
+const jiraStatusCategory = (value, statusName) => {
+    return JIRA_STATUS_CATEGORIES[String(value || '').trim().toLowerCase()] || guessStatusCategory(statusName);
+};
+
+// Statuses in the order issues use them, grouped to-do first and done last
+const jiraStatusList = (statuses) => [...statuses]
+    .map(([name, category]) => ({ name, category }))
+    .sort((a, b) => STATUS_CATEGORIES.indexOf(a.category) - STATUS_CATEGORIES.indexOf(b.category));
+
+// Collects projects, statuses and people from issues already in the normalised task shape
+const jiraImport = (issues, projectDetails, people) => {
+    const projects = new Map();
+    issues.forEach(issue => {
+        const project = projects.get(issue.projectRef) || {
+            ...projectDetails.get(issue.projectRef),
+            ref: issue.projectRef,
+            statuses: new Map(),
+            members: new Set()
+        };
+        if (!project.statuses.has(issue.status)) project.statuses.set(issue.status, issue.statusCategory);
+        [issue.assignee, issue.reporter, ...issue.comments.map(comment => comment.author)]
+            .filter(Boolean)
+            .forEach(ref => project.members.add(ref));
+        projects.set(issue.projectRef, project);
+    });
+
+    return {
+        projects: [...projects.values()].map(project => ({
+            ...project,
+            statuses: jiraStatusList(project.statuses),
+            members: [...project.members]
+        })),
+        people: [...people.values()],
+        tasks: issues.map(({ reporter, ...issue }) => issue),
+        skipped: 0
+    };
+};
+
+// Issues > Export > CSV. Multi-valued fields (labels, comments) repeat their column; comments
+// read "date;author;text". Cloud exports name people in Assignee and carry account ids in
+// Assignee Id, server exports only have usernames.
+const parseJiraCsv = (text) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(normalizeColumnName);
+    if (!columns.includes('summary') || !(columns.includes('issueid') || columns.includes('issuekey'))) {
+        throw new Error('Not a Jira CSV export: Summary and Issue key columns are missing');
+    }
+
+    const valuesOf = (cells, name) => columns
+        .map((column, position) => (column === name ? (cells[position] || '').trim() : ''))
+        .filter(Boolean);
+    const valueOf = (cells, name) => valuesOf(cells, name)[0] || '';
+
+    const people = new Map();
+    const projectDetails = new Map();
+    const issues = rows
+        .filter(cells => cells.some(cell => cell.trim() !== ''))
+        .map(cells => {
+            const key = valueOf(cells, 'issuekey');
+            const projectRef = valueOf(cells, 'projectid') || valueOf(cells, 'projectkey') || key.split('-')[0];
+            if (!projectDetails.has(projectRef)) {
+                projectDetails.set(projectRef, {
+                    name: valueOf(cells, 'projectname') || projectRef,
+                    description: valueOf(cells, 'projectdescription')
+                });
+            }
+            const person = (name, id) => addImportPerson(people, id || name, { username: name, name });
+            const ref = valueOf(cells, 'issueid') || key;
+            const status = valueOf(cells, 'status') || 'To Do';
+            const estimate = Number(valueOf(cells, 'originalestimate'));
+
+            return {
+                ref,
+                projectRef,
+                title: valueOf(cells, 'summary'),
+                description: valueOf(cells, 'description') || (key && `Imported from Jira ${key}`),
+                status,
+                statusCategory: jiraStatusCategory(valueOf(cells, 'statuscategory'), status),
+                priority: jiraPriority(valueOf(cells, 'priority')),
+                assignee: person(valueOf(cells, 'assignee'), valueOf(cells, 'assigneeid')),
+                reporter: person(valueOf(cells, 'reporter'), valueOf(cells, 'reporterid')),
+                tags: [...new Set(valuesOf(cells, 'labels').flatMap(labels => labels.split(/\s+/)).filter(Boolean))],
+                dueDate: parseJiraDate(valueOf(cells, 'duedate')),
+                estimatedHours: estimate > 0 ? Math.round(estimate / 36) / 100 : undefined, // seconds
+                createdAt: parseJiraDate(valueOf(cells, 'created')),
+                comments: valuesOf(cells, 'comment').map(raw => {
+                    const [date, author, ...body] = raw.split(';');
+                    return {
+                        // Comments have no id in CSV exports; the cell itself identifies them
+                        ref: crypto.createHash('sha1').update(`${ref}\n${raw}`).digest('hex'),
+                        author: body.length > 0 ? addImportPerson(people, author.trim(), { username: author.trim() }) : undefined,
+                        text: (body.length > 0 ? body.join(';') : raw).trim(),
+                        createdAt: body.length > 0 ? parseJiraDate(date) : undefined
+                    };
+                }).filter(comment => comment.text)
+            };
+        });
+
+    return jiraImport(issues, projectDetails, people);
+};
+
+// Jira's XML carries descriptions and comments as rendered HTML
+const htmlToText = (html) => String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+// Element text whether or not the element also had attributes
+const xmlText = (node) => String((node && typeof node === 'object' ? node.text : node) ?? '').trim();
+
+// Issues > Export > XML (an RSS feed with one item per issue)
+const parseJiraXml = (text) => {
+    // Entity declarations could expand without bound; Jira never writes them
+    if (/<!DOCTYPE/i.test(text)) throw new Error('Jira XML exports do not contain a DOCTYPE');
+
+    let document;
+    try {
+        document = new XMLParser({
+            ignoreAttributes: false,
+            attributeNamePrefix: '',
+            textNodeName: 'text',
+            parseTagValue: false,
+            parseAttributeValue: false,
+            isArray: (name, jpath) => ['rss.channel.item', 'rss.channel.item.comments.comment', 'rss.channel.item.labels.label'].includes(jpath)
+        }).parse(text);
+    } catch (error) {
+        throw new Error('The Jira export is not valid XML');
+    }
+    const channel = document && document.rss && document.rss.channel;
+    if (!channel) throw new Error('Not a Jira XML export: the rss channel is missing');
+
+    const people = new Map();
+    // Unassigned issues name the user "-1"
+    const person = (node) => {
+        if (!node || typeof node !== 'object') return undefined;
+        const id = node.accountid || node.username;
+        if (!id || id === '-1') return undefined;
+        return addImportPerson(people, id, { username: node.username, name: xmlText(node) });
+    };
+
+    const projectDetails = new Map();
+    const issues = (channel.item || []).map(item => {
+        const key = xmlText(item.key);
+        const projectRef = (item.project && (item.project.id || item.project.key)) || key.split('-')[0];
+        if (!projectDetails.has(projectRef)) {
+            projectDetails.set(projectRef, { name: xmlText(item.project) || projectRef });
+        }
+        const status = xmlText(item.status) || 'To Do';
+        const estimate = Number(item.timeoriginalestimate && item.timeoriginalestimate.seconds);
+        const labels = item.labels && typeof item.labels === 'object' ? item.labels.label || [] : [];
+        const comments = item.comments && typeof item.comments === 'object' ? item.comments.comment || [] : [];
+
+        return {
+            ref: (item.key && item.key.id) || key,
+            projectRef,
+            title: xmlText(item.summary),
+            description: htmlToText(xmlText(item.description)) || (key && `Imported from Jira ${key}`),
+            status,
+            statusCategory: jiraStatusCategory(item.statusCategory && item.statusCategory.key, status),
+            priority: jiraPriority(xmlText(item.priority)),
+            assignee: person(item.assignee),
+            reporter: person(item.reporter),
+            tags: [...new Set(labels.map(xmlText).filter(Boolean))],
+            dueDate: parseJiraDate(xmlText(item.due)),
+            estimatedHours: estimate > 0 ? Math.round(estimate / 36) / 100 : undefined, // seconds
+            createdAt: parseJiraDate(xmlText(item.created)),
+            comments: comments.map(comment => ({
+                ref: comment.id,
+                author: comment.author && comment.author !== '-1' ? addImportPerson(people, comment.author, { username: comment.author }) : undefined,
+                text: htmlToText(xmlText(comment)),
+                createdAt: parseJiraDate(comment.created)
+            })).filter(comment => comment.ref && comment.text)
+        };
+    });
+
+    return jiraImport(issues, projectDetails, people);
+};
+
+// statusMap and userMap are objects of name: value, or JSON text when they come with a multipart upload
+const parseImportJobMap = (raw, name) => {
+    if (raw === undefined || raw === null || raw === '') return {};
+
+    let map = raw;
+    if (typeof raw === 'string') {
+        try {
+            map = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`${name} must be a JSON object`);
+        }
+    }
+    if (!map || typeof map !== 'object' || Array.isArray(map) || Object.values(map).some(value => typeof value !== 'string')) {
+        throw new Error(`${name} must be an object of name: value strings`);
+    }
+    return map;
+};
+
+// Throws with a client-facing message when the file is not the export it claims to be
+const parseExternalImport = (source, format, text) => {
+    if (source === 'trello') return parseTrelloExport(text);
+    return format === 'xml' ? parseJiraXml(text) : parseJiraCsv(text);
+};
+
+// People -> active users: the job's userMap first (keyed by the person's id, username or name),
+// then username or email, then a full name no two users share
+const matchImportPeople = async (people, userMap) => {
+    const users = await User.find({ isActive: true }).select('username email firstName lastName');
+    const byLogin = new Map();
+    const byName = new Map();
+    users.forEach(user => {
+        byLogin.set(user.username.toLowerCase(), user);
+        byLogin.set(user.email.toLowerCase(), user);
+        const name = `${user.firstName} ${user.lastName}`.toLowerCase();
+        byName.set(name, byName.has(name) ? null : user);
+    });
+
+    const matched = new Map();
+    const unmatched = [];
+    people.forEach(person => {
+        const mappedKey = [person.ref, person.username, person.email, person.name].find(key => key && userMap[key]);
+        const user = mappedKey
+            ? byLogin.get(String(userMap[mappedKey]).toLowerCase())
+            : [person.username, person.email].filter(Boolean).map(login => byLogin.get(login.toLowerCase())).find(Boolean) ||
+                (person.name && byName.get(person.name.toLowerCase()));
+        if (user) {
+            matched.set(person.ref, user);
+        } else {
+            unmatched.push(person.name || person.username || person.ref);
+        }
+    });
+    return { matched, unmatched: [...new Set(unmatched)] };
+};
+
+const statusKeyFromName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'status';
+
+// Workflow for a new project: one status per list or Jira status, in the source's order
+const importWorkflow = (statuses) => {
+    if (statuses.length === 0) return undefined;
+
+    const keys = new Set();
+    const addStatus = (name, category) => {
+        const base = statusKeyFromName(name);
+        let key = base;
+        for (let suffix = 2; keys.has(key); suffix += 1) key = `${base}-${suffix}`;
+        keys.add(key);
+        return { key, label: name, category };
+    };
+    const workflowStatuses = statuses.map(({ name, category }) => addStatus(name, category));
+    if (!workflowStatuses.some(status => status.category === 'done')) {
+        workflowStatuses.push(addStatus('Done', 'done'));
+    }
+    const initial = workflowStatuses.find(status => status.category === 'todo') || workflowStatuses[0];
+    return { initialStatus: initial.key, statuses: workflowStatuses, transitions: [] };
+};
+
+// Source status -> status key: the job's statusMap, then a status with the same label or key,
+// then the first status of the same category
+const importStatusKey = (workflow, statusMap, name, category) => {
+    const mapped = statusMap[name];
+    if (mapped && findWorkflowStatus(workflow, mapped)) return mapped;
+
+    const sameName = workflow.statuses.find(status =>
+        status.label.toLowerCase() === String(name).toLowerCase() || status.key === statusKeyFromName(name));
+    return sameName ? sameName.key : mapStatusToWorkflow(workflow, null, category);
+};
+
+const recordImportError = (job, ref, title, error) => {
+    if (job.itemErrors.length < MAX_IMPORT_JOB_ERRORS) {
+        job.itemErrors.push({ ref, title, error });
+    }
+};
+
+const serializeImportJob = (job) => {
+    const { data, ...fields } = typeof job.toJSON === 'function' ? job.toJSON() : job;
+    return fields;
+};
+
+// Saves progress, which also renews the job's lock, and tells the importer
+const reportImportProgress = async (job) => {
+    if (job.status === 'running') {
+        job.lockedUntil = new Date(Date.now() + IMPORT_JOB_LOCK_MS);
+    }
+    await job.save();
+    await publishEvent('import.progress', {
+        data: serializeImportJob(job),
+        actor: job.createdBy,
+        audience: [job.createdBy]
+    });
+};
+
+// The project a board or Jira project goes into: the job's target project, the project an earlier
+// run created, or a new one. Resolves to { project } or { error }.
+const resolveImportProject = async (job, user, target, source, team, tasks) => {
+    let project = target || await Project.findOne({ 'externalRef.source': job.source, 'externalRef.id': source.ref })
+        .setOptions({ withDeleted: true });
+
+    if (project) {
+        if (project.deletedAt || project.archivedAt) {
+            return {
+                error: target
+                    ? 'Cannot import into an archived project'
+                    : `"${project.name}" was imported before and is now in the trash or archived`
+            };
+        }
+        if (!canManageProject(user, project)) {
+            return { error: `"${project.name}" was imported before and you cannot manage it` };
+        }
+
+        const newMembers = team.filter(id => !sameId(project.owner, id) && !isProjectMember({ userId: id }, project));
+        if (newMembers.length > 0) {
+            const previous = project;
+            project = await populateProject(Project.findByIdAndUpdate(
+                project._id,
+                { $addToSet: { team: { $each: newMembers } }, updatedAt: new Date() },
+                { new: true }
+            ));
+            await publishEvent('project.updated', { project, data: project, previous, actor: user.userId });
+        }
+        return { project };
+    }
+
+    const startDate = tasks.map(task => task.createdAt).filter(Boolean).sort((a, b) => a - b)[0];
+    return createProject(user, {
+        name: source.name,
+        description: source.description || `Imported from ${IMPORT_SOURCE_LABELS[job.source]}`,
+        status: 'active',
+        startDate: startDate || new Date(),
+        team: team.filter(id => id !== user.userId),
+        workflow: importWorkflow(source.statuses)
+    }, { imported: { externalRef: { source: job.source, id: source.ref } } });
+};
+
+// One card or issue. A task imported before (trashed ones included, in whichever project it is
+// now) is not changed again apart from comments added since, which makes a second run of the
+// same import safe.
+// Resolves to the progress counter it adds to, with an error for 'failed'.
+const importTask = async (job, user, project, item, { usersByRef, namesByRef }) => {
+    const comments = item.comments.map(comment => {
+        const author = comment.author && usersByRef.get(comment.author);
+        const unmatchedName = comment.author && !author ? namesByRef.get(comment.author) : null;
+        return {
+            user: author ? author._id : user.userId,
+            // Comments by people without an account are kept under the importer's name
+            text: unmatchedName ? `${unmatchedName} wrote:\n\n${comment.text}` : comment.text,
+            externalId: comment.ref,
+            createdAt: comment.createdAt || new Date()
+        };
+    });
+
+    const existing = await Task.findOne({ 'externalRef.source': job.source, 'externalRef.id': item.ref })
+        .setOptions({ withDeleted: true });
+    if (existing) {
+        if (existing.deletedAt || !(await canViewTask(user, existing))) return { outcome: 'skipped' };
+
+        const known = new Set(existing.comments.map(comment => comment.externalId));
+        const added = comments.filter(comment => !known.has(comment.externalId));
+        if (added.length === 0) return { outcome: 'unchanged' };
+
+        // Announced like comments added by hand, so watchers and mentioned people hear of them
+        await addTaskComments(existing, added);
+        return { outcome: 'updated' };
+    }
+
+    const assignee = item.assignee && usersByRef.get(item.assignee);
+    const { error } = await createTask(user, {
+        project: project._id,
+        title: item.title || item.ref,
+        description: item.description || `Imported from ${IMPORT_SOURCE_LABELS[job.source]}`,
+        status: importStatusKey(getWorkflow(project), job.statusMap || {}, item.status, item.statusCategory),
+        priority: item.priority,
+        assignedTo: assignee ? assignee._id : undefined,
+        tags: item.tags,
+        dueDate: item.dueDate,
+        estimatedHours: item.estimatedHours,
+        position: item.position
+    }, {
+        refreshStats: false,
+        imported: {
+            comments,
+            externalRef: { source: job.source, id: item.ref },
+            ...(item.createdAt && { createdAt: item.createdAt })
+        }
+    });
+
+    return error ? { outcome: 'failed', error } : { outcome: 'created' };
+};
+
+// Resolves to {} or to { error } when the job cannot run at all; problems with single
+// projects and tasks end up in the job's itemErrors
+const applyImport = async (job, user, { projects, people, tasks, skipped }) => {
+    let target = null;
+    if (job.project) {
+        target = await Project.findById(job.project);
+        if (!target) return { error: 'The project to import into no longer exists' };
+        if (!canManageProject(user, target)) return { error: 'You cannot manage the project to import into' };
+    }
+
+    const { matched: usersByRef, unmatched } = await matchImportPeople(people, job.userMap || {});
+    const namesByRef = new Map(people.map(person => [person.ref, person.name || person.username || person.ref]));
+    job.unmatchedUsers = unmatched;
+    job.progress = { total: tasks.length + skipped, processed: skipped, created: 0, updated: 0, unchanged: 0, skipped, failed: 0 };
+    job.itemErrors = [];
+
+    const projectsByRef = new Map();
+    for (const source of projects) {
+        const team = [...new Set(source.members.filter(ref => usersByRef.has(ref)).map(ref => String(usersByRef.get(ref)._id)))];
+        const { error, project } = await resolveImportProject(
+            job, user, target, source, team, tasks.filter(task => task.projectRef === source.ref)
+        );
+        if (error) {
+            recordImportError(job, source.ref, source.name, error);
+        } else {
+            projectsByRef.set(source.ref, project);
+            target = target && project;
+        }
+    }
+    job.projects = [...new Set([...projectsByRef.values()].map(project => String(project._id)))];
+    await reportImportProgress(job);
+
+    const touchedProjects = new Set();
+    for (const item of tasks) {
+        const project = projectsByRef.get(item.projectRef);
+        if (!project) {
+            job.progress.skipped += 1;
+        } else {
+            try {
+                const { outcome, error } = await importTask(job, user, project, item, { usersByRef, namesByRef });
+                job.progress[outcome] += 1;
+                if (error) recordImportError(job, item.ref, item.title, error);
+                if (outcome === 'created' || outcome === 'updated') touchedProjects.add(String(project._id));
+            } catch (error) {
+                const invalid = ['ValidationError', 'CastError'].includes(error.name);
+                job.progress.failed += 1;
+                recordImportError(job, item.ref, item.title, invalid ? error.message : 'Failed to import');
+            }
+        }
+
+        job.progress.processed += 1;
+        if (job.progress.processed % IMPORT_JOB_PROGRESS_EVERY === 0) {
+            await reportImportProgress(job);
+        }
+    }
+
+    await refreshProjectStats(...touchedProjects);
+    return {};
+};
+
+const runImportJob = async (job) => {
+    try {
+        const creator = await User.findOne({ _id: job.createdBy, isActive: true }).select('role');
+        let error;
+        if (job.attempts > IMPORT_JOB_MAX_ATTEMPTS) {
+            error = 'The import was interrupted too often; upload the file again';
+        } else if (!creator || !['admin', 'manager'].includes(creator.role)) {
+            error = 'Only admins and managers can import';
+        } else {
+            let parsed;
+            try {
+                parsed = parseExternalImport(job.source, job.format, job.data || '');
+            } catch (parseError) {
+                error = parseError.message;
+            }
+            if (parsed) {
+                ({ error } = await applyImport(job, { userId: String(creator._id), role: creator.role }, parsed));
+            }
+        }
+        job.status = error ? 'failed' : 'completed';
+        job.error = error;
+    } catch (error) {
+        console.error(`Import job ${job._id} failed:`, error);
+        job.status = 'failed';
+        job.error = 'The import failed unexpectedly; importing the same file again skips what was already imported';
+    }
+
+    job.data = undefined;
+    job.lockedUntil = undefined;
+    job.finishedAt = new Date();
+    await reportImportProgress(job);
+};
+
+let importWorkerRunning = false;
+
+// Jobs are claimed with an atomic lock like the other queues. A running job whose lock expired
+// (its server stopped mid-import) is claimed again and starts over, skipping what was imported.
+const processImportJobs = async () => {
+    if (importWorkerRunning || mongoose.connection.readyState !== 1) return;
+    importWorkerRunning = true;
+
+    try {
+        for (;;) {
+            const now = new Date();
+            const job = await ImportJob.findOneAndUpdate(
+                {
+                    status: { $in: ['queued', 'running'] },
+                    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+                },
+                {
+                    status: 'running',
+                    startedAt: now,
+                    lockedUntil: new Date(now.getTime() + IMPORT_JOB_LOCK_MS),
+                    $inc: { attempts: 1 }
+                },
+                { sort: { createdAt: 1 }, new: true }
+            ).select('+data');
+            if (!job) break;
+
+            await runImportJob(job);
+        }
+    } catch (error) {
+        console.error('Import worker error:', error);
+    } finally {
+        importWorkerRunning = false;
+    }
+};
+
+setInterval(processImportJobs, IMPORT_JOB_POLL_INTERVAL_MS).unref();
+
+// EventSource cannot send headers, so browsers open the stream with a single-use ticket from
+// POST /api/events/ticket. An access token in the URL would end up in server and proxy logs.
+const authenticateStream = async (req, res, next) => {
+    if (!req.query.ticket) {
+        return authenticateToken(req, res, next);
+    }
+
+    try {
+        const ticket = await consumeUserToken(req.query.ticket, 'event_stream');
+        if (!ticket) {
+            return res.status(401).json({ error: 'Invalid or expired stream ticket' });
+        }
+        authenticateSession({ userId: ticket.user, sessionId: ticket.session && String(ticket.session) }, req, res, next);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Streams outlive the credentials they were opened with; resolves to false once the account,
+// its role, the session or the API key would no longer be accepted
+const streamStillAuthorized = async (user) => {
+    const [account, session, key] = await Promise.all([
+        User.findById(user.userId).select('role isActive'),
+        user.sessionId ? Session.findById(user.sessionId).select('revokedAt') : null,
+        user.apiKeyId ? ApiKey.findById(user.apiKeyId).select('revokedAt expiresAt') : null
+    ]);
+    if (!account || !account.isActive || account.role !== user.role) return false;
+    if (user.sessionId && (!session || session.revokedAt)) return false;
+    if (user.apiKeyId && (!key || key.revokedAt || (key.expiresAt && key.expiresAt <= new Date()))) return false;
+    return true;
+};
+
+// Error handling middleware
+const errorHandler = (err, req, res, next) => {
+    console.error(err.stack);
+    
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({ 
+            error: 'Validation Error', 
+            details: Object.values(err.errors).map(e => e.message) 
+        });
+    }
+    
+    if (err.code === 11000) {
+        return res.status(400).json({ 
+            error: 'Duplicate entry', 
+            field: Object.keys(err.keyPattern)[0] 
+        });
+    }
+    
+    res.status(500).json({ error: 'Internal server error' });
+};
+
+// Routes
+
+// Health check
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        status: 'OK', 
+        timestamp: new Date().toISOString(),
+        service: 'IBM Full-Stack JavaScript Capstone API',
+        version: '1.0.0'
+    });
+});
+
+// Authentication routes
+// Last step of every sign-in: clears failed attempts and opens a session
+const completeLogin = async (user, req) => {
+    user.lastLogin = new Date();
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = undefined;
+    await user.save();
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    return {
+        message: 'Login successful',
+        token,
+        refreshToken,
+        user: {
+            id: user._id,
+            username: user.username,
+            email: user.email,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            role: user.role,
+            emailVerified: user.emailVerified,
+            twoFactorEnabled: user.twoFactor.enabled,
+            lastLogin: user.lastLogin
+        }
+    };
+};
+
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { username, email, password, firstName, lastName } = req.body;
+        
+        // Validation
+        if (!username || !email || !password || !firstName || !lastName) {
+            return res.status(400).json({ error: 'All fields are required' });
+        }
+        
+        const passwordError = validatePassword(password, { username, email });
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+        
+        // Check if user exists
+        const existingUser = await User.findOne({ 
+            $or: [{ email }, { username }] 
+        });
+        
+        if (existingUser) {
+            return res.status(400).json({ error: 'User already exists' });
+        }
+        
+        // Hash password
+        const hashedPassword = await bcrypt.hash(password, 12);
+        
+        // Create user
+        const user = new User({
+            username,
+            email,
+            password: hashedPassword,
+            firstName,
+            lastName
+        });
+        
+        await user.save();
+        await publishEvent('user.created', {
+            data: { _id: user._id, username, email: user.email, firstName, lastName, role: user.role, isActive: true },
+            actor: user._id
+        });
+        await sendVerificationEmail(user);
+
+        if (await twoFactorRequiredFor(user)) {
+            return res.status(201).json({
+                message: 'User created successfully',
+                twoFactorSetupRequired: true,
+                challengeToken: signTwoFactorChallenge(user, 'setup')
+            });
+        }
+        
+        // Generate tokens
+        const { token, refreshToken } = await issueTokens(user, req);
+        
+        res.status(201).json({
+            message: 'User created successfully',
+            token,
+            refreshToken,
+            user: {
+                id: user._id,
+                username: user.username,
+                email: user.email,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                role: user.role,
+                emailVerified: user.emailVerified
+            }
+        });
+        
+    } catch (error) {
+        console.error('Registration error:', error);
+        res.status(500).json({ error: 'Registration failed' });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password required' });
+        }
+        
+        // Find user
+        const user = await User.findOne({ 
+            $or: [{ username }, { email: username }] 
+        });
+        
+        if (!user || !user.isActive) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        // The password is not checked at all while the account is locked
+        if (user.lockedUntil && user.lockedUntil > new Date()) {
+            return accountLocked(res, user.lockedUntil);
+        }
+        
+        // Check password
+        const isValidPassword = await bcrypt.compare(password, user.password);
+        
+        if (!isValidPassword) {
+            const lockedUntil = await recordFailedLogin(user);
+            if (lockedUntil) {
+                return accountLocked(res, lockedUntil);
+            }
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        if (REQUIRE_VERIFIED_EMAIL && !user.emailVerified) {
+            return res.status(403).json({
+                error: 'Please confirm your email address before signing in',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        // The password alone is not enough: failed attempts are only cleared once the
+        // second factor has been given as well
+        if (user.twoFactor.enabled) {
+            return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user, 'login') });
+        }
+        if (await twoFactorRequiredFor(user)) {
+            return res.json({ twoFactorSetupRequired: true, challengeToken: signTwoFactorChallenge(user, 'setup') });
+        }
+        
+        res.json(await completeLogin(user, req));
+        
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Second step of a login for accounts with 2FA: an authenticator or backup code
+app.post('/api/auth/login/2fa', async (req, res) => {
+    try {
+        const userId = verifyTwoFactorChallenge(req.body.challengeToken, 'login');
+        const user = userId && await User.findById(userId);
+        if (!user || !user.isActive || !user.twoFactor.enabled) {
+            return res.status(401).json({ error: 'Your sign-in attempt has expired, please start again' });
+        }
+
+        if (user.lockedUntil && user.lockedUntil > new Date()) {
+            return accountLocked(res, user.lockedUntil);
+        }
+
+        if (!(await verifySecondFactor(user._id, req.body.code))) {
+            const lockedUntil = await recordFailedLogin(user);
+            if (lockedUntil) {
+                return accountLocked(res, lockedUntil);
+            }
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        res.json(await completeLogin(user, req));
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token required' });
+        }
+
+        const tokenHash = typeof refreshToken === 'string' ? hashToken(refreshToken) : null;
+        const now = new Date();
+
+        // Rotate: the presented token is spent and a new one takes its place. Checking and
+        // rotating in one operation means only one of two simultaneous refreshes wins.
+        const nextRefreshToken = generateRefreshToken();
+        const session = tokenHash && await Session.findOneAndUpdate(
+            { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+            {
+                previousTokenHash: tokenHash,
+                tokenHash: hashToken(nextRefreshToken),
+                rotatedAt: now,
+                lastUsedAt: now,
+                expiresAt: refreshTokenExpiry()
+            },
+            { new: true }
+        );
+
+        if (!session) {
+            if (tokenHash && await Session.exists({ tokenHash })) {
+                return res.status(401).json({ error: 'Refresh token expired or revoked' });
+            }
+
+            const rotated = tokenHash && await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+            if (!rotated) {
+                return res.status(401).json({ error: 'Invalid refresh token' });
+            }
+
+            // The loser of a race with another tab gets an access token and keeps the refresh
+            // token the winner stored; only later replays of a rotated-out token mean it leaked
+            if (rotated.rotatedAt && now - rotated.rotatedAt < REFRESH_TOKEN_REUSE_GRACE_MS) {
+                const user = await User.findById(rotated.user);
+                if (!user || !user.isActive || (!user.twoFactor.enabled && await twoFactorRequiredFor(user))) {
+                    return res.status(401).json({ error: 'Refresh token expired or revoked' });
+                }
+                return res.json({ token: signAccessToken(user, rotated) });
+            }
+
+            await Session.updateOne({ _id: rotated._id }, { revokedAt: now });
+            console.warn(`Refresh token reuse detected for session ${rotated._id}`);
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        const user = await User.findById(session.user);
+        if (!user || !user.isActive) {
+            session.revokedAt = new Date();
+            await session.save();
+            return res.status(401).json({ error: 'User not found or inactive' });
+        }
+        // 2FA is checked at sign-in; a session must not outlive it becoming required
+        if (!user.twoFactor.enabled && await twoFactorRequiredFor(user)) {
+            session.revokedAt = new Date();
+            await session.save();
+            return res.status(401).json({ error: 'Two-factor authentication is now required, please sign in again' });
+        }
+
+        res.json({
+            token: signAccessToken(user, session),
+            refreshToken: nextRefreshToken
+        });
+
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Token refresh failed' });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        const authHeader = req.headers['authorization'];
+        const accessToken = authHeader && authHeader.split(' ')[1];
+
+        const conditions = [];
+        if (refreshToken) {
+            conditions.push({ tokenHash: hashToken(refreshToken) });
+        }
+        if (accessToken) {
+            // Accept an expired access token: logging out must work after it lapses
+            const payload = jwt.decode(accessToken);
+            try {
+                jwt.verify(accessToken, JWT_SECRET, { ignoreExpiration: true });
+                if (payload && payload.sessionId) {
+                    conditions.push({ _id: payload.sessionId });
+                }
+            } catch (err) {
+                // Ignore tampered tokens, the refresh token is enough
+            }
+        }
+
+        if (conditions.length === 0) {
+            return res.status(400).json({ error: 'Refresh token or access token required' });
+        }
+
+        await Session.updateMany(
+            { $or: conditions, revokedAt: null },
+            { revokedAt: new Date() }
+        );
+
+        res.json({ message: 'Logged out successfully' });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user.userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .select('userAgent ip createdAt lastUsedAt expiresAt')
+            .sort({ lastUsedAt: -1 });
+
+        res.json(sessions.map(session => ({
+            id: session._id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: sameId(session._id, req.user.sessionId)
+        })));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+app.delete('/api/auth/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const session = await Session.findOneAndUpdate(
+            { _id: req.params.id, user: req.user.userId, revokedAt: null },
+            { revokedAt: new Date() }
+        );
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ message: 'Session revoked successfully' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+app.delete('/api/auth/sessions', authenticateToken, async (req, res) => {
+    try {
+        // Sign out every other device, keeping the one making the request
+        const filter = { user: req.user.userId, revokedAt: null };
+        if (req.user.sessionId) {
+            filter._id = { $ne: req.user.sessionId };
+        }
+
+        const result = await Session.updateMany(filter, { revokedAt: new Date() });
+
+        res.json({ message: 'Other sessions revoked successfully', revoked: result.modifiedCount });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+// Password and email verification routes
+// Each request can send an email, so they get a much tighter per-IP budget than the API
+const accountEmailLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5
+});
+
+app.get('/api/auth/password-policy', (req, res) => {
+    res.json({
+        ...PASSWORD_POLICY,
+        rules: activePasswordRules().map(rule => rule.describe(PASSWORD_POLICY))
+    });
+});
+
+// Always answers the same way so the form cannot be used to probe for accounts
+app.post('/api/auth/forgot-password', accountEmailLimiter, async (req, res) => {
+    try {
+        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const user = await User.findOne({ email, isActive: true });
+        if (user) {
+            const token = await issueUserToken(user, 'password_reset', PASSWORD_RESET_TTL_MS);
+            await queueEmail({
+                to: user.email,
+                user: user._id,
+                template: 'password_reset',
+                data: { user, link: `${APP_URL}/?resetPassword=${token}` }
+            });
+        }
+
+        res.json({ message: 'If an account uses that email, a reset link is on its way' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to start password reset' });
+    }
+});
+
+// A reset also lifts any lockout and signs the account out everywhere
+app.post('/api/auth/reset-password', accountEmailLimiter, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const tokenHash = typeof token === 'string' && token ? hashToken(token) : null;
+        const pending = tokenHash && await UserToken.findOne({
+            tokenHash, purpose: 'password_reset', usedAt: null, expiresAt: { $gt: new Date() }
+        });
+        const user = pending && await User.findOne({ _id: pending.user, isActive: true });
+        if (!user) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        const passwordError = validatePassword(password, user);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        if (!(await consumeUserToken(token, 'password_reset'))) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        user.password = await bcrypt.hash(password, 12);
+        user.failedLoginAttempts = 0;
+        user.lockedUntil = undefined;
+        // Receiving the link proves the address
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        user.updatedAt = new Date();
+        await user.save();
+
+        await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+        res.json({ message: 'Password updated; please sign in again' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+        const record = await consumeUserToken(req.body.token, 'email_verification');
+        if (!record) {
+            return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+        }
+
+        await User.updateOne(
+            { _id: record.user },
+            { emailVerified: true, emailVerifiedAt: new Date(), updatedAt: new Date() }
+        );
+
+        res.json({ message: 'Email address confirmed' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+app.post('/api/auth/resend-verification', accountEmailLimiter, authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('email firstName emailVerified');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.emailVerified) {
+            return res.status(400).json({ error: 'Email address is already confirmed' });
+        }
+
+        await sendVerificationEmail(user);
+        res.status(202).json({ message: 'Verification email sent' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// Two-factor authentication routes
+// Enrolment is open to signed-in users, and to users holding a 'setup' challenge because their
+// role requires 2FA before they may sign in at all
+const authenticateTwoFactorEnrolment = (req, res, next) => {
+    if (!req.body.challengeToken) {
+        return authenticateToken(req, res, next);
+    }
+
+    const userId = verifyTwoFactorChallenge(req.body.challengeToken, 'setup');
+    if (!userId) {
+        return res.status(401).json({ error: 'Your sign-in attempt has expired, please start again' });
+    }
+    req.user = { userId, viaChallenge: true };
+    next();
+};
+
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('+twoFactor.backupCodes');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            enabled: user.twoFactor.enabled,
+            enabledAt: user.twoFactor.enabledAt,
+            backupCodesRemaining: (user.twoFactor.backupCodes || []).filter(code => !code.usedAt).length,
+            required: await twoFactorRequiredFor(user)
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch two-factor status' });
+    }
+});
+
+// Starts enrolment; the secret only takes effect once a code from it is confirmed
+app.post('/api/auth/2fa/setup', authenticateTwoFactorEnrolment, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('username isActive twoFactor.enabled');
+        if (!user || !user.isActive) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = crypto.randomBytes(20);
+        await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': encryptSecret(secret) });
+
+        res.json({
+            secret: base32Encode(secret),
+            otpauthUrl: totpProvisioningUri(secret, user.username)
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+// Confirms enrolment with a first code. Backup codes are only ever shown in this response.
+app.post('/api/auth/2fa/enable', authenticateTwoFactorEnrolment, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('+twoFactor.pendingSecret');
+        if (!user || !user.isActive) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const code = typeof req.body.code === 'string' ? req.body.code.replace(/\s/g, '') : '';
+        const step = TOTP_CODE_PATTERN.test(code)
+            ? verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code)
+            : null;
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        const { codes, records } = generateBackupCodes();
+        // Conditional on the pending secret so two racing confirmations cannot both win
+        const enabled = await User.updateOne(
+            { _id: user._id, 'twoFactor.enabled': { $ne: true }, 'twoFactor.pendingSecret': user.twoFactor.pendingSecret },
+            {
+                $set: {
+                    'twoFactor.enabled': true,
+                    'twoFactor.enabledAt': new Date(),
+                    'twoFactor.secret': user.twoFactor.pendingSecret,
+                    'twoFactor.lastUsedStep': step,
+                    'twoFactor.backupCodes': records
+                },
+                $unset: { 'twoFactor.pendingSecret': 1 }
+            }
+        );
+        if (enabled.modifiedCount !== 1) {
+            return res.status(409).json({ error: 'Two-factor setup changed, please start again' });
+        }
+
+        if (req.user.viaChallenge) {
+            const signedIn = await User.findById(user._id);
+            return res.json({ ...(await completeLogin(signedIn, req)), backupCodes: codes });
+        }
+
+        // Devices signed in with the password alone have to sign in again
+        await Session.updateMany(
+            { user: user._id, revokedAt: null, _id: { $ne: req.user.sessionId } },
+            { revokedAt: new Date() }
+        );
+
+        res.json({ message: 'Two-factor authentication enabled', backupCodes: codes });
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        if (await twoFactorRequiredFor(user)) {
+            return forbidden(res, 'Two-factor authentication is required for your role');
+        }
+        if (typeof password !== 'string' || !(await bcrypt.compare(password, user.password))) {
+            return res.status(400).json({ error: 'Password is incorrect' });
+        }
+        if (!(await verifySecondFactor(user._id, code))) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        await User.updateOne({ _id: user._id }, {
+            $set: { 'twoFactor.enabled': false },
+            $unset: {
+                'twoFactor.enabledAt': 1,
+                'twoFactor.secret': 1,
+                'twoFactor.pendingSecret': 1,
+                'twoFactor.lastUsedStep': 1,
+                'twoFactor.backupCodes': 1
+            }
+        });
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// Replaces every backup code, used or not
+app.post('/api/auth/2fa/backup-codes', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('twoFactor.enabled');
+        if (!user || !user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        if (!(await verifySecondFactor(user._id, req.body.code))) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        const { codes, records } = generateBackupCodes();
+        await User.updateOne({ _id: user._id }, { 'twoFactor.backupCodes': records });
+
+        res.json({ backupCodes: codes });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to regenerate backup codes' });
+    }
+});
+
+// API key routes
+// Managed from a signed-in session only; API_KEY_ROUTES keeps keys away from these
+const serializeApiKey = (key) => ({
+    id: key._id,
+    name: key.name,
+    prefix: key.prefix,
+    scopes: key.scopes,
+    projects: key.projects,
+    expiresAt: key.expiresAt,
+    lastUsedAt: key.lastUsedAt,
+    lastUsedIp: key.lastUsedIp,
+    createdAt: key.createdAt
+});
+
+app.get('/api/api-keys', authenticateToken, async (req, res) => {
+    try {
+        const keys = await ApiKey.find({ user: req.user.userId, revokedAt: null })
+            .populate('projects', 'name')
+            .sort({ createdAt: -1 });
+        res.json({ keys: keys.map(serializeApiKey), scopes: API_KEY_SCOPES });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+});
+
+// The key itself is only ever returned in this response
+app.post('/api/api-keys', authenticateToken, async (req, res) => {
+    try {
+        const { name, scopes, projects = [], expiresAt } = req.body;
+
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+            return res.status(400).json({ error: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` });
+        }
+        if (!Array.isArray(projects) || projects.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ error: 'projects must be a list of project ids' });
+        }
+
+        let expiry = null;
+        if (expiresAt) {
+            expiry = new Date(expiresAt);
+            if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+                return res.status(400).json({ error: 'expiresAt must be a date in the future' });
+            }
+        }
+
+        const projectIds = [...new Set(projects.map(String))];
+        const projectDocs = await Project.find({ _id: { $in: projectIds } });
+        if (projectDocs.length !== projectIds.length || projectDocs.some(project => !canViewProject(req.user, project))) {
+            return forbidden(res, 'You can only limit a key to projects you are a member of');
+        }
+
+        const activeKeys = await ApiKey.countDocuments({ user: req.user.userId, revokedAt: null });
+        if (activeKeys >= MAX_API_KEYS_PER_USER) {
+            return res.status(400).json({ error: `You can have at most ${MAX_API_KEYS_PER_USER} API keys` });
+        }
+
+        const rawKey = generateApiKey();
+        const key = await ApiKey.create({
+            user: req.user.userId,
+            name: name.trim(),
+            prefix: rawKey.slice(0, API_KEY_PREFIX.length + 6),
+            keyHash: hashToken(rawKey),
+            scopes: [...new Set(scopes)],
+            projects: projectIds,
+            expiresAt: expiry
+        });
+        await key.populate('projects', 'name');
+
+        res.status(201).json({ ...serializeApiKey(key), key: rawKey });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+// Admins can revoke anyone's key, e.g. one found in a leaked script
+app.delete('/api/api-keys/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        const filter = { _id: req.params.id, revokedAt: null };
+        if (req.user.role !== 'admin') {
+            filter.user = req.user.userId;
+        }
+
+        const key = await ApiKey.findOneAndUpdate(filter, { revokedAt: new Date() });
+        if (!key) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json({ message: 'API key revoked' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+// User routes
+app.get('/api/users/profile', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('-password');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(user);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+});
+
+app.get('/api/users', authenticateToken, async (req, res) => {
+    try {
+        // Account security and preference fields stay private to their owner
+        const users = await User.find({ isActive: true })
+            .select('-password -emailPreferences -lastDigestAt -failedLoginAttempts -lockedUntil -dashboardWidgets')
+            .sort({ firstName: 1 });
+        res.json(users);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// Everything a user did, plus changes made to their account
+app.get('/api/users/:id/activity', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!sameId(req.params.id, req.user.userId) && req.user.role !== 'admin') {
+            return forbidden(res, 'You can only view your own activity');
+        }
+
+        const userId = toObjectId(req.params.id);
+        res.json(await listActivity({
+            $or: [{ actor: userId }, { entityType: 'user', entityId: userId }]
+        }, req.query));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch user activity' });
+    }
+});
+
+app.put('/api/users/:id/role', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        if (sameId(req.params.id, req.user.userId)) {
+            return forbidden(res, 'Admins cannot change their own role');
+        }
+
+        const previous = await User.findById(req.params.id).select('-password');
+        if (!previous) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { role, updatedAt: new Date() },
+            { new: true, runValidators: true }
+        ).select('-password');
+
+        // Moved into a role that requires 2FA without having enrolled: signed out, so the user
+        // enrols at their next sign-in, as PUT /api/settings/security does for whole roles
+        if (!user.twoFactor.enabled && await twoFactorRequiredFor(user)) {
+            await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+        }
+
+        await publishEvent('user.updated', {
+            data: user,
+            previous,
+            actor: req.user.userId,
+            audience: [user._id]
+        });
+
+        res.json(user);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update user role' });
+    }
+});
+
+// For a lost authenticator and backup codes; the user enrols again at their next sign-in
+app.delete('/api/users/:id/2fa', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        if (sameId(req.params.id, req.user.userId)) {
+            return forbidden(res, 'Use your own security settings to turn off two-factor authentication');
+        }
+
+        const user = await User.findByIdAndUpdate(req.params.id, {
+            $set: { 'twoFactor.enabled': false, updatedAt: new Date() },
+            $unset: {
+                'twoFactor.enabledAt': 1,
+                'twoFactor.secret': 1,
+                'twoFactor.pendingSecret': 1,
+                'twoFactor.lastUsedStep': 1,
+                'twoFactor.backupCodes': 1
+            }
+        });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+        res.json({ message: 'Two-factor authentication reset' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+    }
+});
+
+// Deployment-wide security settings
+app.get('/api/settings/security', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        res.json(await getSecuritySettings());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch security settings' });
+    }
+});
+
+app.put('/api/settings/security', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { twoFactorRequiredRoles } = req.body;
+
+        if (!Array.isArray(twoFactorRequiredRoles) || twoFactorRequiredRoles.some(role => !ROLES.includes(role))) {
+            return res.status(400).json({ error: `twoFactorRequiredRoles must be a list of: ${ROLES.join(', ')}` });
+        }
+
+        if (twoFactorRequiredRoles.includes('admin')) {
+            const admin = await User.findById(req.user.userId).select('twoFactor.enabled');
+            if (!admin.twoFactor.enabled) {
+                return res.status(400).json({ error: 'Enable two-factor authentication on your own account before requiring it for admins' });
+            }
+        }
+
+        const previous = await getSecuritySettings();
+        const value = { ...previous, twoFactorRequiredRoles: [...new Set(twoFactorRequiredRoles)] };
+        await Setting.findOneAndUpdate(
+            { key: 'security' },
+            { value, updatedBy: req.user.userId, updatedAt: new Date() },
+            { upsert: true }
+        );
+
+        // Newly covered users who have not enrolled are signed out, so they enrol at their next sign-in
+        const newlyRequired = value.twoFactorRequiredRoles.filter(role => !previous.twoFactorRequiredRoles.includes(role));
+        let sessionsRevoked = 0;
+        if (newlyRequired.length > 0) {
+            const users = await User.find({ role: { $in: newlyRequired }, 'twoFactor.enabled': { $ne: true } }).select('_id');
+            const result = await Session.updateMany(
+                { user: { $in: users.map(user => user._id) }, revokedAt: null },
+                { revokedAt: new Date() }
+            );
+            sessionsRevoked = result.modifiedCount;
+        }
+
+        res.json({ ...value, sessionsRevoked });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update security settings' });
+    }
+});
+
+// Real-time event stream (Server-Sent Events)
+app.post('/api/events/ticket', authenticateToken, async (req, res) => {
+    try {
+        const ticket = crypto.randomBytes(32).toString('hex');
+        await UserToken.create({
+            user: req.user.userId,
+            session: req.user.sessionId,
+            purpose: 'event_stream',
+            tokenHash: hashToken(ticket),
+            expiresAt: new Date(Date.now() + EVENT_STREAM_TICKET_TTL_MS)
+        });
+
+        res.status(201).json({ ticket });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to issue stream ticket' });
+    }
+});
+
+app.get('/api/events/stream', authenticateStream, (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const listener = (event) => {
+        if (!canReceiveEvent(req.user, event)) return;
+
+        const { recipients, previous, ...payload } = event;
+        res.write(`id: ${event.id}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    // Notifications are private to their recipient, admins included
+    const notificationListener = (notification) => {
+        if (!sameId(notification.user, req.user.userId)) return;
+
+        const payload = { type: 'notification.created', data: notification, timestamp: new Date().toISOString() };
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    let closed = false;
+    const close = () => {
+        closed = true;
+        clearInterval(heartbeat);
+        appEvents.off('event', listener);
+        appEvents.off('notification', notificationListener);
+    };
+
+    // Comment lines keep proxies from closing an idle connection. Each one first re-checks the
+    // credentials, and ends the stream after a sign-out, session revoke or role change; the
+    // client then reconnects with fresh credentials or not at all.
+    const heartbeat = setInterval(async () => {
+        try {
+            const authorized = await streamStillAuthorized(req.user);
+            if (closed) return;
+            if (!authorized) {
+                close();
+                return res.end();
+            }
+        } catch (error) {
+            console.error('Event stream check failed:', error);
+        }
+        if (!closed) res.write(': heartbeat\n\n');
+    }, EVENT_STREAM_HEARTBEAT_MS);
+
+    appEvents.on('event', listener);
+    appEvents.on('notification', notificationListener);
+    req.on('close', close);
+});
+
+// Task routes
+// Cursor-paginated: pass nextCursor back as ?cursor= for the following page. See
+// TASK_FILTER_FIELDS for the filter syntax. ?page= still works for old clients, with offsets.
+// Shared by GET /api/tasks and saved views; `scope` adds conditions the caller cannot override
+const listTasks = async (req, res, params, scope = []) => {
+    try {
+        const { includeArchived, cursor, page } = params;
+        const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_TASK_PAGE_SIZE, 1), MAX_TASK_PAGE_SIZE);
+
+        let filter;
+        let sort;
+        let after;
+        try {
+            filter = parseTaskFilters(params, req.user);
+            sort = parseTaskSort(params.sort);
+            if (cursor && page) {
+                throw new Error('Use either cursor or page, not both');
+            }
+            after = cursor ? decodeTaskCursor(cursor, sort) : null;
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (includeArchived !== 'true') filter.archivedAt = null;
+
+        const conditions = [filter, ...scope, await taskAccessFilter(req.user)];
+        if (after) {
+            conditions.push(taskCursorFilter(sort, after));
+        }
+        const query = { $and: conditions };
+
+        const find = Task.find(query)
+            .populate('project', 'name')
+            .populate('assignedTo', 'firstName lastName username')
+            .populate('createdBy', 'firstName lastName username')
+            .populate('comments.user', 'firstName lastName username')
+            .sort({ [sort.field]: sort.direction, _id: sort.direction });
+
+        if (page) {
+            const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+            const [tasks, total] = await Promise.all([
+                find.skip((currentPage - 1) * limit).limit(limit),
+                Task.countDocuments(query)
+            ]);
+            return res.json({ tasks, totalPages: Math.ceil(total / limit), currentPage, total });
+        }
+
+        // One extra row tells whether another page exists
+        const rows = await find.limit(limit + 1);
+        const tasks = rows.slice(0, limit);
+        const hasMore = rows.length > limit;
+
+        res.json({
+            tasks,
+            nextCursor: hasMore ? encodeTaskCursor(sort, tasks[tasks.length - 1]) : null,
+            hasMore,
+            limit,
+            sort: `${sort.direction === -1 ? '-' : ''}${sort.field}`
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch tasks' });
+    }
+};
+
+app.get('/api/tasks', authenticateToken, (req, res) => listTasks(req, res, req.query));
+
+// Streams every matching task; takes the GET /api/tasks filters and sort, or a saved view
+app.get('/api/tasks/export', authenticateToken, async (req, res) => {
+    try {
+        const { format = 'csv', view: viewId, ...query } = req.query;
+        if (!IMPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+        }
+
+        let params = query;
+        let scope = [];
+        if (viewId) {
+            const view = await findSavedView(viewId);
+            if (!view || !canViewSavedView(req.user, view)) {
+                return res.status(404).json({ error: 'View not found' });
+            }
+            params = { ...view.filters, sort: view.sort };
+            scope = viewScope(view);
+        }
+
+        let filter;
+        let sort;
+        try {
+            filter = parseTaskFilters(params, req.user);
+            sort = parseTaskSort(params.sort);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (params.includeArchived !== 'true') filter.archivedAt = null;
+
+        const cursor = Task.find({ $and: [filter, ...scope, await taskAccessFilter(req.user)] })
+            .populate('project', 'name')
+            .populate('assignedTo', 'username')
+            .populate('createdBy', 'username')
+            .sort({ [sort.field]: sort.direction, _id: sort.direction })
+            .lean()
+            .cursor();
+
+        await streamExport(res, { cursor, columns: TASK_EXPORT_COLUMNS, format, filename: 'tasks' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to export tasks' });
+    }
+});
+
+// Creates tasks from CSV or JSON rows (a multipart `file`, or `data` in a JSON body). Columns
+// match fields by name unless `mapping` says otherwise, projects are matched by name and users
+// by username or email. Rows with errors are skipped and reported; dryRun saves nothing.
+app.post('/api/tasks/import', authenticateToken, uploadImportFile, async (req, res) => {
+    let input;
+    let mapping;
+    try {
+        input = readImportData(req);
+        mapping = resolveImportMapping(input.columns, TASK_IMPORT_FIELDS, TASK_EXPORT_COLUMNS, parseImportMapping(req.body.mapping));
+    } catch (error) {
+        // Columns let a client offer a mapping when none could be guessed
+        return res.status(400).json({ error: error.message, ...(input && { columns: input.columns }) });
+    }
+
+    try {
+        const dryRun = [true, 'true'].includes(req.body.dryRun);
+        const rows = mapImportRecords(input.records, mapping, TASK_IMPORT_FIELDS);
+        const errors = rows
+            .filter(row => row.errors)
+            .flatMap(row => row.errors.map(error => ({ row: row.row, ...error })));
+        const valid = rows.filter(row => row.values);
+
+        const [projectsByName, usersByName] = await Promise.all([
+            findImportProjects(req.user),
+            findImportUsers(valid.map(({ values }) => values.assignedTo).filter(Boolean))
+        ]);
+
+        const created = [];
+        const touchedProjects = [];
+        for (const { row, values } of valid) {
+            const projects = projectsByName.get(values.project.toLowerCase()) || [];
+            if (projects.length !== 1) {
+                errors.push({
+                    row,
+                    field: 'project',
+                    error: projects.length > 1 ? `More than one project is named "${values.project}"` : `No project named "${values.project}"`
+                });
+                continue;
+            }
+            const assignee = values.assignedTo && usersByName.get(values.assignedTo.toLowerCase());
+            if (values.assignedTo && !assignee) {
+                errors.push({ row, field: 'assignedTo', error: `No user with username or email "${values.assignedTo}"` });
+                continue;
+            }
+
+            const body = { ...values, project: projects[0]._id, assignedTo: assignee ? assignee._id : undefined };
+            try {
+                if (dryRun) {
+                    const { error, taskData } = await prepareTask(req.user, body);
+                    const invalid = error ? null : new Task(taskData).validateSync();
+                    if (error || invalid) errors.push({ row, error: error || invalid.message });
+                } else {
+                    const { error, task } = await createTask(req.user, body, { refreshStats: false });
+                    if (error) {
+                        errors.push({ row, error });
+                    } else {
+                        created.push({ row, id: task._id });
+                        touchedProjects.push(task.project);
+                    }
+                }
+            } catch (error) {
+                const invalid = ['ValidationError', 'CastError'].includes(error.name);
+                errors.push({ row, error: invalid ? error.message : 'Failed to import row' });
+            }
+        }
+
+        await refreshProjectStats(...touchedProjects);
+
+        res.status(dryRun ? 200 : 201).json(importReport({
+            dryRun,
+            format: input.format,
+            mapping,
+            records: input.records,
+            errors,
+            created: dryRun ? undefined : created
+        }));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to import tasks' });
+    }
+});
+
+app.get('/api/tasks/:id', authenticateToken, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id)
+            .populate('project', 'name')
+            .populate('assignedTo', 'firstName lastName username')
+            .populate('createdBy', 'firstName lastName username')
+            .populate('comments.user', 'firstName lastName username')
+            .populate('attachments.uploadedBy', 'firstName lastName username');
+
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return forbidden(res, 'You cannot view this task');
+        }
+
+        res.json(task);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch task' });
+    }
+});
+
+app.get('/api/tasks/:id/activity', authenticateToken, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id).select('project createdBy assignedTo');
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return forbidden(res, 'You cannot view this task');
+        }
+
+        res.json(await listActivity({ entityType: 'task', entityId: task._id }, req.query));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch task activity' });
+    }
+});
+
+// Subtask tree, upstream blockers (transitively), downstream dependents and the critical path
+app.get('/api/tasks/:id/dependencies', authenticateToken, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return forbidden(res, 'You cannot view this task');
+        }
+
+        const graph = await loadTaskGraph(task.project);
+        const summarize = (node) => ({
+            _id: node._id,
+            title: node.title,
+            status: node.status,
+            priority: node.priority,
+            estimatedHours: node.estimatedHours,
+            dueDate: node.dueDate,
+            assignedTo: node.assignedTo
+        });
+
+        const buildTree = (id, next, trail = new Set()) => {
+            const node = graph.get(id);
+            if (!node || trail.has(id)) return null;
+            const branch = new Set(trail).add(id);
+            return {
+                ...summarize(node),
+                children: next(id).map(childId => buildTree(childId, next, branch)).filter(Boolean)
+            };
+        };
+
+        const childrenOf = (id) => [...graph.values()]
+            .filter(node => sameId(node.parent, id))
+            .map(node => String(node._id));
+        const dependentsOf = (id) => [...graph.values()]
+            .filter(node => node.blockedBy.some(blocker => sameId(blocker, id)))
+            .map(node => String(node._id));
+
+        const id = String(task._id);
+        const criticalPath = criticalPathTo(graph, id);
+
+        res.json({
+            task: summarize(graph.get(id)),
+            parent: task.parent && graph.has(String(task.parent)) ? summarize(graph.get(String(task.parent))) : null,
+            subtasks: buildTree(id, childrenOf).children,
+            blockedBy: buildTree(id, blockersOf(graph)).children,
+            blocks: buildTree(id, dependentsOf).children,
+            criticalPath: {
+                totalHours: criticalPath.totalHours,
+                tasks: criticalPath.tasks.map(summarize)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch task dependencies' });
+    }
+});
+
+// Checks a POST /api/tasks body and builds the document without saving it. Resolves to
+// { project, taskData } or to { status, error } like updateTask.
+const prepareTask = async (user, body) => {
+    const project = await findTaskProject(body.project);
+    if (!project) {
+        return { status: 400, error: 'A valid project is required' };
+    }
+    if (!canViewProject(user, project)) {
+        return { status: 403, error: 'You are not a member of this project' };
+    }
+    if (project.archivedAt) {
+        return { status: 400, error: 'Cannot add tasks to an archived project' };
+    }
+
+    const relationError = await validateTaskRelations(null, project._id, body);
+    if (relationError) {
+        return { status: 400, error: relationError };
+    }
+
+    const workflow = getWorkflow(project);
+    const status = findWorkflowStatus(workflow, body.status || workflow.initialStatus);
+    if (!status) {
+        return {
+            status: 400,
+            error: `Status must be one of: ${workflow.statuses.map(candidate => candidate.key).join(', ')}`
+        };
+    }
+
+    const recurrence = parseRecurrence(body.recurrence === undefined ? null : body.recurrence);
+    if (recurrence.error) {
+        return { status: 400, error: recurrence.error };
+    }
+
+    // actualHours is derived from time entries; series bookkeeping and reminders are internal.
+    // Comments and attachments are added through their own routes, which check who may add them.
+    // externalRef and a backdated createdAt only come from imports, through createTask's options.
+    const {
+        deletedAt, deletedBy, archivedAt, actualHours, createdBy, createdAt, comments, attachments,
+        recurrenceSeries, occurrence, reminders, watchers, externalRef, ...fields
+    } = body;
+    const taskData = {
+        ...fields,
+        watchers: [user.userId, fields.assignedTo].filter(Boolean),
+        recurrence: recurrence.value,
+        status: status.key,
+        statusCategory: status.category,
+        createdBy: user.userId,
+        updatedAt: new Date()
+    };
+
+    return { project, taskData };
+};
+
+// Creates a task from a POST /api/tasks body; resolves to { task } (populated) or to { status, error }.
+// Imports pass what they alone may set as imported: { externalRef, comments, createdAt }.
+const createTask = async (user, body, { refreshStats = true, imported = {} } = {}) => {
+    const { status, error, project, taskData } = await prepareTask(user, body);
+    if (error) {
+        return { status, error };
+    }
+    Object.assign(taskData, imported);
+
+    // New tasks go to the bottom of their column unless a position was given
+    if (typeof taskData.position !== 'number') {
+        const lastTask = await Task.findOne({ status: taskData.status })
+            .sort({ position: -1 })
+            .select('position');
+        taskData.position = lastTask ? lastTask.position + TASK_POSITION_STEP : TASK_POSITION_STEP;
+    }
+
+    const task = new Task(taskData);
+    await task.save();
+    if (refreshStats) {
+        await refreshProjectStats(task.project);
+    }
+
+    const populatedTask = await Task.findById(task._id)
+        .populate('project', 'name')
+        .populate('assignedTo', 'firstName lastName username')
+        .populate('createdBy', 'firstName lastName username');
+
+    await publishEvent('task.created', { task, project, data: populatedTask, actor: user.userId });
+
+    return { task: populatedTask };
+};
+
+app.post('/api/tasks', authenticateToken, async (req, res) => {
+    try {
+        const { status, task, ...failure } = await createTask(req.user, req.body);
+        if (!task) {
+            return res.status(status).json(failure);
+        }
+
+        res.status(201).json(task);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create task' });
+    }
+});
+
+// Applies a PUT /api/tasks/:id body with the caller's permissions. Resolves to { task } or to
+// { status, error, ...details } for the route to send. Pass refreshStats: false to batch refreshes.
+const updateTask = async (user, existingTask, body, { refreshStats = true } = {}) => {
+    if (!(await canManageTask(user, existingTask))) {
+        return { status: 403, error: 'You cannot modify this task' };
+    }
+
+    // Comments, attachments and time entries are managed through their own sub-resource routes;
+    // externalRef belongs to the import that created the task
+    const {
+        createdBy, comments, attachments, archivedAt, deletedAt, deletedBy,
+        statusCategory, actualHours, recurrenceSeries, occurrence, reminders, watchers,
+        overrideBlockers, externalRef, ...updates
+    } = body;
+
+    if (updates.recurrence !== undefined) {
+        const recurrence = parseRecurrence(updates.recurrence);
+        if (recurrence.error) {
+            return { status: 400, error: recurrence.error };
+        }
+        updates.recurrence = recurrence.value;
+    }
+
+    // Archived projects, and tasks archived when their project was deleted, are read-only
+    const currentProject = await findTaskProject(existingTask.project);
+    if (existingTask.archivedAt || (currentProject && currentProject.archivedAt)) {
+        return { status: 400, error: 'Archived tasks cannot be changed' };
+    }
+
+    const movingProject = updates.project && !sameId(updates.project, existingTask.project);
+    const project = movingProject ? await findTaskProject(updates.project) : currentProject;
+    if (movingProject) {
+        if (!project) {
+            return { status: 400, error: 'Target project not found' };
+        }
+        if (!canViewProject(user, project)) {
+            return { status: 403, error: 'You are not a member of the target project' };
+        }
+        if (project.archivedAt) {
+            return { status: 400, error: 'Cannot move tasks into an archived project' };
+        }
+    }
+
+    // Status changes follow the project's workflow; a task moving project keeps an
+    // equivalent status when it does not name one
+    const workflow = getWorkflow(project);
+    if (updates.status !== undefined || movingProject) {
+        const targetKey = updates.status !== undefined
+            ? updates.status
+            : mapStatusToWorkflow(workflow, existingTask.status, existingTask.statusCategory);
+        const target = findWorkflowStatus(workflow, targetKey);
+
+        if (!target) {
+            return {
+                status: 400,
+                error: `Status must be one of: ${workflow.statuses.map(status => status.key).join(', ')}`
+            };
+        }
+        if (!movingProject && !isTransitionAllowed(workflow, existingTask.status, target.key, user.role)) {
+            return { status: 403, error: `Moving from "${existingTask.status}" to "${target.key}" is not allowed` };
+        }
+
+        updates.status = target.key;
+        updates.statusCategory = target.category;
+    }
+
+    // Relations stay within one project, so a task moving project leaves its links behind unless
+    // the body names new ones. Only links the update adds are checked: existing ones may point at
+    // tasks trashed since, and most updates then need no graph at all.
+    if (movingProject) {
+        if (updates.parent === undefined) updates.parent = null;
+        if (updates.blockedBy === undefined) updates.blockedBy = [];
+    }
+    const addedParent = updates.parent && (movingProject || !sameId(updates.parent, existingTask.parent))
+        ? updates.parent
+        : null;
+    const addedBlockers = Array.isArray(updates.blockedBy) && !movingProject
+        ? updates.blockedBy.filter(blocker => !existingTask.blockedBy.some(existing => sameId(existing, blocker)))
+        : updates.blockedBy;
+    const relationError = await validateTaskRelations(existingTask._id, updates.project || existingTask.project, {
+        parent: addedParent,
+        blockedBy: addedBlockers
+    });
+    if (relationError) {
+        return { status: 400, error: relationError };
+    }
+
+    const effectiveBlockers = updates.blockedBy !== undefined ? updates.blockedBy : existingTask.blockedBy;
+
+    // Completing a task with open blockers needs an explicit override
+    if (updates.statusCategory === 'done' && existingTask.statusCategory !== 'done' && !overrideBlockers) {
+        const openBlockers = await findOpenBlockers(effectiveBlockers);
+        if (openBlockers.length > 0) {
+            return {
+                status: 409,
+                error: 'Task is blocked by tasks that are still open',
+                blockers: openBlockers,
+                hint: 'Send overrideBlockers: true to complete it anyway'
+            };
+        }
+    }
+
+    // A new assignee starts watching the task
+    const task = await Task.findByIdAndUpdate(
+        existingTask._id,
+        {
+            ...updates,
+            updatedAt: new Date(),
+            ...(updates.assignedTo && { $addToSet: { watchers: updates.assignedTo } })
+        },
+        { new: true, runValidators: true }
+    )
+    .populate('project', 'name')
+    .populate('assignedTo', 'firstName lastName username')
+    .populate('createdBy', 'firstName lastName username');
+
+    if (!task) {
+        return { status: 404, error: 'Task not found' };
+    }
+
+    if (movingProject) {
+        await TimeEntry.updateMany({ task: task._id }, { project: task.project._id });
+    }
+
+    if (refreshStats) {
+        await refreshProjectStats(existingTask.project, task.project);
+    }
+    await publishEvent('task.updated', {
+        task,
+        data: task,
+        previous: existingTask,
+        actor: user.userId,
+        audience: [existingTask.createdBy, existingTask.assignedTo]
+    });
+
+    if (updates.statusCategory === 'done' && existingTask.statusCategory !== 'done') {
+        await spawnNextOccurrence(task, user.userId);
+    }
+
+    return { task };
+};
+
+// Moves a task to the trash; resolves to an error like updateTask, or to {}
+const trashTask = async (user, task, { refreshStats = true } = {}) => {
+    if (!(await canManageTask(user, task))) {
+        return { status: 403, error: 'You cannot delete this task' };
+    }
+
+    const previous = task.toObject();
+    task.deletedAt = new Date();
+    task.deletedBy = user.userId;
+    await task.save();
+    await detachTaskRelations(task._id);
+    if (refreshStats) {
+        await refreshProjectStats(task.project);
+    }
+    await publishEvent('task.deleted', { task, data: task, previous, actor: user.userId });
+
+    return {};
+};
+
+app.put('/api/tasks/:id', authenticateToken, async (req, res) => {
+    try {
+        const existingTask = await Task.findById(req.params.id);
+        if (!existingTask) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const { status, task, ...failure } = await updateTask(req.user, existingTask, req.body);
+        if (!task) {
+            return res.status(status).json(failure);
+        }
+
+        res.json(task);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update task' });
+    }
+});
+
+app.delete('/api/tasks/:id', authenticateToken, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const { status, ...failure } = await trashTask(req.user, task);
+        if (status) {
+            return res.status(status).json(failure);
+        }
+
+        res.json({ message: 'Task moved to trash' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete task' });
+    }
+});
+
+// One request for many tasks, by ids or by a filter in GET /api/tasks form. Each task gets the
+// same checks as PUT or DELETE /api/tasks/:id and its own entry in results.
+app.post('/api/tasks/bulk', authenticateToken, async (req, res) => {
+    try {
+        const { action = 'update', ids, filter, changes, overrideBlockers } = req.body;
+
+        let taskIds;
+        let query;
+        try {
+            if (!BULK_TASK_ACTIONS.includes(action)) {
+                throw new Error(`action must be one of: ${BULK_TASK_ACTIONS.join(', ')}`);
+            }
+            if ((ids === undefined) === (filter === undefined)) {
+                throw new Error('Send either ids or filter');
+            }
+            if (action === 'update') {
+                parseBulkChanges(changes);
+            }
+
+            if (ids !== undefined) {
+                if (!Array.isArray(ids) || ids.length === 0) throw new Error('ids must be a non-empty list');
+                if (ids.length > MAX_BULK_TASKS) throw new Error(`At most ${MAX_BULK_TASKS} tasks per request`);
+                taskIds = [...new Set(ids.map(String))];
+            } else {
+                if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+                    throw new Error('filter must be an object of task filter params');
+                }
+                query = parseTaskFilters(filter, req.user);
+                if (filter.includeArchived !== 'true') query.archivedAt = null;
+            }
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (query) {
+            const matches = await Task.find({ $and: [query, await taskAccessFilter(req.user)] })
+                .select('_id')
+                .sort({ _id: 1 })
+                .limit(MAX_BULK_TASKS + 1);
+            if (matches.length > MAX_BULK_TASKS) {
+                return res.status(400).json({ error: `Filter matches more than ${MAX_BULK_TASKS} tasks; narrow it down` });
+            }
+            taskIds = matches.map(match => String(match._id));
+        }
+
+        const tasks = await Task.find({ _id: { $in: taskIds.filter(id => mongoose.Types.ObjectId.isValid(id)) } });
+        const tasksById = new Map(tasks.map(task => [String(task._id), task]));
+        const touchedProjects = [];
+        const results = [];
+
+        // One at a time, so workflow and blocker checks see the earlier items' changes
+        for (const id of taskIds) {
+            const task = tasksById.get(id);
+            if (!task) {
+                results.push({ id, ok: false, status: 404, error: 'Task not found' });
+                continue;
+            }
+
+            try {
+                const { status, task: updated, ...failure } = action === 'delete'
+                    ? await trashTask(req.user, task, { refreshStats: false })
+                    : await updateTask(req.user, task, { ...bulkUpdateBody(task, changes), overrideBlockers }, { refreshStats: false });
+
+                if (status) {
+                    results.push({ id, ok: false, status, ...failure });
+                } else {
+                    touchedProjects.push(task.project, updated && updated.project);
+                    results.push(updated ? { id, ok: true, task: updated } : { id, ok: true });
+                }
+            } catch (error) {
+                // Schema validation happens on write, so a bad value fails only its own item
+                const invalid = ['ValidationError', 'CastError'].includes(error.name);
+                results.push({
+                    id,
+                    ok: false,
+                    status: invalid ? 400 : 500,
+                    error: invalid ? error.message : `Failed to ${action} task`
+                });
+            }
+        }
+
+        await refreshProjectStats(...touchedProjects);
+
+        const succeeded = results.filter(result => result.ok).length;
+        res.json({ action, total: results.length, succeeded, failed: results.length - succeeded, results });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to apply bulk operation' });
+    }
+});
+
+// Task comment routes
+// Appends comments to a task, makes their authors watchers and publishes task.comment_added for
+// each (activity, mentions, watcher notifications). Resolves to the added comments, populated.
+const addTaskComments = async (task, comments) => {
+    task.comments.push(...comments);
+    comments.forEach(comment => task.watchers.addToSet(comment.user));
+    task.updatedAt = new Date();
+    await task.save();
+
+    const added = task.comments.slice(-comments.length).map(comment => ({ _id: comment._id, actor: comment.user }));
+    await task.populate('comments.user', 'firstName lastName username');
+
+    const populatedComments = [];
+    for (const { _id, actor } of added) {
+        const comment = task.comments.id(_id);
+        populatedComments.push(comment);
+        await publishEvent('task.comment_added', {
+            task,
+            data: { taskId: task._id, comment: comment.toJSON() },
+            actor
+        });
+    }
+    return populatedComments;
+};
+
+app.post('/api/tasks/:id/comments', authenticateToken, async (req, res) => {
+    try {
+        const text = (req.body.text || '').trim();
+        if (!text) {
+            return res.status(400).json({ error: 'Comment text is required' });
+        }
+
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return forbidden(res, 'You cannot comment on this task');
+        }
+
+        const [comment] = await addTaskComments(task, [{ user: req.user.userId, text }]);
+        res.status(201).json(comment);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to add comment' });
+    }
+});
+
+app.put('/api/tasks/:id/comments/:commentId', authenticateToken, async (req, res) => {
+    try {
+        const text = (req.body.text || '').trim();
+        if (!text) {
+            return res.status(400).json({ error: 'Comment text is required' });
+        }
+
+        const task = await Task.findById(req.params.id);
+        const comment = task && task.comments.id(req.params.commentId);
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        // Only the author may reword a comment
+        if (!sameId(comment.user, req.user.userId)) {
+            return forbidden(res, 'You can only edit your own comments');
+        }
+
+        const previousText = comment.text;
+        comment.text = text;
+        comment.updatedAt = new Date();
+        await task.save();
+        await task.populate('comments.user', 'firstName lastName username');
+
+        const populatedComment = task.comments.id(comment._id);
+        await publishEvent('task.comment_updated', {
+            task,
+            data: { taskId: task._id, comment: populatedComment.toJSON(), previousText },
+            actor: req.user.userId
+        });
+
+        res.json(populatedComment);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update comment' });
+    }
+});
+
+app.delete('/api/tasks/:id/comments/:commentId', authenticateToken, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        const comment = task && task.comments.id(req.params.commentId);
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        if (!sameId(comment.user, req.user.userId) && !(await canManageTask(req.user, task))) {
+            return forbidden(res, 'You cannot delete this comment');
+        }
+
+        comment.deleteOne();
+        await task.save();
+        await publishEvent('task.comment_deleted', {
+            task,
+            data: { taskId: task._id, commentId: comment._id, previousText: comment.text },
+            actor: req.user.userId
+        });
+
+        res.json({ message: 'Comment deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete comment' });
+    }
+});
+
+// Task attachment routes
+app.post('/api/tasks/:id/attachments', authenticateToken, async (req, res, next) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!(await canManageTask(req.user, task))) {
+            return forbidden(res, 'You cannot add attachments to this task');
+        }
+
+        req.task = task;
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to upload attachments' });
+    }
+}, uploadAttachments, async (req, res) => {
+    const task = req.task;
+    const savedKeys = [];
+
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'At least one file is required' });
+        }
+
+        for (const file of req.files) {
+            const storageKey = await attachmentStorage.save(file, String(task._id));
+            savedKeys.push(storageKey);
+
+            const attachment = task.attachments.create({
+                filename: file.originalname,
+                storageKey,
+                mimeType: file.mimetype,
+                size: file.size,
+                uploadedBy: req.user.userId
+            });
+            attachment.url = `/api/tasks/${task._id}/attachments/${attachment._id}`;
+            task.attachments.push(attachment);
+        }
+
+        task.updatedAt = new Date();
+        await task.save();
+
+        res.status(201).json(task.attachments.slice(-req.files.length));
+    } catch (error) {
+        // Don't leave orphaned files behind when the task could not be saved
+        await removeStoredAttachments(savedKeys.map(storageKey => ({ storageKey })));
+        res.status(500).json({ error: 'Failed to upload attachments' });
+    }
+});
+
+app.get('/api/tasks/:id/attachments/:attachmentId', authenticateToken, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        const attachment = task && task.attachments.id(req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return forbidden(res, 'You cannot view this attachment');
+        }
+
+        if (!attachment.storageKey) {
+            // Legacy attachments only carry an external URL
+            return res.redirect(attachment.url);
+        }
+
+        const stream = attachmentStorage.createReadStream(attachment.storageKey);
+        stream.on('error', () => {
+            if (!res.headersSent) {
+                res.status(404).json({ error: 'Attachment file missing' });
+            }
+        });
+
+        res.attachment(attachment.filename);
+        res.type(attachment.mimeType || 'application/octet-stream');
+        if (attachment.size) {
+            res.set('Content-Length', String(attachment.size));
+        }
+        stream.pipe(res);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to download attachment' });
+    }
+});
+
+app.delete('/api/tasks/:id/attachments/:attachmentId', authenticateToken, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        const attachment = task && task.attachments.id(req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        if (!sameId(attachment.uploadedBy, req.user.userId) && !(await canManageTask(req.user, task))) {
+            return forbidden(res, 'You cannot delete this attachment');
+        }
+
+        attachment.deleteOne();
+        task.updatedAt = new Date();
+        await task.save();
+        await removeStoredAttachments([attachment]);
+
+        res.json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete attachment' });
+    }
+});
+
+// Notification preference routes
+app.get('/api/users/profile/notification-preferences', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('emailPreferences');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ email: emailPreferencesOf(user), modes: EMAIL_DELIVERY_MODES });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch notification preferences' });
+    }
+});
+
+app.put('/api/users/profile/notification-preferences', authenticateToken, async (req, res) => {
+    try {
+        const email = req.body.email || {};
+        const unknownType = Object.keys(email).find(type => !DEFAULT_EMAIL_PREFERENCES[type]);
+        if (unknownType) {
+            return res.status(400).json({ error: `Unknown notification type "${unknownType}"` });
+        }
+        const badMode = Object.values(email).find(mode => !EMAIL_DELIVERY_MODES.includes(mode));
+        if (badMode !== undefined) {
+            return res.status(400).json({ error: `Delivery mode must be one of: ${EMAIL_DELIVERY_MODES.join(', ')}` });
+        }
+
+        const updates = Object.fromEntries(Object.entries(email).map(([type, mode]) => [`emailPreferences.${type}`, mode]));
+        const user = await User.findByIdAndUpdate(
+            req.user.userId,
+            { $set: { ...updates, updatedAt: new Date() } },
+            { new: true }
+        ).select('emailPreferences');
+
+        res.json({ email: emailPreferencesOf(user), modes: EMAIL_DELIVERY_MODES });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update notification preferences' });
+    }
+});
+
+// Queues a test message to the caller so an SMTP setup can be checked end to end
+app.post('/api/email/test', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('email firstName');
+        const message = await queueEmail({ to: user.email, user: user._id, template: 'test', data: { user } });
+
+        res.status(202).json({ id: message._id, to: message.to, transport: MAIL_TRANSPORT });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to queue test email' });
+    }
+});
+
+// Task watcher routes
+const setWatching = (watching) => async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id).select('project createdBy assignedTo');
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return forbidden(res, 'You cannot view this task');
+        }
+
+        const update = watching
+            ? { $addToSet: { watchers: req.user.userId } }
+            : { $pull: { watchers: req.user.userId } };
+        const updated = await Task.findByIdAndUpdate(task._id, update, { new: true }).select('watchers');
+
+        res.json({ watching, watchers: updated.watchers });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to ${watching ? 'watch' : 'unwatch'} task` });
+    }
+};
+
+app.post('/api/tasks/:id/watch', authenticateToken, setWatching(true));
+app.delete('/api/tasks/:id/watch', authenticateToken, setWatching(false));
+
+// Notification routes
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+    try {
+        const { unread } = req.query;
+        const { page, limit, skip } = parsePagination(req.query, 20);
+        const filter = { user: req.user.userId };
+        if (unread === 'true') {
+            filter.readAt = null;
+        }
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(filter)
+                .populate('actor', 'firstName lastName username')
+                .populate('task', 'title')
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .skip(skip),
+            Notification.countDocuments(filter),
+            Notification.countDocuments({ user: req.user.userId, readAt: null })
+        ]);
+
+        res.json({
+            notifications,
+            unreadCount,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            total
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+app.get('/api/notifications/unread-count', authenticateToken, async (req, res) => {
+    try {
+        const count = await Notification.countDocuments({ user: req.user.userId, readAt: null });
+        res.json({ count });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to count notifications' });
+    }
+});
+
+// Marks everything read, or only `ids` when given
+app.post('/api/notifications/read', authenticateToken, async (req, res) => {
+    try {
+        const filter = { user: req.user.userId, readAt: null };
+        if (Array.isArray(req.body.ids)) {
+            filter._id = { $in: req.body.ids.filter(id => mongoose.Types.ObjectId.isValid(id)) };
+        }
+
+        const result = await Notification.updateMany(filter, { readAt: new Date() });
+        res.json({ updated: result.modifiedCount });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to mark notifications as read' });
+    }
+});
+
+app.post('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+    try {
+        const notification = mongoose.Types.ObjectId.isValid(req.params.id) &&
+            await Notification.findOne({ _id: req.params.id, user: req.user.userId });
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        res.json(notification);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to mark notification as read' });
+    }
+});
+
+// Time tracking routes
+app.get('/api/tasks/:id/time-entries', authenticateToken, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id).select('project createdBy assignedTo estimatedHours actualHours');
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return forbidden(res, 'You cannot view this task');
+        }
+
+        const entries = await populateTimeEntry(TimeEntry.find({ task: task._id }).sort({ startedAt: -1 }));
+
+        res.json({
+            entries,
+            estimatedHours: task.estimatedHours || 0,
+            actualHours: task.actualHours || 0
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch time entries' });
+    }
+});
+
+app.post('/api/tasks/:id/time-entries', authenticateToken, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id).select('project createdBy assignedTo');
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return forbidden(res, 'You cannot log time on this task');
+        }
+
+        const parsed = parseTimeEntryInput(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const entry = await TimeEntry.create({
+            task: task._id,
+            project: task.project,
+            user: req.user.userId,
+            startedAt: parsed.startedAt,
+            endedAt: parsed.endedAt,
+            minutes: parsed.minutes,
+            note: req.body.note,
+            source: 'manual'
+        });
+        await syncActualHours(task._id, req.user.userId);
+
+        res.status(201).json(await populateTimeEntry(TimeEntry.findById(entry._id)));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to log time' });
+    }
+});
+
+// Starting a timer stops whichever timer the user already had running
+app.post('/api/tasks/:id/timer/start', authenticateToken, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id).select('project createdBy assignedTo');
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!(await canViewTask(req.user, task))) {
+            return forbidden(res, 'You cannot log time on this task');
+        }
+
+        const stopped = await stopRunningTimer(req.user.userId);
+        let entry;
+        try {
+            entry = await TimeEntry.create({
+                task: task._id,
+                project: task.project,
+                user: req.user.userId,
+                startedAt: new Date(),
+                note: req.body.note,
+                source: 'timer'
+            });
+        } catch (error) {
+            // Another start got in between stopping the old timer and creating this one
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'Another timer was started at the same time' });
+            }
+            throw error;
+        }
+
+        res.status(201).json({
+            entry: await populateTimeEntry(TimeEntry.findById(entry._id)),
+            stopped
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to start timer' });
+    }
+});
+
+app.post('/api/tasks/:id/timer/stop', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'No running timer on this task' });
+        }
+
+        const entry = await stopRunningTimer(req.user.userId, {
+            task: req.params.id,
+            ...(req.user.projects && { project: { $in: req.user.projects } })
+        });
+        if (!entry) {
+            return res.status(404).json({ error: 'No running timer on this task' });
+        }
+
+        res.json(await populateTimeEntry(TimeEntry.findById(entry._id)));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to stop timer' });
+    }
+});
+
+app.get('/api/time-entries/running', authenticateToken, async (req, res) => {
+    try {
+        const entry = await populateTimeEntry(TimeEntry.findOne({ user: req.user.userId, endedAt: null }));
+        res.json(entry && withinKeyProjects(req.user, entry.project) ? entry : null);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch running timer' });
+    }
+});
+
+// Only the person who logged the time may adjust it; a running timer only takes a new note
+app.put('/api/time-entries/:id', authenticateToken, async (req, res) => {
+    try {
+        const entry = mongoose.Types.ObjectId.isValid(req.params.id) && await TimeEntry.findById(req.params.id);
+        if (!entry || !withinKeyProjects(req.user, entry.project)) {
+            return res.status(404).json({ error: 'Time entry not found' });
+        }
+
+        if (!sameId(entry.user, req.user.userId)) {
+            return forbidden(res, 'You can only edit your own time entries');
+        }
+
+        if (req.body.note !== undefined) {
+            entry.note = req.body.note;
+        }
+
+        const timing = ['startedAt', 'endedAt', 'minutes', 'hours', 'date'].some(field => req.body[field] !== undefined);
+        if (timing) {
+            if (!entry.endedAt) {
+                return res.status(409).json({ error: 'Stop the timer before changing its times' });
+            }
+
+            // Unchanged bounds or duration are taken from the entry itself
+            const { startedAt, endedAt, minutes, hours, date } = req.body;
+            const parsed = parseTimeEntryInput(startedAt || endedAt
+                ? { startedAt: startedAt || entry.startedAt, endedAt: endedAt || entry.endedAt }
+                : {
+                    minutes: minutes !== undefined || hours !== undefined ? minutes : entry.minutes,
+                    hours,
+                    date: date || entry.startedAt
+                });
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+
+            entry.startedAt = parsed.startedAt;
+            entry.endedAt = parsed.endedAt;
+            entry.minutes = parsed.minutes;
+        }
+
+        entry.updatedAt = new Date();
+        await entry.save();
+        await syncActualHours(entry.task, req.user.userId);
+
+        res.json(await populateTimeEntry(TimeEntry.findById(entry._id)));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update time entry' });
+    }
+});
+
+app.delete('/api/time-entries/:id', authenticateToken, async (req, res) => {
+    try {
+        const entry = mongoose.Types.ObjectId.isValid(req.params.id) && await TimeEntry.findById(req.params.id);
+        if (!entry || !withinKeyProjects(req.user, entry.project)) {
+            return res.status(404).json({ error: 'Time entry not found' });
+        }
+
+        const task = await Task.findById(entry.task).setOptions({ withDeleted: true });
+        const canRemove = sameId(entry.user, req.user.userId) ||
+            (task && await canManageTask(req.user, task));
+        if (!canRemove) {
+            return forbidden(res, 'You cannot delete this time entry');
+        }
+
+        await TimeEntry.deleteOne({ _id: entry._id });
+        await syncActualHours(entry.task, req.user.userId);
+
+        res.json({ message: 'Time entry deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete time entry' });
+    }
+});
+
+// Hours per user per day or ISO week (groupBy=day|week), or per task against its
+// estimate (groupBy=task). Filters: from, to, project, user, tz; format=csv downloads it.
+app.get('/api/timesheets', authenticateToken, async (req, res) => {
+    try {
+        const { groupBy = 'day', format = 'json', tz = 'UTC', project, user } = req.query;
+
+        if (!['day', 'week', 'task'].includes(groupBy)) {
+            return res.status(400).json({ error: 'groupBy must be one of: day, week, task' });
+        }
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'format must be json or csv' });
+        }
+        if (!isValidTimeZone(tz)) {
+            return res.status(400).json({ error: `Unknown time zone "${tz}"` });
+        }
+
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * DAY_MS);
+        if (isNaN(from) || isNaN(to) || from > to) {
+            return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+        }
+        if (to - from > MAX_TIMESHEET_RANGE_DAYS * DAY_MS) {
+            return res.status(400).json({ error: `Timesheets cover at most ${MAX_TIMESHEET_RANGE_DAYS} days` });
+        }
+
+        const match = {
+            $and: [
+                await timesheetAccessFilter(req.user),
+                { endedAt: { $ne: null }, startedAt: { $gte: from, $lte: to } }
+            ]
+        };
+        for (const [field, value] of Object.entries({ project, user })) {
+            if (!value) continue;
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                return res.status(400).json({ error: `Invalid ${field} id` });
+            }
+            match.$and.push({ [field]: toObjectId(value) });
+        }
+
+        const range = { from, to, groupBy, timeZone: tz };
+
+        if (groupBy === 'task') {
+            const groups = await TimeEntry.aggregate([
+                { $match: match },
+                { $group: { _id: '$task', project: { $first: '$project' }, minutes: { $sum: '$minutes' }, entries: { $sum: 1 } } }
+            ]);
+            const tasks = await Task.find({ _id: { $in: groups.map(group => group._id) } })
+                .setOptions({ withDeleted: true })
+                .select('title estimatedHours actualHours project')
+                .populate({ path: 'project', select: 'name', options: { withDeleted: true } });
+            const tasksById = new Map(tasks.map(task => [String(task._id), task]));
+
+            const rows = groups.map(group => {
+                const task = tasksById.get(String(group._id));
+                const hours = Math.round((group.minutes / 60) * 100) / 100;
+                const estimatedHours = task ? task.estimatedHours || 0 : 0;
+                return {
+                    task: task ? { _id: task._id, title: task.title } : { _id: group._id, title: null },
+                    project: task && task.project ? { _id: task.project._id, name: task.project.name } : { _id: group.project },
+                    hours,
+                    entries: group.entries,
+                    estimatedHours,
+                    totalActualHours: task ? task.actualHours || 0 : 0,
+                    variance: Math.round((hours - estimatedHours) * 100) / 100
+                };
+            }).sort((a, b) => b.hours - a.hours);
+
+            if (format === 'csv') {
+                res.type('text/csv');
+                res.attachment(`timesheet-tasks-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv`);
+                return res.send(toCsv([
+                    { header: 'Project', value: row => row.project.name },
+                    { header: 'Task', value: row => row.task.title },
+                    { header: 'Hours logged', value: row => row.hours },
+                    { header: 'Estimated hours', value: row => row.estimatedHours },
+                    { header: 'Variance', value: row => row.variance },
+                    { header: 'Entries', value: row => row.entries }
+                ], rows));
+            }
+
+            return res.json({ ...range, rows });
+        }
+
+        const groups = await TimeEntry.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: {
+                        user: '$user',
+                        period: { $dateToString: { format: TIMESHEET_PERIOD_FORMATS[groupBy], date: '$startedAt', timezone: tz } }
+                    },
+                    minutes: { $sum: '$minutes' },
+                    entries: { $sum: 1 }
+                }
+            },
+            { $sort: { '_id.period': 1 } }
+        ]);
+        const users = await User.find({ _id: { $in: groups.map(group => group._id.user) } })
+            .select('firstName lastName username');
+        const usersById = new Map(users.map(member => [String(member._id), member]));
+
+        const rows = groups.map(group => ({
+            user: usersById.get(String(group._id.user)) || { _id: group._id.user },
+            period: group._id.period,
+            hours: Math.round((group.minutes / 60) * 100) / 100,
+            entries: group.entries
+        }));
+
+        if (format === 'csv') {
+            res.type('text/csv');
+            res.attachment(`timesheet-${groupBy}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv`);
+            return res.send(toCsv([
+                { header: 'User', value: row => displayName(row.user) },
+                { header: 'Username', value: row => row.user.username },
+                { header: groupBy === 'week' ? 'Week' : 'Date', value: row => row.period },
+                { header: 'Hours', value: row => row.hours },
+                { header: 'Entries', value: row => row.entries }
+            ], rows));
+        }
+
+        const totals = new Map();
+        rows.forEach(row => {
+            const key = String(row.user._id);
+            const total = totals.get(key) || { user: row.user, hours: 0 };
+            total.hours = Math.round((total.hours + row.hours) * 100) / 100;
+            totals.set(key, total);
+        });
+
+        res.json({ ...range, rows, totals: [...totals.values()] });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to build timesheet' });
+    }
+});
+
+// Project routes
+const populateProject = (query) => query
+    .populate('owner', 'firstName lastName username')
+    .populate('team', 'firstName lastName username');
+
+// Loads the project named in the URL and checks the caller against `check`
+const loadProject = (check, message) => async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const project = await Project.findById(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        if (!check(req.user, project)) {
+            return forbidden(res, message);
+        }
+
+        req.project = project;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+const PROJECT_DELETE_STRATEGIES = ['block', 'reassign', 'archive'];
+
+app.get('/api/projects', authenticateToken, async (req, res) => {
+    try {
+        const filter = projectAccessFilter(req.user);
+        if (req.query.includeArchived !== 'true') {
+            filter.archivedAt = null;
+        }
+
+        const projects = await populateProject(Project.find(filter))
+            .sort({ createdAt: -1 });
+        res.json(projects);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch projects' });
+    }
+});
+
+// Creates a project owned by the caller; resolves to { project } (populated) or to { status, error }.
+// Imports pass the project's externalRef as imported.
+const createProject = async (user, body, { imported = {} } = {}) => {
+    if (user.projects) {
+        return { status: 403, error: 'API keys limited to some projects cannot create projects' };
+    }
+
+    if (body.workflow) {
+        const { workflow } = body;
+        if (!workflow.initialStatus && Array.isArray(workflow.statuses) && workflow.statuses[0]) {
+            workflow.initialStatus = workflow.statuses[0].key;
+        }
+        const workflowError = validateWorkflow(workflow);
+        if (workflowError) {
+            return { status: 400, error: workflowError };
+        }
+    }
+
+    // The trash has its own routes: deletedAt set here would skip the delete checks entirely
+    const { archivedAt, deletedAt, deletedBy, createdAt, progress, stats, externalRef, ...fields } = body;
+    const projectData = {
+        ...fields,
+        ...imported,
+        owner: user.userId,
+        updatedAt: new Date()
+    };
+
+    const project = new Project(projectData);
+    await project.save();
+
+    const populatedProject = await populateProject(Project.findById(project._id));
+    await publishEvent('project.created', { project, data: populatedProject, actor: user.userId });
+
+    return { project: populatedProject };
+};
+
+app.post('/api/projects', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+    try {
+        const { status, project, ...failure } = await createProject(req.user, req.body);
+        if (!project) {
+            return res.status(status).json(failure);
+        }
+
+        res.status(201).json(project);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create project' });
+    }
+});
+
+// Streams the projects the caller can see
+app.get('/api/projects/export', authenticateToken, async (req, res) => {
+    try {
+        const { format = 'csv', includeArchived } = req.query;
+        if (!IMPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+        }
+
+        const filter = projectAccessFilter(req.user);
+        if (includeArchived !== 'true') {
+            filter.archivedAt = null;
+        }
+
+        const cursor = Project.find(filter)
+            .populate('owner', 'username')
+            .populate('team', 'username')
+            .sort({ createdAt: -1, _id: -1 })
+            .lean()
+            .cursor();
+
+        await streamExport(res, { cursor, columns: PROJECT_EXPORT_COLUMNS, format, filename: 'projects' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to export projects' });
+    }
+});
+
+// Same request and report as POST /api/tasks/import. The caller owns the new projects; team
+// members are matched by username or email, and names already in use are refused.
+app.post('/api/projects/import', authenticateToken, authorizeRoles('admin', 'manager'), uploadImportFile, async (req, res) => {
+    if (req.user.projects) {
+        return forbidden(res, 'API keys limited to some projects cannot create projects');
+    }
+
+    let input;
+    let mapping;
+    try {
+        input = readImportData(req);
+        mapping = resolveImportMapping(input.columns, PROJECT_IMPORT_FIELDS, PROJECT_EXPORT_COLUMNS, parseImportMapping(req.body.mapping));
+    } catch (error) {
+        // Columns let a client offer a mapping when none could be guessed
+        return res.status(400).json({ error: error.message, ...(input && { columns: input.columns }) });
+    }
+
+    try {
+        const dryRun = [true, 'true'].includes(req.body.dryRun);
+        const rows = mapImportRecords(input.records, mapping, PROJECT_IMPORT_FIELDS);
+        const errors = rows
+            .filter(row => row.errors)
+            .flatMap(row => row.errors.map(error => ({ row: row.row, ...error })));
+        const valid = rows.filter(row => row.values);
+
+        const [projectsByName, usersByName] = await Promise.all([
+            findImportProjects(req.user),
+            findImportUsers(valid.flatMap(({ values }) => values.team || []))
+        ]);
+
+        const created = [];
+        const namesInFile = new Set();
+        for (const { row, values } of valid) {
+            const key = values.name.toLowerCase();
+            if (projectsByName.has(key) || namesInFile.has(key)) {
+                errors.push({ row, field: 'name', error: `A project named "${values.name}" already exists` });
+                continue;
+            }
+            const unknownMember = (values.team || []).find(reference => !usersByName.has(reference.toLowerCase()));
+            if (unknownMember) {
+                errors.push({ row, field: 'team', error: `No user with username or email "${unknownMember}"` });
+                continue;
+            }
+            namesInFile.add(key);
+
+            const body = {
+                ...values,
+                team: [...new Set((values.team || []).map(reference => String(usersByName.get(reference.toLowerCase())._id)))]
+            };
+            try {
+                if (dryRun) {
+                    const invalid = new Project({ ...body, owner: req.user.userId }).validateSync();
+                    if (invalid) errors.push({ row, error: invalid.message });
+                } else {
+                    const { error, project } = await createProject(req.user, body);
+                    if (error) {
+                        errors.push({ row, error });
+                    } else {
+                        created.push({ row, id: project._id });
+                    }
+                }
+            } catch (error) {
+                const invalid = ['ValidationError', 'CastError'].includes(error.name);
+                errors.push({ row, error: invalid ? error.message : 'Failed to import row' });
+            }
+        }
+
+        res.status(dryRun ? 200 : 201).json(importReport({
+            dryRun,
+            format: input.format,
+            mapping,
+            records: input.records,
+            errors,
+            created: dryRun ? undefined : created
+        }));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to import projects' });
+    }
+});
+
+app.get('/api/projects/:id', authenticateToken,
+    loadProject(canViewProject, 'You are not a member of this project'),
+    async (req, res) => {
+        try {
+            const project = await populateProject(Project.findById(req.project._id));
+            res.json(project);
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to fetch project' });
+        }
+    }
+);
+
+app.get('/api/projects/:id/workflow', authenticateToken,
+    loadProject(canViewProject, 'You are not a member of this project'),
+    (req, res) => {
+        res.json(getWorkflow(req.project));
+    }
+);
+
+// Replaces the workflow. Tasks in a status that no longer exists must be remapped via
+// `remap: { oldKey: newKey }`, or the request is refused with the affected counts.
+app.put('/api/projects/:id/workflow', authenticateToken,
+    loadProject(canManageProject, 'You cannot change this project\'s workflow'),
+    async (req, res) => {
+        try {
+            const { remap = {}, ...workflow } = req.body;
+            workflow.initialStatus = workflow.initialStatus || (workflow.statuses && workflow.statuses[0] && workflow.statuses[0].key);
+            workflow.transitions = workflow.transitions || [];
+
+            const workflowError = validateWorkflow(workflow);
+            if (workflowError) {
+                return res.status(400).json({ error: workflowError });
+            }
+
+            const keys = workflow.statuses.map(status => status.key);
+            const inUse = await Task.aggregate([
+                { $match: { project: req.project._id } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]);
+            const orphaned = inUse.filter(group => !keys.includes(group._id) && !keys.includes(remap[group._id]));
+            if (orphaned.length > 0) {
+                return res.status(409).json({
+                    error: 'Some tasks use statuses this workflow removes; supply remap for them',
+                    statuses: orphaned.map(group => ({ status: group._id, tasks: group.count }))
+                });
+            }
+
+            // Tasks being remapped, or whose status changes category. Each moves once, from the status
+            // it had before this request, so { a: 'b', b: 'c' } does not send a on to c.
+            const statusesByKey = new Map(workflow.statuses.map(status => [status.key, status]));
+            const candidates = await Task.find({
+                project: req.project._id,
+                $or: [
+                    { status: { $in: Object.keys(remap) } },
+                    ...workflow.statuses.map(status => ({ status: status.key, statusCategory: { $ne: status.category } }))
+                ]
+            });
+            const moves = candidates
+                .map(task => {
+                    const target = statusesByKey.get(keys.includes(remap[task.status]) ? remap[task.status] : task.status);
+                    return target && (target.key !== task.status || target.category !== task.statusCategory)
+                        ? { task, target }
+                        : null;
+                })
+                .filter(Boolean);
+
+            const previous = req.project.toObject();
+            const now = new Date();
+            req.project.workflow = workflow;
+            req.project.updatedAt = now;
+            await req.project.save();
+
+            if (moves.length > 0) {
+                await Task.bulkWrite(moves.map(({ task, target }) => ({
+                    updateOne: {
+                        filter: { _id: task._id },
+                        update: { status: target.key, statusCategory: target.category, updatedAt: now }
+                    }
+                })));
+            }
+            await refreshProjectStats(req.project._id);
+
+            const project = await populateProject(Project.findById(req.project._id));
+            await publishEvent('project.updated', { project, data: project, previous, actor: req.user.userId });
+            for (const { task, target } of moves) {
+                await publishEvent('task.updated', {
+                    task,
+                    project,
+                    data: { ...task.toJSON(), status: target.key, statusCategory: target.category, updatedAt: now },
+                    previous: task,
+                    actor: req.user.userId
+                });
+            }
+
+            res.json(getWorkflow(project));
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to update workflow' });
+        }
+    }
+);
+
+app.get('/api/projects/:id/activity', authenticateToken,
+    loadProject(canViewProject, 'You are not a member of this project'),
+    async (req, res) => {
+        try {
+            res.json(await listActivity({ project: req.project._id }, req.query));
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to fetch project activity' });
+        }
+    }
+);
+
+app.put('/api/projects/:id', authenticateToken,
+    loadProject(canManageProject, 'You cannot modify this project'),
+    async (req, res) => {
+        try {
+            // Ownership, membership, archiving, deletion and the workflow have dedicated routes; progress is derived
+            const {
+                owner, team, archivedAt, deletedAt, deletedBy, createdAt,
+                progress, stats, workflow, externalRef, ...updates
+            } = req.body;
+
+            await Project.findByIdAndUpdate(
+                req.project._id,
+                { ...updates, updatedAt: new Date() },
+                { runValidators: true }
+            );
+
+            if (updates.progressWeighting) {
+                await refreshProjectStats(req.project._id);
+            }
+
+            const project = await populateProject(Project.findById(req.project._id));
+            await publishEvent('project.updated', {
+                project,
+                data: project,
+                previous: req.project,
+                actor: req.user.userId
+            });
+
+            res.json(project);
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to update project' });
+        }
+    }
+);
+
+app.post('/api/projects/:id/archive', authenticateToken,
+    loadProject(canManageProject, 'You cannot archive this project'),
+    async (req, res) => {
+        try {
+            const previous = req.project.toObject();
+            req.project.archivedAt = req.project.archivedAt || new Date();
+            req.project.updatedAt = new Date();
+            await req.project.save();
+
+            const project = await populateProject(Project.findById(req.project._id));
+            await publishEvent('project.updated', { project, data: project, previous, actor: req.user.userId });
+
+            res.json(project);
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to archive project' });
+        }
+    }
+);
+
+app.post('/api/projects/:id/unarchive', authenticateToken,
+    loadProject(canManageProject, 'You cannot restore this project'),
+    async (req, res) => {
+        try {
+            const previous = req.project.toObject();
+            req.project.archivedAt = undefined;
+            req.project.updatedAt = new Date();
+            await req.project.save();
+
+            const project = await populateProject(Project.findById(req.project._id));
+            await publishEvent('project.updated', { project, data: project, previous, actor: req.user.userId });
+
+            res.json(project);
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to restore project' });
+        }
+    }
+);
+
+// Moves the project to the trash. ?tasks=block (default) refuses while tasks remain,
+// =reassign&targetProject=<id> moves them to another project, =archive keeps them read-only
+app.delete('/api/projects/:id', authenticateToken,
+    loadProject(canDeleteProject, 'Only the project owner or an admin can delete this project'),
+    async (req, res) => {
+        try {
+            const strategy = req.query.tasks || 'block';
+            const project = req.project;
+
+            if (!PROJECT_DELETE_STRATEGIES.includes(strategy)) {
+                return res.status(400).json({
+                    error: `tasks must be one of: ${PROJECT_DELETE_STRATEGIES.join(', ')}`
+                });
+            }
+
+            const taskCount = await Task.countDocuments({ project: project._id });
+
+            if (strategy === 'block' && taskCount > 0) {
+                return res.status(409).json({
+                    error: 'Project still has tasks; reassign or archive them first',
+                    taskCount
+                });
+            }
+
+            if (strategy === 'reassign') {
+                const target = await findTaskProject(req.query.targetProject);
+                if (!target || sameId(target, project)) {
+                    return res.status(400).json({ error: 'A different, existing targetProject is required' });
+                }
+                if (!canManageProject(req.user, target)) {
+                    return forbidden(res, 'You cannot move tasks into the target project');
+                }
+                await Task.updateMany(
+                    { project: project._id },
+                    { project: target._id, updatedAt: new Date() }
+                );
+                await TimeEntry.updateMany({ project: project._id }, { project: target._id });
+                await remapTasksToWorkflow({ project: target._id }, getWorkflow(target));
+                await refreshProjectStats(target._id);
+            }
+
+            if (strategy === 'archive') {
+                await Task.updateMany(
+                    { project: project._id, archivedAt: null },
+                    { archivedAt: new Date(), updatedAt: new Date() }
+                );
+            }
+
+            const previous = project.toObject();
+            project.deletedAt = new Date();
+            project.deletedBy = req.user.userId;
+            await project.save();
+            await publishEvent('project.deleted', { project, data: project, previous, actor: req.user.userId });
+
+            res.json({ message: 'Project moved to trash', strategy, affectedTasks: taskCount });
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to delete project' });
+        }
+    }
+);
+
+// Import job routes
+// Trello board exports (JSON) and Jira issue exports (CSV or XML) are imported in the background;
+// follow the job with GET /api/imports/:id or its import.progress events. Each board or Jira
+// project becomes a project with a matching workflow, unless `project` names one to import into
+// (statusMap then maps source statuses onto its workflow). People are matched to users by
+// username, email or name; userMap maps the rest to a username or email.
+app.post('/api/imports', authenticateToken, authorizeRoles('admin', 'manager'), uploadExternalImportFile, async (req, res) => {
+    try {
+        const { source, project } = req.body;
+        const formats = EXTERNAL_IMPORT_FORMATS[source];
+        if (!formats) {
+            return res.status(400).json({ error: `source must be one of: ${Object.keys(EXTERNAL_IMPORT_FORMATS).join(', ')}` });
+        }
+
+        let data = req.file ? req.file.buffer.toString('utf8') : req.body.data;
+        if (typeof data !== 'string' || data.trim() === '') {
+            return res.status(400).json({ error: 'Upload the export file or send its content as data' });
+        }
+        // Uploads are capped at MAX_EXTERNAL_IMPORT_SIZE by multer; data sent in a JSON body stops at
+        // the smaller JSON body limit, so large exports have to be uploaded as a file
+        data = data.replace(/^\uFEFF/, '');
+
+        const format = req.body.format || (formats.includes('xml') && /^\s*</.test(data) ? 'xml' : formats[0]);
+        if (!formats.includes(format)) {
+            return res.status(400).json({ error: `${IMPORT_SOURCE_LABELS[source]} exports must be one of: ${formats.join(', ')}` });
+        }
+
+        let statusMap;
+        let userMap;
+        let parsed;
+        try {
+            statusMap = parseImportJobMap(req.body.statusMap, 'statusMap');
+            userMap = parseImportJobMap(req.body.userMap, 'userMap');
+            parsed = parseExternalImport(source, format, data);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (project) {
+            const targetProject = mongoose.Types.ObjectId.isValid(project) && await Project.findById(project);
+            if (!targetProject) {
+                return res.status(404).json({ error: 'Project not found' });
+            }
+            if (!canManageProject(req.user, targetProject)) {
+                return forbidden(res, 'You cannot import into this project');
+            }
+            if (targetProject.archivedAt) {
+                return res.status(400).json({ error: 'Cannot import into an archived project' });
+            }
+        }
+
+        const job = await ImportJob.create({
+            source,
+            format,
+            fileName: req.file ? req.file.originalname : String(req.body.fileName || ''),
+            data,
+            project: project || undefined,
+            statusMap,
+            userMap,
+            createdBy: req.user.userId,
+            progress: { total: parsed.tasks.length + parsed.skipped }
+        });
+        setImmediate(processImportJobs);
+
+        res.status(202).json(serializeImportJob(job));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to start import' });
+    }
+});
+
+// The caller's recent jobs; admins see everyone's
+app.get('/api/imports', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+    try {
+        const jobs = await ImportJob.find(req.user.role === 'admin' ? {} : { createdBy: req.user.userId })
+            .populate('createdBy', 'firstName lastName username')
+            .populate('projects', 'name')
+            .sort({ createdAt: -1 })
+            .limit(50);
+        res.json(jobs.map(serializeImportJob));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch imports' });
+    }
+});
+
+app.get('/api/imports/:id', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+    try {
+        const job = mongoose.Types.ObjectId.isValid(req.params.id) && await ImportJob.findById(req.params.id)
+            .populate('createdBy', 'firstName lastName username')
+            .populate('projects', 'name');
+        if (!job) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+        if (req.user.role !== 'admin' && !sameId(job.createdBy, req.user.userId)) {
+            return forbidden(res, 'You cannot view this import');
+        }
+
+        res.json(serializeImportJob(job));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch import' });
+    }
+});
+
+// Trash routes
+const purgeTask = async (task, actor) => {
+    await Task.deleteOne({ _id: task._id });
+    await detachTaskRelations(task._id);
+    await TimeEntry.deleteMany({ task: task._id });
+    await removeStoredAttachments(task.attachments);
+    await publishEvent('task.purged', { task, data: { _id: task._id }, previous: task, actor });
+};
+
+// Trashed tasks of a purged project go with it: they could never be restored
+const purgeProject = async (project, actor) => {
+    const trashedTasks = await Task.find({ project: project._id, deletedAt: { $ne: null } });
+    for (const task of trashedTasks) {
+        await purgeTask(task, actor);
+    }
+
+    // Its webhooks, and what they still had queued, have nothing left to report on
+    const webhookIds = await Webhook.find({ project: project._id }).distinct('_id');
+    await Webhook.deleteMany({ _id: { $in: webhookIds } });
+    await WebhookDelivery.deleteMany({ webhook: { $in: webhookIds } });
+
+    await Project.deleteOne({ _id: project._id });
+    await publishEvent('project.purged', { project, data: { _id: project._id }, previous: project, actor });
+};
+
+const purgeExpiredTrash = async () => {
+    if (mongoose.connection.readyState !== 1) return;
+
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+    try {
+        const projects = await Project.find({ deletedAt: { $lte: cutoff } });
+        for (const project of projects) {
+            await purgeProject(project, null);
+        }
+
+        const tasks = await Task.find({ deletedAt: { $lte: cutoff } });
+        for (const task of tasks) {
+            await purgeTask(task, null);
+        }
+    } catch (error) {
+        console.error('Trash purge failed:', error);
+    }
+};
+
+setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS).unref();
+
+const TRASH_TYPES = ['tasks', 'projects'];
+
+app.get('/api/trash', authenticateToken, async (req, res) => {
+    try {
+        const { type = 'tasks' } = req.query;
+        const { page, limit, skip } = parsePagination(req.query, 20);
+
+        if (!TRASH_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${TRASH_TYPES.join(', ')}` });
+        }
+
+        const userId = toObjectId(req.user.userId);
+        let filter;
+
+        if (type === 'projects') {
+            filter = req.user.role === 'admin'
+                ? {}
+                : { $or: [{ owner: userId }, { deletedBy: userId }] };
+        } else if (req.user.role === 'admin') {
+            filter = {};
+        } else {
+            const conditions = [{ createdBy: userId }, { deletedBy: userId }];
+            if (req.user.role === 'manager') {
+                const projectIds = await Project.find(projectAccessFilter(req.user)).distinct('_id');
+                conditions.push({ project: { $in: projectIds } });
+            }
+            filter = { $or: conditions };
+        }
+
+        const Model = type === 'projects' ? Project : Task;
+        const query = { ...filter, deletedAt: { $ne: null } };
+
+        const [items, total] = await Promise.all([
+            Model.find(query)
+                .populate('deletedBy', 'firstName lastName username')
+                .sort({ deletedAt: -1 })
+                .limit(limit)
+                .skip(skip),
+            Model.countDocuments(query)
+        ]);
+
+        res.json({
+            type,
+            items,
+            retentionDays: TRASH_RETENTION_DAYS,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            total
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+});
+
+app.post('/api/trash/tasks/:id/restore', authenticateToken, async (req, res) => {
+    try {
+        const task = await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found in trash' });
+        }
+
+        const project = await findTaskProject(task.project);
+        if (!project) {
+            return res.status(409).json({ error: 'The task\'s project is in the trash; restore it first' });
+        }
+
+        if (!(await canManageTask(req.user, task))) {
+            return forbidden(res, 'You cannot restore this task');
+        }
+
+        // The workflow may have changed while the task was in the trash
+        const workflow = getWorkflow(project);
+        const previous = task.toObject();
+        task.status = mapStatusToWorkflow(workflow, task.status, task.statusCategory);
+        task.statusCategory = findWorkflowStatus(workflow, task.status).category;
+        task.deletedAt = null;
+        task.deletedBy = undefined;
+        task.updatedAt = new Date();
+        await task.save();
+        await refreshProjectStats(task.project);
+
+        const populatedTask = await Task.findById(task._id)
+            .populate('project', 'name')
+            .populate('assignedTo', 'firstName lastName username')
+            .populate('createdBy', 'firstName lastName username');
+        await publishEvent('task.restored', { task, data: populatedTask, previous, actor: req.user.userId });
+
+        res.json(populatedTask);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to restore task' });
+    }
+});
+
+app.post('/api/trash/projects/:id/restore', authenticateToken, async (req, res) => {
+    try {
+        const project = await Project.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found in trash' });
+        }
+
+        if (!canDeleteProject(req.user, project)) {
+            return forbidden(res, 'Only the project owner or an admin can restore this project');
+        }
+
+        const previous = project.toObject();
+        project.deletedAt = null;
+        project.deletedBy = undefined;
+        project.updatedAt = new Date();
+        await project.save();
+
+        const populatedProject = await populateProject(Project.findById(project._id));
+        await publishEvent('project.restored', {
+            project,
+            data: populatedProject,
+            previous,
+            actor: req.user.userId
+        });
+
+        res.json(populatedProject);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to restore project' });
+    }
+});
 
-app.post('/api/tasks', authenticateToken, async (req, res) => {
+app.delete('/api/trash/tasks/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
-        const taskData = {
-            ...req.body,
-            createdBy: req.user.userId,
-            updatedAt: new Date()
-        };
-        
-        const task = new Task(taskData);
-        await task.save();
-        
-        const populatedTask = await Task.findById(task._id)
-            .populate('assignedTo', 'firstName lastName username')
-            .populate('createdBy', 'firstName lastName username');
-        
-        res.status(201).json(populatedTask);
+        const task = await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found in trash' });
+        }
+
+        await purgeTask(task, req.user.userId);
+        res.json({ message: 'Task permanently deleted' });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to create task' });
+        res.status(500).json({ error: 'Failed to purge task' });
     }
 });
 
-app.put('/api/tasks/:id', authenticateToken, async (req, res) => {
+app.delete('/api/trash/projects/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
-        const task = await Task.findByIdAndUpdate(
-            req.params.id,
-            { ...req.body, updatedAt: new Date() },
-            { new: true, runValidators: true }
-        )
-        .populate('assignedTo', 'firstName lastName username')
-        .populate('createdBy', 'firstName lastName username');
-        
-        if (!task) {
-            return res.status(404).json({ error: 'Task not found' });
+        const project = await Project.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found in trash' });
         }
-        
-        res.json(task);
+
+        await purgeProject(project, req.user.userId);
+        res.json({ message: 'Project permanently deleted' });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to update task' });
+        res.status(500).json({ error: 'Failed to purge project' });
     }
 });
 
-app.delete('/api/tasks/:id', authenticateToken, async (req, res) => {
+// Project membership routes
+app.post('/api/projects/:id/members', authenticateToken,
+    loadProject(canManageProject, 'You cannot manage members of this project'),
+    async (req, res) => {
+        try {
+            const { userId } = req.body;
+            if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+                return res.status(400).json({ error: 'A valid userId is required' });
+            }
+
+            const member = await User.findOne({ _id: userId, isActive: true }).select('_id');
+            if (!member) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            if (sameId(req.project.owner, member._id)) {
+                return res.status(400).json({ error: 'The owner is already part of the project' });
+            }
+
+            const project = await populateProject(Project.findByIdAndUpdate(
+                req.project._id,
+                { $addToSet: { team: member._id }, updatedAt: new Date() },
+                { new: true }
+            ));
+            await publishEvent('project.updated', {
+                project,
+                data: project,
+                previous: req.project,
+                actor: req.user.userId
+            });
+
+            res.status(201).json(project);
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to add project member' });
+        }
+    }
+);
+
+app.delete('/api/projects/:id/members/:userId', authenticateToken,
+    loadProject(canManageProject, 'You cannot manage members of this project'),
+    async (req, res) => {
+        try {
+            if (!req.project.team.some(member => sameId(member, req.params.userId))) {
+                return res.status(404).json({ error: 'User is not a member of this project' });
+            }
+
+            const project = await populateProject(Project.findByIdAndUpdate(
+                req.project._id,
+                { $pull: { team: req.params.userId }, updatedAt: new Date() },
+                { new: true }
+            ));
+            await publishEvent('project.updated', {
+                project,
+                data: project,
+                previous: req.project,
+                actor: req.user.userId,
+                audience: [req.params.userId]
+            });
+
+            res.json(project);
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to remove project member' });
+        }
+    }
+);
+
+// Webhook routes
+const loadWebhook = async (req, res, next) => {
     try {
-        const task = await Task.findByIdAndDelete(req.params.id);
-        if (!task) {
-            return res.status(404).json({ error: 'Task not found' });
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const webhook = await Webhook.findById(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const project = webhook.project ? await Project.findById(webhook.project) : null;
+        if (!canManageWebhooks(req.user, project)) {
+            return forbidden(res, 'You cannot manage this webhook');
         }
-        res.json({ message: 'Task deleted successfully' });
+
+        req.webhook = webhook;
+        next();
     } catch (error) {
-        res.status(500).json({ error: 'Failed to delete task' });
+        next(error);
+    }
+};
+
+const validateWebhookInput = ({ url, events }) => {
+    if (url !== undefined && !isValidWebhookUrl(url)) {
+        return 'url must be an http(s) URL';
+    }
+    const targetError = url !== undefined && webhookTargetError(url);
+    if (targetError) {
+        return `url cannot point to ${targetError}`;
     }
+    if (events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) {
+            return 'events must be a non-empty array';
+        }
+        const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            return `Unknown events: ${unknown.join(', ')}`;
+        }
+    }
+    return null;
+};
+
+app.get('/api/webhooks/events', authenticateToken, (req, res) => {
+    res.json(WEBHOOK_EVENTS);
 });
 
-// Project routes
-app.get('/api/projects', authenticateToken, async (req, res) => {
+app.get('/api/webhooks', authenticateToken, async (req, res) => {
     try {
-        const projects = await Project.find()
-            .populate('owner', 'firstName lastName username')
-            .populate('team', 'firstName lastName username')
+        const filter = {};
+        if (req.user.role !== 'admin') {
+            const ownedProjects = await Project.find({ owner: req.user.userId }).distinct('_id');
+            filter.project = { $in: ownedProjects };
+        }
+
+        const webhooks = await Webhook.find(filter)
+            .populate('project', 'name')
+            .populate('createdBy', 'firstName lastName username')
             .sort({ createdAt: -1 });
-        res.json(projects);
+        res.json(webhooks);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch projects' });
+        res.status(500).json({ error: 'Failed to fetch webhooks' });
     }
 });
 
-app.post('/api/projects', authenticateToken, async (req, res) => {
+app.post('/api/webhooks', authenticateToken, async (req, res) => {
     try {
-        const projectData = {
-            ...req.body,
-            owner: req.user.userId,
-            updatedAt: new Date()
-        };
-        
-        const project = new Project(projectData);
-        await project.save();
-        
-        const populatedProject = await Project.findById(project._id)
+        const { name, url, events, project: projectId } = req.body;
+
+        if (!name || !url || !events) {
+            return res.status(400).json({ error: 'name, url and events are required' });
+        }
+
+        const validationError = validateWebhookInput({ url, events });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const project = projectId ? await findTaskProject(projectId) : null;
+        if (projectId && !project) {
+            return res.status(400).json({ error: 'Project not found' });
+        }
+        if (!canManageWebhooks(req.user, project)) {
+            return forbidden(res, project
+                ? 'Only the project owner or an admin can add webhooks'
+                : 'Only admins can create global webhooks');
+        }
+
+        const secret = generateWebhookSecret();
+        const webhook = await Webhook.create({
+            name,
+            url,
+            events,
+            secret,
+            project: project ? project._id : undefined,
+            createdBy: req.user.userId
+        });
+
+        // The secret is only ever returned on create and rotate
+        res.status(201).json({ ...webhook.toJSON(), secret });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+app.get('/api/webhooks/:id', authenticateToken, loadWebhook, async (req, res) => {
+    res.json(req.webhook);
+});
+
+app.put('/api/webhooks/:id', authenticateToken, loadWebhook, async (req, res) => {
+    try {
+        const { name, url, events, active } = req.body;
+
+        const validationError = validateWebhookInput({ url, events });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const webhook = req.webhook;
+        if (name !== undefined) webhook.name = name;
+        if (url !== undefined) webhook.url = url;
+        if (events !== undefined) webhook.events = events;
+        if (active !== undefined) webhook.active = !!active;
+        webhook.updatedAt = new Date();
+        await webhook.save();
+
+        res.json(webhook);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+app.delete('/api/webhooks/:id', authenticateToken, loadWebhook, async (req, res) => {
+    try {
+        await req.webhook.deleteOne();
+        await WebhookDelivery.deleteMany({ webhook: req.webhook._id });
+        res.json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+app.post('/api/webhooks/:id/rotate-secret', authenticateToken, loadWebhook, async (req, res) => {
+    try {
+        const secret = generateWebhookSecret();
+        req.webhook.secret = secret;
+        req.webhook.updatedAt = new Date();
+        await req.webhook.save();
+
+        res.json({ ...req.webhook.toJSON(), secret });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to rotate webhook secret' });
+    }
+});
+
+// Queues a "ping" delivery so receivers can be checked without touching real data
+app.post('/api/webhooks/:id/test', authenticateToken, loadWebhook, async (req, res) => {
+    try {
+        const eventId = crypto.randomUUID();
+        const delivery = await WebhookDelivery.create({
+            webhook: req.webhook._id,
+            event: 'ping',
+            eventId,
+            payload: {
+                id: eventId,
+                type: 'ping',
+                timestamp: new Date().toISOString(),
+                projectId: req.webhook.project || null,
+                actor: req.user.userId,
+                data: { webhookId: req.webhook._id }
+            }
+        });
+        setImmediate(processWebhookDeliveries);
+
+        res.status(202).json(serializeWebhookDelivery(delivery, req.user));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to queue test delivery' });
+    }
+});
+
+app.get('/api/webhooks/:id/deliveries', authenticateToken, loadWebhook, async (req, res) => {
+    try {
+        const { status } = req.query;
+        const { page, limit, skip } = parsePagination(req.query, 20);
+
+        const filter = { webhook: req.webhook._id };
+        if (status) filter.status = status;
+
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(filter)
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .skip(skip),
+            WebhookDelivery.countDocuments(filter)
+        ]);
+
+        res.json({
+            deliveries: deliveries.map(delivery => serializeWebhookDelivery(delivery, req.user)),
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            total
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
+});
+
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', authenticateToken, loadWebhook, async (req, res) => {
+    try {
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            { _id: req.params.deliveryId, webhook: req.webhook._id, status: { $ne: 'pending' } },
+            { status: 'pending', attempts: 0, nextAttemptAt: new Date(), error: null },
+            { new: true }
+        );
+
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found or already pending' });
+        }
+
+        setImmediate(processWebhookDeliveries);
+        res.status(202).json(serializeWebhookDelivery(delivery, req.user));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to redeliver webhook' });
+    }
+});
+
+// Saved view routes
+app.get('/api/views', authenticateToken, async (req, res) => {
+    try {
+        const conditions = [await savedViewAccessFilter(req.user)];
+        if (req.query.project) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.project)) {
+                return res.status(400).json({ error: 'Invalid project id' });
+            }
+            conditions.push({ project: toObjectId(req.query.project) });
+        }
+
+        const views = await SavedView.find({ $and: conditions })
             .populate('owner', 'firstName lastName username')
-            .populate('team', 'firstName lastName username');
-        
-        res.status(201).json(populatedProject);
+            .populate('project', 'name owner team')
+            .sort({ name: 1 });
+
+        // Shared views whose project is in the trash populate as null and drop out here
+        res.json(views
+            .filter(view => canViewSavedView(req.user, view))
+            .map(view => serializeSavedView(view, req.user)));
     } catch (error) {
-        res.status(500).json({ error: 'Failed to create project' });
+        res.status(500).json({ error: 'Failed to fetch views' });
+    }
+});
+
+app.post('/api/views', authenticateToken, async (req, res) => {
+    let input;
+    try {
+        input = await parseSavedViewInput(req.body, req.user);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const created = await SavedView.create({ ...input, owner: req.user.userId });
+        const view = await findSavedView(created._id);
+        res.status(201).json(serializeSavedView(view, req.user));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create view' });
+    }
+});
+
+app.get('/api/views/:id', authenticateToken, async (req, res) => {
+    try {
+        const view = await findSavedView(req.params.id);
+        if (!view || !canViewSavedView(req.user, view)) {
+            return res.status(404).json({ error: 'View not found' });
+        }
+        res.json(serializeSavedView(view, req.user));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch view' });
+    }
+});
+
+app.put('/api/views/:id', authenticateToken, async (req, res) => {
+    try {
+        const view = await findSavedView(req.params.id);
+        if (!view || !canViewSavedView(req.user, view)) {
+            return res.status(404).json({ error: 'View not found' });
+        }
+        if (!canEditSavedView(req.user, view)) {
+            return forbidden(res, 'You cannot edit this view');
+        }
+
+        let input;
+        try {
+            input = await parseSavedViewInput(req.body, req.user, view);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        await SavedView.updateOne({ _id: view._id }, { $set: { ...input, updatedAt: new Date() } });
+        res.json(serializeSavedView(await findSavedView(view._id), req.user));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update view' });
+    }
+});
+
+app.delete('/api/views/:id', authenticateToken, async (req, res) => {
+    try {
+        const view = await findSavedView(req.params.id);
+        if (!view || !canViewSavedView(req.user, view)) {
+            return res.status(404).json({ error: 'View not found' });
+        }
+        if (!canEditSavedView(req.user, view)) {
+            return forbidden(res, 'You cannot delete this view');
+        }
+
+        await SavedView.deleteOne({ _id: view._id });
+        await User.updateMany({ 'dashboardWidgets.view': view._id }, { $pull: { dashboardWidgets: { view: view._id } } });
+
+        res.json({ message: 'View deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete view' });
+    }
+});
+
+// Same response as GET /api/tasks; cursor, limit, page and sort may be given per request
+app.get('/api/views/:id/tasks', authenticateToken, async (req, res) => {
+    try {
+        const view = await findSavedView(req.params.id);
+        if (!view || !canViewSavedView(req.user, view)) {
+            return res.status(404).json({ error: 'View not found' });
+        }
+
+        const { cursor, limit, page, sort = view.sort } = req.query;
+        const params = { ...view.filters, sort, cursor, limit, page };
+        return listTasks(req, res, params, viewScope(view));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch tasks' });
+    }
+});
+
+// Counts for dashboard widgets
+app.get('/api/views/:id/summary', authenticateToken, async (req, res) => {
+    try {
+        const view = await findSavedView(req.params.id);
+        if (!view || !canViewSavedView(req.user, view)) {
+            return res.status(404).json({ error: 'View not found' });
+        }
+
+        let filter;
+        try {
+            filter = parseTaskFilters(view.filters, req.user);
+        } catch (error) {
+            // Saved filters were valid when stored, but e.g. a status may have been removed since
+            return res.status(400).json({ error: error.message });
+        }
+        if (view.filters.includeArchived !== 'true') filter.archivedAt = null;
+
+        const byCount = [{ $sort: { count: -1, _id: 1 } }];
+        const [summary] = await Task.aggregate([
+            { $match: { $and: [filter, ...viewScope(view), await taskAccessFilter(req.user)] } },
+            {
+                $facet: {
+                    total: [{ $count: 'count' }],
+                    overdue: [
+                        { $match: { statusCategory: { $ne: 'done' }, dueDate: { $lt: new Date() } } },
+                        { $count: 'count' }
+                    ],
+                    byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }, ...byCount],
+                    byPriority: [{ $group: { _id: '$priority', count: { $sum: 1 } } }, ...byCount]
+                }
+            }
+        ]);
+
+        const countOf = (rows) => (rows[0] ? rows[0].count : 0);
+        res.json({
+            view: serializeSavedView(view, req.user),
+            total: countOf(summary.total),
+            overdue: countOf(summary.overdue),
+            byStatus: summary.byStatus.map(({ _id, count }) => ({ status: _id, count })),
+            byPriority: summary.byPriority.map(({ _id, count }) => ({ priority: _id, count }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to summarize view' });
+    }
+});
+
+// Dashboard widgets are saved views the user can still see
+app.get('/api/users/profile/dashboard-widgets', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('dashboardWidgets');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const views = await Promise.all(user.dashboardWidgets.map(widget => findSavedView(widget.view)));
+        const widgets = user.dashboardWidgets
+            .map((widget, index) => ({ display: widget.display, view: views[index] }))
+            .filter(widget => widget.view && canViewSavedView(req.user, widget.view))
+            .map(widget => ({ ...widget, view: serializeSavedView(widget.view, req.user) }));
+
+        res.json({ widgets, displays: DASHBOARD_WIDGET_DISPLAYS });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch dashboard widgets' });
+    }
+});
+
+// Replaces the whole list, which also sets the order
+app.put('/api/users/profile/dashboard-widgets', authenticateToken, async (req, res) => {
+    try {
+        const { widgets } = req.body;
+        if (!Array.isArray(widgets) || widgets.length > MAX_DASHBOARD_WIDGETS) {
+            return res.status(400).json({ error: `widgets must be a list of at most ${MAX_DASHBOARD_WIDGETS} entries` });
+        }
+        if (widgets.some(widget => !widget || !DASHBOARD_WIDGET_DISPLAYS.includes(widget.display))) {
+            return res.status(400).json({ error: `display must be one of: ${DASHBOARD_WIDGET_DISPLAYS.join(', ')}` });
+        }
+
+        const views = await Promise.all(widgets.map(widget => findSavedView(widget.view)));
+        if (views.some(view => !view || !canViewSavedView(req.user, view))) {
+            return res.status(400).json({ error: 'Every widget needs a view you can see' });
+        }
+
+        await User.updateOne(
+            { _id: req.user.userId },
+            { $set: { dashboardWidgets: widgets.map((widget, index) => ({ view: views[index]._id, display: widget.display })), updatedAt: new Date() } }
+        );
+
+        res.json({
+            widgets: widgets.map((widget, index) => ({ display: widget.display, view: serializeSavedView(views[index], req.user) })),
+            displays: DASHBOARD_WIDGET_DISPLAYS
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update dashboard widgets' });
+    }
+});
+
+// Search routes
+// Ranked matches with highlighted snippets; task results also carry facet counts
+app.get('/api/search', authenticateToken, async (req, res) => {
+    try {
+        const { q, type = 'all', status, priority, project, tag, assignedTo, page = 1, limit = 10 } = req.query;
+
+        if (typeof q !== 'string' || !q.trim()) {
+            return res.status(400).json({ error: 'Search query (q) is required' });
+        }
+        if (q.length > MAX_SEARCH_QUERY_LENGTH) {
+            return res.status(400).json({ error: `Search query must be at most ${MAX_SEARCH_QUERY_LENGTH} characters` });
+        }
+        if (!SEARCH_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${SEARCH_TYPES.join(', ')}` });
+        }
+        if ((project && !mongoose.Types.ObjectId.isValid(project)) || (assignedTo && !mongoose.Types.ObjectId.isValid(assignedTo))) {
+            return res.status(400).json({ error: 'Invalid project or assignee id' });
+        }
+        // These go into an aggregate $match, which Mongoose does not cast: an object would be read as operators
+        if ([status, priority, tag].some(value => value !== undefined && typeof value !== 'string')) {
+            return res.status(400).json({ error: 'status, priority and tag must each be a single value' });
+        }
+        if (priority && !TASK_PRIORITIES.includes(priority)) {
+            return res.status(400).json({ error: `priority must be one of: ${TASK_PRIORITIES.join(', ')}` });
+        }
+
+        const parsed = parseSearchQuery(q);
+        if (!parsed.text && !parsed.prefix) {
+            return res.status(400).json({ error: 'Search query must contain at least one word' });
+        }
+
+        const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_SEARCH_RESULTS);
+        const paging = { skip: (pageNumber - 1) * pageSize, limit: pageSize };
+
+        const filters = { archivedAt: null };
+        if (status) filters.status = status;
+        if (priority) filters.priority = priority;
+        if (project) filters.project = toObjectId(project);
+        if (tag) filters.tags = tag;
+        if (assignedTo) filters.assignedTo = toObjectId(assignedTo);
+
+        const [tasks, projects] = await Promise.all([
+            type !== 'projects' ? searchTasks(req.user, parsed, filters, paging) : undefined,
+            type !== 'tasks' ? searchProjects(req.user, parsed, paging) : undefined
+        ]);
+
+        res.json({ query: q, page: pageNumber, limit: pageSize, tasks, projects });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ error: 'Search failed' });
     }
 });
 
 // Analytics routes
 app.get('/api/analytics/dashboard', authenticateToken, async (req, res) => {
     try {
+        const taskFilter = { $and: [await taskAccessFilter(req.user), { archivedAt: null }] };
+        const projectFilter = { $and: [projectAccessFilter(req.user), { archivedAt: null }] };
+
         const [
             totalTasks,
             completedTasks,
@@ -455,23 +8209,76 @@ app.get('/api/analytics/dashboard', authenticateToken, async (req, res) => {
             activeProjects,
             tasksByStatus,
             tasksByPriority,
-            recentTasks
+            recentTasks,
+            projects
         ] = await Promise.all([
-            Task.countDocuments(),
-            Task.countDocuments({ status: 'completed' }),
-            Project.countDocuments(),
-            Project.countDocuments({ status: 'active' }),
+            Task.countDocuments(taskFilter),
+            Task.countDocuments({ $and: [taskFilter, { statusCategory: 'done' }] }),
+            Project.countDocuments(projectFilter),
+            Project.countDocuments({ $and: [projectFilter, { status: 'active' }] }),
             Task.aggregate([
-                { $group: { _id: '$status', count: { $sum: 1 } } }
+                { $match: taskFilter },
+                { $group: { _id: { project: '$project', status: '$status' }, count: { $sum: 1 } } }
             ]),
             Task.aggregate([
+                { $match: taskFilter },
                 { $group: { _id: '$priority', count: { $sum: 1 } } }
             ]),
-            Task.find()
+            Task.find(taskFilter)
                 .populate('assignedTo', 'firstName lastName')
+                .populate('project', 'name workflow')
                 .sort({ createdAt: -1 })
-                .limit(5)
+                .limit(5),
+            Project.find(projectFilter)
+                .select('name status startDate endDate budget hourlyRate team progress stats workflow')
+                .sort({ endDate: 1 })
         ]);
+
+        const projectHealth = projects.map(project => ({
+            _id: project._id,
+            name: project.name,
+            status: project.status,
+            endDate: project.endDate,
+            progress: project.progress,
+            health: project.health
+        }));
+
+        // Statuses are per project: report each project's own columns, plus a combined
+        // view keyed by status in workflow order
+        const workflowsById = new Map(projects.map(project => [String(project._id), getWorkflow(project)]));
+        const tasksByProjectStatus = projects.map(project => ({
+            _id: project._id,
+            name: project.name,
+            statuses: getWorkflow(project).statuses.map(status => ({
+                _id: status.key,
+                label: status.label,
+                category: status.category,
+                count: tasksByStatus
+                    .filter(group => sameId(group._id.project, project._id) && group._id.status === status.key)
+                    .reduce((sum, group) => sum + group.count, 0)
+            }))
+        }));
+
+        const combinedStatuses = new Map();
+        tasksByStatus.forEach(group => {
+            const workflow = workflowsById.get(String(group._id.project)) || DEFAULT_WORKFLOW;
+            const definition = findWorkflowStatus(workflow, group._id.status);
+            const entry = combinedStatuses.get(group._id.status) || {
+                _id: group._id.status,
+                label: definition ? definition.label : group._id.status,
+                category: definition ? definition.category : 'todo',
+                count: 0
+            };
+            entry.count += group.count;
+            combinedStatuses.set(group._id.status, entry);
+        });
+        const combinedTasksByStatus = [...combinedStatuses.values()]
+            .sort((a, b) => STATUS_CATEGORIES.indexOf(a.category) - STATUS_CATEGORIES.indexOf(b.category));
+
+        const healthCounts = ['on-track', 'at-risk', 'late'].map(status => ({
+            _id: status,
+            count: projectHealth.filter(project => project.health.status === status).length
+        }));
         
         res.json({
             summary: {
@@ -482,10 +8289,13 @@ app.get('/api/analytics/dashboard', authenticateToken, async (req, res) => {
                 completionRate: totalTasks > 0 ? (completedTasks / totalTasks * 100).toFixed(1) : 0
             },
             charts: {
-                tasksByStatus,
-                tasksByPriority
+                tasksByStatus: combinedTasksByStatus,
+                tasksByProjectStatus,
+                tasksByPriority,
+                projectHealth: healthCounts
             },
-            recentTasks
+            recentTasks,
+            projects: projectHealth
         });
     } catch (error) {
         res.status(500).json({ error: 'Failed to fetch analytics' });
@@ -12,10 +12,19 @@
  * - State management with Context API
  * - Responsive design
  * - Real-time updates
+ * - Time tracking and timesheets
+ * - Notifications and @mentions
+ * - Two-factor authentication
+ * - Personal API keys
+ * - Global search as you type
+ * - Saved, shareable task views and dashboard widgets
+ * - Multi-select bulk task actions
+ * - CSV/JSON import and export
+ * - Trello and Jira imports with progress
  * - Data visualization
  */
 
-import React, { useState, useEffect, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, createContext, useContext } from 'react';
 import {
   AppBar,
   Toolbar,
@@ -57,7 +66,12 @@ import {
   Select,
   Tab,
   Tabs,
-  TabPanel
+  TabPanel,
+  Badge,
+  Checkbox,
+  FormControlLabel,
+  InputAdornment,
+  ClickAwayListener
 } from '@mui/material';
 
 import {
@@ -72,7 +86,19 @@ import {
   MoreVert as MoreIcon,
   Login as LoginIcon,
   Logout as LogoutIcon,
-  AccountCircle as AccountIcon
+  AccountCircle as AccountIcon,
+  AccessTime as TimeIcon,
+  Repeat as RepeatIcon,
+  Notifications as NotificationsIcon,
+  Visibility as WatchIcon,
+  VisibilityOff as UnwatchIcon,
+  PlayArrow as StartIcon,
+  Stop as StopIcon,
+  Download as DownloadIcon,
+  Upload as UploadIcon,
+  Security as SecurityIcon,
+  VpnKey as KeyIcon,
+  Search as SearchIcon
 } from '@mui/icons-material';
 
 import {
@@ -89,6 +115,8 @@ import {
   ResponsiveContainer
 } from 'recharts';
 
+import { QRCodeSVG } from 'qrcode.react';
+
 // API Configuration
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -105,11 +133,58 @@ const useAuth = () => {
 
 // API Service
 class ApiService {
-  static async request(endpoint, options = {}) {
+  // Shared by concurrent requests so a burst of 401s triggers a single refresh
+  static refreshPromise = null;
+  static onSessionExpired = null;
+
+  static storeTokens({ token, refreshToken }) {
+    localStorage.setItem('token', token);
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+  }
+
+  static clearTokens() {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+  }
+
+  static refreshTokens() {
+    if (!this.refreshPromise) {
+      const refreshToken = localStorage.getItem('refreshToken');
+
+      this.refreshPromise = fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      })
+        .then(async (response) => {
+          if (!response.ok) {
+            throw new Error('Session expired');
+          }
+          this.storeTokens(await response.json());
+          return true;
+        })
+        .catch(() => {
+          this.clearTokens();
+          if (this.onSessionExpired) {
+            this.onSessionExpired();
+          }
+          return false;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  static async request(endpoint, options = {}, retry = true) {
     const token = localStorage.getItem('token');
     const config = {
       headers: {
-        'Content-Type': 'application/json',
+        // FormData bodies get a multipart Content-Type, boundary included, from the browser
+        ...(!(options.body instanceof FormData) && { 'Content-Type': 'application/json' }),
         ...(token && { Authorization: `Bearer ${token}` }),
         ...options.headers,
       },
@@ -120,8 +195,23 @@ class ApiService {
       const response = await fetch(`${API_BASE_URL}${endpoint}`, config);
       const data = await response.json();
 
+      const canRefresh = retry &&
+        !endpoint.startsWith('/auth/') &&
+        localStorage.getItem('refreshToken');
+
+      // Only 401 means the access token is unusable; 403 is a permission denial and refreshing won't help
+      if (response.status === 401 && canRefresh) {
+        const refreshed = await this.refreshTokens();
+        if (refreshed) {
+          return this.request(endpoint, options, false);
+        }
+      }
+
       if (!response.ok) {
-        throw new Error(data.error || 'Request failed');
+        const error = new Error(data.error || 'Request failed');
+        error.status = response.status;
+        error.data = data;
+        throw error;
       }
 
       return data;
@@ -154,58 +244,210 @@ class ApiService {
       method: 'DELETE',
     });
   }
+
+  static async upload(endpoint, formData) {
+    return this.request(endpoint, {
+      method: 'POST',
+      body: formData,
+    });
+  }
+
+  // Fetches a file with the session's credentials and hands it to the browser as a download
+  static async download(endpoint, filename, retry = true) {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+
+    if (response.status === 401 && retry && await this.refreshTokens()) {
+      return this.download(endpoint, filename, false);
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Download failed');
+    }
+
+    this.saveBlob(await response.blob(), filename);
+  }
+
+  static saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Real-time Event Service
+class RealtimeService {
+  static source = null;
+  static listeners = new Set();
+  static retryTimer = null;
+  static retryDelay = 1000;
+  static connecting = false;
+
+  static subscribe(listener) {
+    this.listeners.add(listener);
+    this.connect();
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        this.disconnect();
+      }
+    };
+  }
+
+  static async connect() {
+    if (this.source || this.retryTimer || this.connecting || !localStorage.getItem('token')) return;
+
+    // The stream opens with a single-use ticket, which keeps the access token out of the URL.
+    // Asking for it also refreshes an expired access token.
+    this.connecting = true;
+    let ticket;
+    try {
+      ({ ticket } = await ApiService.post('/events/ticket', {}));
+    } catch (error) {
+      this.connecting = false;
+      this.scheduleReconnect();
+      return;
+    }
+    this.connecting = false;
+    if (this.listeners.size === 0) return;
+
+    const source = new EventSource(`${API_BASE_URL}/events/stream?ticket=${encodeURIComponent(ticket)}`);
+
+    source.onopen = () => {
+      this.retryDelay = 1000;
+    };
+
+    source.onmessage = (message) => {
+      const event = JSON.parse(message.data);
+      this.listeners.forEach(listener => listener(event));
+    };
+
+    // The browser's built-in retry would reuse the spent ticket,
+    // so close and reconnect ourselves with exponential backoff
+    source.onerror = () => {
+      source.close();
+      this.source = null;
+      this.scheduleReconnect();
+    };
+
+    this.source = source;
+  }
+
+  static scheduleReconnect() {
+    if (this.listeners.size === 0 || this.retryTimer) return;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.connect();
+    }, this.retryDelay);
+
+    this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+  }
+
+  static disconnect() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+  }
 }
 
+const useRealtimeEvents = (handler) => {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => RealtimeService.subscribe(event => handlerRef.current(event)), []);
+};
+
 // Authentication Provider
 const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
+    ApiService.onSessionExpired = () => setUser(null);
+
     const token = localStorage.getItem('token');
     if (token) {
       // Verify token and get user profile
       ApiService.get('/users/profile')
         .then(userData => setUser(userData))
         .catch(() => {
-          localStorage.removeItem('token');
+          ApiService.clearTokens();
         })
         .finally(() => setLoading(false));
     } else {
       setLoading(false);
     }
+
+    return () => {
+      ApiService.onSessionExpired = null;
+    };
   }, []);
 
+  // Sign-ins that still need a second factor answer with a challenge token instead of a session
+  const startSession = (response) => {
+    if (response.token) {
+      ApiService.storeTokens(response);
+      setUser(response.user);
+    }
+    return response;
+  };
+
   const login = async (credentials) => {
     try {
       const response = await ApiService.post('/auth/login', credentials);
-      localStorage.setItem('token', response.token);
-      setUser(response.user);
-      return response;
+      return startSession(response);
     } catch (error) {
       throw error;
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    const response = await ApiService.post('/auth/login/2fa', { challengeToken, code });
+    return startSession(response);
+  };
+
   const register = async (userData) => {
     try {
       const response = await ApiService.post('/auth/register', userData);
-      localStorage.setItem('token', response.token);
-      setUser(response.user);
-      return response;
+      return startSession(response);
     } catch (error) {
       throw error;
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    setUser(null);
+  const logout = async () => {
+    try {
+      // Revoke the session server-side so the refresh token cannot be reused
+      await ApiService.post('/auth/logout', {
+        refreshToken: localStorage.getItem('refreshToken'),
+      });
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    } finally {
+      ApiService.clearTokens();
+      setUser(null);
+    }
   };
 
   const value = {
     user,
     login,
+    verifyTwoFactor,
+    completeLogin: startSession,
     register,
     logout,
     loading,
@@ -215,33 +457,165 @@ const AuthProvider = ({ children }) => {
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 };
 
+// Shows freshly issued backup codes; the server never returns them again
+const BackupCodesList = ({ codes }) => (
+  <Box sx={{ my: 2 }}>
+    <Alert severity="warning" sx={{ mb: 2 }}>
+      Save these backup codes somewhere safe. Each one works once if you lose your authenticator,
+      and they will not be shown again.
+    </Alert>
+    <Grid container spacing={1}>
+      {codes.map((code) => (
+        <Grid item xs={6} key={code}>
+          <Typography sx={{ fontFamily: 'monospace' }}>{code}</Typography>
+        </Grid>
+      ))}
+    </Grid>
+    <Button
+      size="small"
+      startIcon={<DownloadIcon />}
+      sx={{ mt: 1 }}
+      onClick={() => ApiService.saveBlob(new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' }), 'backup-codes.txt')}
+    >
+      Download
+    </Button>
+  </Box>
+);
+
+// TOTP enrolment: scan the QR code, then confirm with a first code.
+// Pass the challenge token when enrolling is part of signing in.
+const TwoFactorEnrolment = ({ challengeToken, onEnabled }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    ApiService.post('/auth/2fa/setup', challengeToken ? { challengeToken } : {})
+      .then(data => setSetup(data))
+      .catch(error => setError(error.message));
+  }, [challengeToken]);
+
+  const confirm = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await ApiService.post('/auth/2fa/enable', {
+        code,
+        ...(challengeToken && { challengeToken }),
+      });
+      onEnabled(response);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {!setup && !error && <LinearProgress />}
+      {setup && (
+        <>
+          <Typography variant="body2" gutterBottom>
+            Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+          </Typography>
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+            <QRCodeSVG value={setup.otpauthUrl} size={180} />
+          </Box>
+          <Typography variant="body2" color="text.secondary" align="center" sx={{ wordBreak: 'break-all' }}>
+            Can't scan it? Enter this key instead: <Box component="span" sx={{ fontFamily: 'monospace' }}>{setup.secret}</Box>
+          </Typography>
+          <TextField
+            fullWidth
+            label="Authentication code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            margin="normal"
+            inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+          />
+          <Button fullWidth variant="contained" onClick={confirm} disabled={loading || !code}>
+            {loading ? 'Verifying...' : 'Enable Two-Factor Authentication'}
+          </Button>
+        </>
+      )}
+    </Box>
+  );
+};
+
 // Login Component
+// Modes: login, register, forgot (request a reset link), reset (opened from that link),
+// twoFactor (second sign-in step) and twoFactorSetup (enrolment the user's role requires)
 const LoginForm = () => {
-  const [isLogin, setIsLogin] = useState(true);
+  const [resetToken] = useState(() => new URLSearchParams(window.location.search).get('resetPassword'));
+  const [mode, setMode] = useState(resetToken ? 'reset' : 'login');
   const [formData, setFormData] = useState({
     username: '',
     password: '',
     email: '',
     firstName: '',
     lastName: '',
+    code: '',
   });
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login, register } = useAuth();
+  const [passwordRules, setPasswordRules] = useState([]);
+  const [challengeToken, setChallengeToken] = useState('');
+  const [enrolment, setEnrolment] = useState(null);
+  const { login, register, verifyTwoFactor, completeLogin } = useAuth();
+
+  useEffect(() => {
+    if (resetToken) {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+    ApiService.get('/auth/password-policy')
+      .then(policy => setPasswordRules(policy.rules))
+      .catch(() => {});
+  }, []);
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError('');
+    setNotice('');
+    setChallengeToken('');
+    setEnrolment(null);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError('');
+    setNotice('');
 
     try {
-      if (isLogin) {
-        await login({ username: formData.username, password: formData.password });
+      if (mode === 'login' || mode === 'register') {
+        const response = mode === 'login'
+          ? await login({ username: formData.username, password: formData.password })
+          : await register(formData);
+        if (response.twoFactorRequired || response.twoFactorSetupRequired) {
+          setChallengeToken(response.challengeToken);
+          setMode(response.twoFactorRequired ? 'twoFactor' : 'twoFactorSetup');
+        }
+      } else if (mode === 'twoFactor') {
+        await verifyTwoFactor(challengeToken, formData.code);
+      } else if (mode === 'forgot') {
+        const response = await ApiService.post('/auth/forgot-password', { email: formData.email });
+        setNotice(response.message);
       } else {
-        await register(formData);
+        const response = await ApiService.post('/auth/reset-password', {
+          token: resetToken,
+          password: formData.password,
+        });
+        setMode('login');
+        setFormData({ ...formData, password: '' });
+        setNotice(response.message);
       }
     } catch (error) {
-      setError(error.message);
+      setError(error.status === 423 && error.data.lockedUntil
+        ? `${error.message} (locked until ${new Date(error.data.lockedUntil).toLocaleTimeString()})`
+        : error.message);
     } finally {
       setLoading(false);
     }
@@ -251,6 +625,23 @@ const LoginForm = () => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  const titles = {
+    login: 'Login',
+    register: 'Register',
+    forgot: 'Forgot Password',
+    reset: 'Choose a New Password',
+    twoFactor: 'Two-Factor Authentication',
+    twoFactorSetup: 'Set Up Two-Factor Authentication',
+  };
+  const submitLabels = {
+    login: 'Login',
+    register: 'Register',
+    forgot: 'Send Reset Link',
+    reset: 'Update Password',
+    twoFactor: 'Verify',
+  };
+  const showPasswordRules = (mode === 'register' || mode === 'reset') && passwordRules.length > 0;
+
   return (
     <Container maxWidth="sm" sx={{ mt: 8 }}>
       <Card>
@@ -259,24 +650,48 @@ const LoginForm = () => {
             IBM Full-Stack Capstone
           </Typography>
           <Typography variant="h6" align="center" gutterBottom>
-            {isLogin ? 'Login' : 'Register'}
+            {titles[mode]}
           </Typography>
 
           {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          {notice && <Alert severity="success" sx={{ mb: 2 }}>{notice}</Alert>}
 
-          <form onSubmit={handleSubmit}>
-            <TextField
-              fullWidth
-              label="Username"
-              name="username"
-              value={formData.username}
-              onChange={handleChange}
-              margin="normal"
-              required
-            />
-
-            {!isLogin && (
+          {mode === 'twoFactorSetup' && (
+            enrolment ? (
+              <>
+                <BackupCodesList codes={enrolment.backupCodes} />
+                <Button fullWidth variant="contained" onClick={() => completeLogin(enrolment)}>
+                  Continue
+                </Button>
+              </>
+            ) : (
               <>
+                <Alert severity="info" sx={{ mb: 2 }}>
+                  Your role requires two-factor authentication. Set it up to finish signing in.
+                </Alert>
+                <TwoFactorEnrolment challengeToken={challengeToken} onEnabled={setEnrolment} />
+                <Button fullWidth sx={{ mt: 1 }} onClick={() => switchMode('login')}>
+                  Back to Login
+                </Button>
+              </>
+            )
+          )}
+
+          {mode !== 'twoFactorSetup' && (
+            <form onSubmit={handleSubmit}>
+              {(mode === 'login' || mode === 'register') && (
+                <TextField
+                  fullWidth
+                  label="Username"
+                  name="username"
+                  value={formData.username}
+                  onChange={handleChange}
+                  margin="normal"
+                  required
+                />
+              )}
+
+              {(mode === 'register' || mode === 'forgot') && (
                 <TextField
                   fullWidth
                   label="Email"
@@ -287,6 +702,9 @@ const LoginForm = () => {
                   margin="normal"
                   required
                 />
+              )}
+
+              {mode === 'register' && (
                 <Grid container spacing={2}>
                   <Grid item xs={6}>
                     <TextField
@@ -311,49 +729,212 @@ const LoginForm = () => {
                     />
                   </Grid>
                 </Grid>
-              </>
-            )}
+              )}
 
-            <TextField
-              fullWidth
-              label="Password"
-              name="password"
-              type="password"
-              value={formData.password}
-              onChange={handleChange}
-              margin="normal"
-              required
-            />
+              {mode === 'twoFactor' && (
+                <TextField
+                  fullWidth
+                  autoFocus
+                  label="Authentication code"
+                  name="code"
+                  value={formData.code}
+                  onChange={handleChange}
+                  margin="normal"
+                  required
+                  helperText="Enter the code from your authenticator app, or one of your backup codes"
+                  inputProps={{ autoComplete: 'one-time-code' }}
+                />
+              )}
 
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              sx={{ mt: 3, mb: 2 }}
-              disabled={loading}
-            >
-              {loading ? 'Processing...' : (isLogin ? 'Login' : 'Register')}
-            </Button>
+              {mode !== 'forgot' && mode !== 'twoFactor' && (
+                <TextField
+                  fullWidth
+                  label={mode === 'reset' ? 'New Password' : 'Password'}
+                  name="password"
+                  type="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  margin="normal"
+                  required
+                  helperText={showPasswordRules ? `Use ${passwordRules.join(', ')}` : undefined}
+                />
+              )}
 
-            <Button
-              fullWidth
-              onClick={() => setIsLogin(!isLogin)}
-            >
-              {isLogin ? 'Need an account? Register' : 'Have an account? Login'}
-            </Button>
-          </form>
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2 }}
+                disabled={loading}
+              >
+                {loading ? 'Processing...' : submitLabels[mode]}
+              </Button>
+
+              {mode === 'login' && (
+                <>
+                  <Button fullWidth onClick={() => switchMode('register')}>
+                    Need an account? Register
+                  </Button>
+                  <Button fullWidth onClick={() => switchMode('forgot')}>
+                    Forgot your password?
+                  </Button>
+                </>
+              )}
+              {mode !== 'login' && (
+                <Button fullWidth onClick={() => switchMode('login')}>
+                  Back to Login
+                </Button>
+              )}
+            </form>
+          )}
         </CardContent>
       </Card>
     </Container>
   );
 };
 
+// Confirms an email address from a verification link, whether or not anyone is signed in
+const EmailVerificationLink = () => {
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    const token = new URLSearchParams(window.location.search).get('verifyEmail');
+    if (!token) return;
+
+    window.history.replaceState(null, '', window.location.pathname);
+    ApiService.post('/auth/verify-email', { token })
+      .then(data => setResult({ severity: 'success', message: data.message }))
+      .catch(error => setResult({ severity: 'error', message: error.message }));
+  }, []);
+
+  return (
+    <Snackbar open={!!result} autoHideDuration={8000} onClose={() => setResult(null)}>
+      {result ? <Alert severity={result.severity} onClose={() => setResult(null)}>{result.message}</Alert> : <span />}
+    </Snackbar>
+  );
+};
+
+const HEALTH_COLORS = {
+  'on-track': 'success',
+  'at-risk': 'warning',
+  late: 'error',
+};
+
+// Saved View Widget
+// One dashboard card backed by a saved view; refreshKey changes when tasks may have changed
+const SavedViewWidget = ({ widget, refreshKey, onRemove }) => {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const { view, display } = widget;
+
+  useEffect(() => {
+    const request = display === 'list'
+      ? ApiService.get(`/views/${view._id}/tasks?limit=5`)
+      : ApiService.get(`/views/${view._id}/summary`);
+    request
+      .then(result => {
+        setData(result);
+        setError('');
+      })
+      .catch(error => setError(error.message));
+  }, [view._id, display, refreshKey]);
+
+  const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042'];
+
+  const renderBody = () => {
+    if (error) return <Alert severity="error">{error}</Alert>;
+    if (!data) return <LinearProgress />;
+
+    switch (display) {
+      case 'list':
+        return data.tasks.length === 0
+          ? <Typography variant="body2" color="textSecondary">No matching tasks</Typography>
+          : (
+            <List dense disablePadding>
+              {data.tasks.map(task => (
+                <ListItem key={task._id} disableGutters>
+                  <ListItemText
+                    primary={task.title}
+                    secondary={task.dueDate ? `Due ${new Date(task.dueDate).toLocaleDateString()}` : task.status}
+                  />
+                  <Chip label={task.priority} size="small" color={PRIORITY_COLORS[task.priority]} />
+                </ListItem>
+              ))}
+            </List>
+          );
+      case 'by-status':
+        return (
+          <ResponsiveContainer width="100%" height={200}>
+            <BarChart data={data.byStatus}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="status" />
+              <YAxis allowDecimals={false} />
+              <Tooltip />
+              <Bar dataKey="count" fill="#8884d8" />
+            </BarChart>
+          </ResponsiveContainer>
+        );
+      case 'by-priority':
+        return (
+          <ResponsiveContainer width="100%" height={200}>
+            <PieChart>
+              <Pie data={data.byPriority} dataKey="count" nameKey="priority" outerRadius={70} label>
+                {data.byPriority.map((entry, index) => (
+                  <Cell key={entry.priority} fill={COLORS[index % COLORS.length]} />
+                ))}
+              </Pie>
+              <Tooltip />
+            </PieChart>
+          </ResponsiveContainer>
+        );
+      default:
+        return (
+          <>
+            <Typography variant="h4">{data.total}</Typography>
+            {data.overdue > 0 && (
+              <Typography variant="body2" color="error">{data.overdue} overdue</Typography>
+            )}
+          </>
+        );
+    }
+  };
+
+  return (
+    <Card sx={{ height: '100%' }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
+          <Box>
+            <Typography color="textSecondary">{view.name}</Typography>
+            {view.project && (
+              <Typography variant="caption" color="textSecondary">{view.project.name}</Typography>
+            )}
+          </Box>
+          <Box>
+            <Button size="small" href={savedViewUrl(view._id)}>Open</Button>
+            <IconButton size="small" onClick={onRemove} title="Remove from dashboard">
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Box>
+        </Box>
+        {renderBody()}
+      </CardContent>
+    </Card>
+  );
+};
+
 // Dashboard Component
 const Dashboard = () => {
   const [analytics, setAnalytics] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [widgets, setWidgets] = useState([]);
+  const [widgetRefresh, setWidgetRefresh] = useState(0);
+  const [widgetDialogOpen, setWidgetDialogOpen] = useState(false);
+  const [views, setViews] = useState([]);
+  const [newWidget, setNewWidget] = useState({ view: '', display: 'count' });
+  const [widgetError, setWidgetError] = useState('');
+  const refreshTimer = useRef(null);
 
-  useEffect(() => {
+  const loadAnalytics = () => {
     ApiService.get('/analytics/dashboard')
       .then(data => {
         setAnalytics(data);
@@ -363,8 +944,47 @@ const Dashboard = () => {
         console.error('Failed to fetch analytics:', error);
         setLoading(false);
       });
+  };
+
+  useEffect(() => {
+    loadAnalytics();
+    ApiService.get('/users/profile/dashboard-widgets')
+      .then(data => setWidgets(data.widgets))
+      .catch(error => setWidgetError(error.message));
+    return () => clearTimeout(refreshTimer.current);
   }, []);
 
+  // Aggregates are computed server-side, so coalesce bursts of events into one refetch
+  useRealtimeEvents(() => {
+    clearTimeout(refreshTimer.current);
+    refreshTimer.current = setTimeout(() => {
+      loadAnalytics();
+      setWidgetRefresh(current => current + 1);
+    }, 500);
+  });
+
+  // The server stores the whole list, so every change sends it back in order
+  const saveWidgets = (nextWidgets) => {
+    setWidgetError('');
+    return ApiService.put('/users/profile/dashboard-widgets', {
+      widgets: nextWidgets.map(widget => ({ view: widget.view._id || widget.view, display: widget.display })),
+    })
+      .then(data => setWidgets(data.widgets))
+      .catch(error => setWidgetError(error.message));
+  };
+
+  const openWidgetDialog = () => {
+    setNewWidget({ view: '', display: 'count' });
+    setWidgetDialogOpen(true);
+    ApiService.get('/views')
+      .then(data => setViews(data))
+      .catch(error => setWidgetError(error.message));
+  };
+
+  const addWidget = () => {
+    saveWidgets([...widgets, newWidget]).then(() => setWidgetDialogOpen(false));
+  };
+
   if (loading) {
     return <LinearProgress />;
   }
@@ -442,7 +1062,7 @@ const Dashboard = () => {
                   <ResponsiveContainer width="100%" height={300}>
                     <BarChart data={analytics.charts.tasksByStatus}>
                       <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="_id" />
+                      <XAxis dataKey="label" />
                       <YAxis />
                       <Tooltip />
                       <Legend />
@@ -483,6 +1103,81 @@ const Dashboard = () => {
             </Grid>
           </Grid>
 
+          {/* Saved view widgets */}
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 3, mb: 1 }}>
+            <Typography variant="h6">My Views</Typography>
+            <Button size="small" startIcon={<AddIcon />} onClick={openWidgetDialog}>Add widget</Button>
+          </Box>
+          {widgetError && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setWidgetError('')}>{widgetError}</Alert>}
+          {widgets.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">
+              Save a view on the task board, then add it here to keep an eye on it.
+            </Typography>
+          ) : (
+            <Grid container spacing={3}>
+              {widgets.map((widget, index) => (
+                <Grid item xs={12} sm={6} md={widget.display === 'count' ? 3 : 6} key={`${widget.view._id}-${index}`}>
+                  <SavedViewWidget
+                    widget={widget}
+                    refreshKey={widgetRefresh}
+                    onRemove={() => saveWidgets(widgets.filter((other, otherIndex) => otherIndex !== index))}
+                  />
+                </Grid>
+              ))}
+            </Grid>
+          )}
+
+          {/* Project Health */}
+          {analytics.projects && analytics.projects.length > 0 && (
+            <Card sx={{ mt: 3 }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  Project Health
+                </Typography>
+                <TableContainer>
+                  <Table>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Project</TableCell>
+                        <TableCell>Progress</TableCell>
+                        <TableCell>Health</TableCell>
+                        <TableCell>End Date</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {analytics.projects.map((project) => (
+                        <TableRow key={project._id}>
+                          <TableCell>{project.name}</TableCell>
+                          <TableCell sx={{ minWidth: 160 }}>
+                            <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                              <LinearProgress
+                                variant="determinate"
+                                value={project.progress}
+                                sx={{ flexGrow: 1, mr: 1 }}
+                              />
+                              <Typography variant="body2">{project.progress}%</Typography>
+                            </Box>
+                          </TableCell>
+                          <TableCell>
+                            <Chip
+                              label={project.health.status}
+                              size="small"
+                              color={HEALTH_COLORS[project.health.status]}
+                              title={project.health.reasons.join('\n')}
+                            />
+                          </TableCell>
+                          <TableCell>
+                            {project.endDate ? new Date(project.endDate).toLocaleDateString() : '—'}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </CardContent>
+            </Card>
+          )}
+
           {/* Recent Tasks */}
           <Card sx={{ mt: 3 }}>
             <CardContent>
@@ -506,9 +1201,9 @@ const Dashboard = () => {
                         <TableCell>{task.title}</TableCell>
                         <TableCell>
                           <Chip 
-                            label={task.status} 
+                            label={(projectStatuses(task.project).find(status => status.id === task.status) || {}).label || task.status} 
                             size="small"
-                            color={task.status === 'completed' ? 'success' : 'default'}
+                            color={task.statusCategory === 'done' ? 'success' : 'default'}
                           />
                         </TableCell>
                         <TableCell>
@@ -536,42 +1231,2975 @@ const Dashboard = () => {
           </Card>
         </>
       )}
+
+      <Dialog open={widgetDialogOpen} onClose={() => setWidgetDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Add Widget</DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>View</InputLabel>
+            <Select
+              label="View"
+              value={newWidget.view}
+              onChange={(e) => setNewWidget({ ...newWidget, view: e.target.value })}
+            >
+              {views.map(view => (
+                <MenuItem key={view._id} value={view._id}>{view.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Show</InputLabel>
+            <Select
+              label="Show"
+              value={newWidget.display}
+              onChange={(e) => setNewWidget({ ...newWidget, display: e.target.value })}
+            >
+              {DASHBOARD_WIDGET_DISPLAYS.map(display => (
+                <MenuItem key={display.id} value={display.id}>{display.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setWidgetDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={addWidget} disabled={!newWidget.view}>Add</Button>
+        </DialogActions>
+      </Dialog>
     </Container>
   );
 };
 
-// Main App Component
-const MainApp = () => {
-  const { user, logout } = useAuth();
-  const [currentView, setCurrentView] = useState('dashboard');
-  const [drawerOpen, setDrawerOpen] = useState(false);
+// Task Board Configuration
+// Used for projects without a workflow of their own
+const TASK_STATUSES = [
+  { id: 'todo', label: 'To Do', category: 'todo' },
+  { id: 'in-progress', label: 'In Progress', category: 'in-progress' },
+  { id: 'review', label: 'Review', category: 'in-progress' },
+  { id: 'completed', label: 'Completed', category: 'done' },
+];
 
-  const menuItems = [
-    { id: 'dashboard', label: 'Dashboard', icon: <DashboardIcon /> },
-    { id: 'tasks', label: 'Tasks', icon: <TaskIcon /> },
-    { id: 'projects', label: 'Projects', icon: <ProjectIcon /> },
-    { id: 'team', label: 'Team', icon: <PeopleIcon /> },
-    { id: 'analytics', label: 'Analytics', icon: <AnalyticsIcon /> },
-  ];
+const STATUS_CATEGORIES = ['todo', 'in-progress', 'done'];
 
-  const renderContent = () => {
-    switch (currentView) {
-      case 'dashboard':
-        return <Dashboard />;
-      case 'tasks':
-        return <Typography variant="h4">Tasks Management (Coming Soon)</Typography>;
-      case 'projects':
-        return <Typography variant="h4">Projects Management (Coming Soon)</Typography>;
-      case 'team':
-        return <Typography variant="h4">Team Management (Coming Soon)</Typography>;
-      case 'analytics':
-        return <Typography variant="h4">Advanced Analytics (Coming Soon)</Typography>;
-      default:
-        return <Dashboard />;
-    }
-  };
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
 
-  return (
+const PRIORITY_COLORS = {
+  low: 'default',
+  medium: 'info',
+  high: 'warning',
+  urgent: 'error',
+};
+
+const POSITION_STEP = 1024;
+
+// The board loads a page at a time on request, and stops offering more past the cap
+const BOARD_PAGE_SIZE = 200;
+const MAX_BOARD_TASKS = 1000;
+
+// Orders a saved view can use; the board itself always lays cards out by position
+const TASK_SORTS = [
+  { id: '-createdAt', label: 'Newest first' },
+  { id: 'createdAt', label: 'Oldest first' },
+  { id: '-updatedAt', label: 'Recently updated' },
+  { id: 'dueDate', label: 'Due date' },
+  { id: 'title', label: 'Title' },
+  { id: 'position', label: 'Board order' },
+  { id: '-estimatedHours', label: 'Largest estimate' },
+];
+
+const VIEW_VISIBILITIES = [
+  { id: 'private', label: 'Only me' },
+  { id: 'project', label: 'Project team' },
+];
+
+// Fields an import column can be mapped to, per kind of record
+const IMPORT_FIELDS = {
+  tasks: ['title', 'description', 'status', 'priority', 'project', 'assignedTo', 'dueDate', 'estimatedHours', 'tags'],
+  projects: ['name', 'description', 'status', 'startDate', 'endDate', 'budget', 'hourlyRate', 'team'],
+};
+
+// Exports the background import jobs understand
+const IMPORT_SOURCES = [
+  { id: 'trello', label: 'Trello board (JSON)', accept: '.json,application/json' },
+  { id: 'jira', label: 'Jira issues (CSV or XML)', accept: '.csv,.xml,text/csv,text/xml,application/xml' },
+];
+
+const IMPORT_JOB_POLL_MS = 3000;
+
+const DASHBOARD_WIDGET_DISPLAYS = [
+  { id: 'count', label: 'Count' },
+  { id: 'list', label: 'Task list' },
+  { id: 'by-status', label: 'By status' },
+  { id: 'by-priority', label: 'By priority' },
+];
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_TASK = {
+  title: '',
+  description: '',
+  status: '',
+  priority: 'medium',
+  project: '',
+  assignedTo: '',
+  dueDate: '',
+  estimatedHours: '',
+  tags: '',
+  repeat: '',
+  repeatInterval: 1,
+  repeatWeekdays: [],
+};
+
+const refId = (value) => (value && value._id) || value || '';
+
+const projectStatuses = (project) => {
+  const statuses = project && project.workflow && project.workflow.statuses;
+  if (!statuses || statuses.length === 0) return TASK_STATUSES;
+  return statuses.map(status => ({ id: status.key, label: status.label, category: status.category }));
+};
+
+// Columns for one project, or every status in use across projects grouped by category
+const boardStatuses = (projects, projectId) => {
+  if (projectId) {
+    return projectStatuses(projects.find(project => project._id === projectId));
+  }
+
+  const seen = new Map();
+  (projects.length ? projects : [null]).forEach(project => {
+    projectStatuses(project).forEach(status => {
+      if (!seen.has(status.id)) seen.set(status.id, status);
+    });
+  });
+  return [...seen.values()].sort(
+    (a, b) => STATUS_CATEGORIES.indexOf(a.category) - STATUS_CATEGORIES.indexOf(b.category)
+  );
+};
+
+const matchesTaskFilters = (task, filters) => (
+  (!filters.status || task.status === filters.status) &&
+  (!filters.priority || task.priority === filters.priority) &&
+  (!filters.project || refId(task.project) === filters.project) &&
+  (!filters.assignedTo || refId(task.assignedTo) === filters.assignedTo)
+);
+
+// Saved view filters are the API's query params in object form:
+// `priority[in]=high,urgent&assignedTo=me` <-> { priority: { in: 'high,urgent' }, assignedTo: 'me' }
+const parseFilterQuery = (text) => {
+  const filters = {};
+  new URLSearchParams(text.trim()).forEach((value, key) => {
+    const match = /^(\w+)\[(\w+)\]$/.exec(key);
+    if (!match) {
+      filters[key] = value;
+      return;
+    }
+    const [, field, operator] = match;
+    const current = typeof filters[field] === 'object' ? filters[field] : {};
+    filters[field] = { ...current, [operator]: value };
+  });
+  return filters;
+};
+
+const formatFilterQuery = (filters = {}) => Object.entries(filters)
+  .flatMap(([field, spec]) => (typeof spec === 'object' && !Array.isArray(spec)
+    ? Object.entries(spec).map(([operator, value]) => `${field}[${operator}]=${value}`)
+    : [`${field}=${spec}`]))
+  .join('&');
+
+// Shareable address of a saved view; MainApp opens the board on it
+const savedViewUrl = (viewId) => `${window.location.origin}${window.location.pathname}?view=${viewId}`;
+
+// Position halfway between the neighbours at the drop index
+const positionBetween = (columnTasks, index) => {
+  const before = columnTasks[index - 1];
+  const after = columnTasks[index];
+
+  if (before && after) return (before.position + after.position) / 2;
+  if (before) return before.position + POSITION_STEP;
+  if (after) return after.position - POSITION_STEP;
+  return POSITION_STEP;
+};
+
+const toTaskForm = (task) => ({
+  title: task.title,
+  description: task.description,
+  status: task.status,
+  priority: task.priority,
+  project: task.project ? task.project._id || task.project : '',
+  assignedTo: task.assignedTo ? task.assignedTo._id : '',
+  dueDate: task.dueDate ? task.dueDate.slice(0, 10) : '',
+  estimatedHours: task.estimatedHours ?? '',
+  tags: (task.tags || []).join(', '),
+  repeat: task.recurrence ? task.recurrence.freq : '',
+  repeatInterval: task.recurrence ? task.recurrence.interval : 1,
+  repeatWeekdays: task.recurrence ? task.recurrence.byWeekday || [] : [],
+});
+
+const fromTaskForm = (form) => ({
+  title: form.title,
+  description: form.description,
+  status: form.status || undefined,
+  priority: form.priority,
+  project: form.project,
+  assignedTo: form.assignedTo || null,
+  dueDate: form.dueDate || null,
+  estimatedHours: form.estimatedHours === '' ? undefined : Number(form.estimatedHours),
+  tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+  recurrence: form.repeat
+    ? {
+      freq: form.repeat,
+      interval: Number(form.repeatInterval) || 1,
+      byWeekday: form.repeat === 'weekly' ? form.repeatWeekdays : [],
+    }
+    : null,
+});
+
+const describeRecurrence = (recurrence) => {
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' }[recurrence.freq];
+  const every = recurrence.interval > 1 ? `Every ${recurrence.interval} ${unit}s` : `Every ${unit}`;
+  const days = (recurrence.byWeekday || []).map(day => WEEKDAYS[day]).join(', ');
+  return days ? `${every} on ${days}` : every;
+};
+
+const formatActivityValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleDateString();
+  }
+  return String(value);
+};
+
+// Task Activity Timeline
+const TaskActivityTimeline = ({ taskId }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    ApiService.get(`/tasks/${taskId}/activity`)
+      .then(data => setEntries(data.entries))
+      .catch(error => setError(error.message))
+      .finally(() => setLoading(false));
+  }, [taskId]);
+
+  if (loading) {
+    return <LinearProgress sx={{ my: 2 }} />;
+  }
+
+  if (error) {
+    return <Alert severity="error" sx={{ my: 2 }}>{error}</Alert>;
+  }
+
+  if (entries.length === 0) {
+    return <Typography color="textSecondary" sx={{ my: 2 }}>No activity recorded yet.</Typography>;
+  }
+
+  return (
+    <List dense>
+      {entries.map((entry, index) => (
+        <React.Fragment key={entry._id}>
+          {index > 0 && <Divider component="li" />}
+          <ListItem alignItems="flex-start">
+            <ListItemText
+              primary={
+                <>
+                  <strong>
+                    {entry.actor ? `${entry.actor.firstName} ${entry.actor.lastName}` : 'System'}
+                  </strong>
+                  {` ${entry.action.replace('_', ' ')} · ${new Date(entry.createdAt).toLocaleString()}`}
+                </>
+              }
+              secondary={entry.changes.map(change => (
+                <Typography key={change.field} variant="body2" component="span" display="block">
+                  {change.field}: {formatActivityValue(change.from)} → {formatActivityValue(change.to)}
+                </Typography>
+              ))}
+            />
+          </ListItem>
+        </React.Fragment>
+      ))}
+    </List>
+  );
+};
+
+const formatHours = (hours) => `${Number(hours || 0).toFixed(2)} h`;
+
+const formatMinutes = (minutes) => `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+
+const todayInputValue = () => new Date().toISOString().slice(0, 10);
+
+// Time tracking tab of the task dialog: timer, manual logging and the task's entries
+const TaskTimeTracker = ({ taskId }) => {
+  const { user } = useAuth();
+  const [data, setData] = useState({ entries: [], estimatedHours: 0, actualHours: 0 });
+  const [form, setForm] = useState({ hours: '', date: todayInputValue(), note: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(Date.now());
+
+  const userId = user.id || user._id;
+  const running = data.entries.find(entry => !entry.endedAt && refId(entry.user) === userId);
+
+  const loadEntries = () => {
+    setLoading(true);
+    ApiService.get(`/tasks/${taskId}/time-entries`)
+      .then(setData)
+      .catch(error => setError(error.message))
+      .finally(() => setLoading(false));
+  };
+
+  useEffect(loadEntries, [taskId]);
+
+  useEffect(() => {
+    if (!running) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  const runAction = async (action) => {
+    setError('');
+    try {
+      await action();
+      loadEntries();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const toggleTimer = () => runAction(() => (
+    running
+      ? ApiService.post(`/tasks/${taskId}/timer/stop`, {})
+      : ApiService.post(`/tasks/${taskId}/timer/start`, {})
+  ));
+
+  const logTime = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await ApiService.post(`/tasks/${taskId}/time-entries`, {
+        hours: Number(form.hours),
+        date: form.date,
+        note: form.note,
+      });
+      setForm({ ...form, hours: '', note: '' });
+    });
+  };
+
+  const deleteEntry = (entry) => runAction(() => ApiService.delete(`/time-entries/${entry._id}`));
+
+  return (
+    <Box sx={{ my: 2 }}>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+        <Typography variant="body2" color="textSecondary">
+          Logged {formatHours(data.actualHours)} of {formatHours(data.estimatedHours)} estimated
+        </Typography>
+        <Button
+          variant={running ? 'contained' : 'outlined'}
+          color={running ? 'error' : 'primary'}
+          startIcon={running ? <StopIcon /> : <StartIcon />}
+          onClick={toggleTimer}
+        >
+          {running
+            ? `Stop (${formatMinutes(Math.max(0, Math.floor((now - new Date(running.startedAt)) / 60000)))})`
+            : 'Start timer'}
+        </Button>
+      </Box>
+
+      <Box component="div" sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 2 }}>
+        <TextField
+          label="Hours"
+          type="number"
+          size="small"
+          value={form.hours}
+          onChange={(e) => setForm({ ...form, hours: e.target.value })}
+          inputProps={{ min: 0.05, max: 24, step: 0.25 }}
+          sx={{ width: 100 }}
+        />
+        <TextField
+          label="Date"
+          type="date"
+          size="small"
+          value={form.date}
+          onChange={(e) => setForm({ ...form, date: e.target.value })}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          label="Note"
+          size="small"
+          value={form.note}
+          onChange={(e) => setForm({ ...form, note: e.target.value })}
+          sx={{ flexGrow: 1 }}
+        />
+        <Button onClick={logTime} disabled={!form.hours}>Log</Button>
+      </Box>
+
+      {loading && <LinearProgress sx={{ mb: 1 }} />}
+      {!loading && data.entries.length === 0 && (
+        <Typography color="textSecondary">No time logged yet.</Typography>
+      )}
+      <List dense>
+        {data.entries.map(entry => (
+          <ListItem
+            key={entry._id}
+            secondaryAction={refId(entry.user) === userId && entry.endedAt && (
+              <IconButton edge="end" size="small" onClick={() => deleteEntry(entry)}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            )}
+          >
+            <ListItemText
+              primary={`${entry.endedAt ? formatMinutes(entry.minutes) : 'Running'} · ${entry.user.firstName} ${entry.user.lastName}`}
+              secondary={[new Date(entry.startedAt).toLocaleString(), entry.note].filter(Boolean).join(' · ')}
+            />
+          </ListItem>
+        ))}
+      </List>
+    </Box>
+  );
+};
+
+// Task comments; @username mentions notify the people named
+const TaskComments = ({ taskId }) => {
+  const [comments, setComments] = useState([]);
+  const [text, setText] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    ApiService.get(`/tasks/${taskId}`)
+      .then(task => setComments(task.comments || []))
+      .catch(error => setError(error.message))
+      .finally(() => setLoading(false));
+  }, [taskId]);
+
+  useRealtimeEvents((event) => {
+    if (event.type === 'task.comment_added' && event.data.taskId === taskId) {
+      setComments(current => (
+        current.some(comment => comment._id === event.data.comment._id)
+          ? current
+          : [...current, event.data.comment]
+      ));
+    }
+  });
+
+  const addComment = async () => {
+    if (!text.trim()) return;
+    setError('');
+
+    try {
+      const comment = await ApiService.post(`/tasks/${taskId}/comments`, { text });
+      setComments(current => [...current.filter(existing => existing._id !== comment._id), comment]);
+      setText('');
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <Box sx={{ my: 2 }}>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {loading && <LinearProgress sx={{ mb: 1 }} />}
+      {!loading && comments.length === 0 && (
+        <Typography color="textSecondary">No comments yet.</Typography>
+      )}
+      <List dense>
+        {comments.map(comment => (
+          <ListItem key={comment._id} alignItems="flex-start">
+            <ListItemText
+              primary={comment.text}
+              secondary={`${comment.user ? `${comment.user.firstName} ${comment.user.lastName}` : 'Unknown'} · ${new Date(comment.createdAt).toLocaleString()}`}
+            />
+          </ListItem>
+        ))}
+      </List>
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+        <TextField
+          fullWidth
+          size="small"
+          multiline
+          maxRows={4}
+          placeholder="Write a comment… use @username to mention someone"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <Button onClick={addComment} disabled={!text.trim()}>Comment</Button>
+      </Box>
+    </Box>
+  );
+};
+
+// Task Create/Edit Dialog
+const TaskDialog = ({ open, task, projects, users, onClose, onSaved, onDeleted }) => {
+  const { user } = useAuth();
+  const [formData, setFormData] = useState(EMPTY_TASK);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [tab, setTab] = useState('details');
+  const [watching, setWatching] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setFormData(task ? toTaskForm(task) : EMPTY_TASK);
+      setError('');
+      setTab('details');
+      setWatching(!!task && (task.watchers || []).some(watcher => refId(watcher) === (user.id || user._id)));
+    }
+  }, [open, task]);
+
+  const toggleWatching = async () => {
+    try {
+      const result = watching
+        ? await ApiService.delete(`/tasks/${task._id}/watch`)
+        : await ApiService.post(`/tasks/${task._id}/watch`, {});
+      setWatching(result.watching);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const statuses = projectStatuses(projects.find(project => project._id === formData.project));
+
+  const handleChange = (e) => {
+    const updated = { ...formData, [e.target.name]: e.target.value };
+
+    // Switching project clears a status the new project's workflow does not have
+    if (e.target.name === 'project') {
+      const available = projectStatuses(projects.find(project => project._id === e.target.value));
+      if (!available.some(status => status.id === updated.status)) updated.status = '';
+    }
+    setFormData(updated);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const payload = fromTaskForm(formData);
+      const saved = task
+        ? await ApiService.put(`/tasks/${task._id}`, payload)
+        : await ApiService.post('/tasks', payload);
+      onSaved(saved);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Move "${task.title}" to the trash?`)) return;
+
+    try {
+      await ApiService.delete(`/tasks/${task._id}`);
+      onDeleted(task);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          {task ? 'Edit Task' : 'New Task'}
+          {task && (
+            <Button size="small" startIcon={watching ? <UnwatchIcon /> : <WatchIcon />} onClick={toggleWatching}>
+              {watching ? 'Unwatch' : 'Watch'}
+            </Button>
+          )}
+        </DialogTitle>
+        {task && (
+          <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ px: 3 }}>
+            <Tab label="Details" value="details" />
+            <Tab label="Comments" value="comments" />
+            <Tab label="Time" value="time" />
+            <Tab label="History" value="history" />
+          </Tabs>
+        )}
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+          {tab === 'history' && <TaskActivityTimeline taskId={task._id} />}
+          {tab === 'comments' && <TaskComments taskId={task._id} />}
+          {tab === 'time' && <TaskTimeTracker taskId={task._id} />}
+          {tab === 'details' && (
+            <>
+              <TextField
+                fullWidth
+                label="Title"
+                name="title"
+                value={formData.title}
+                onChange={handleChange}
+                margin="normal"
+                required
+              />
+              <TextField
+                fullWidth
+                label="Description"
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+                margin="normal"
+                multiline
+                minRows={3}
+                required
+              />
+
+              <Grid container spacing={2}>
+                <Grid item xs={6}>
+                  <FormControl fullWidth margin="normal">
+                    <InputLabel>Status</InputLabel>
+                    <Select name="status" label="Status" value={formData.status} onChange={handleChange}>
+                      {!task && <MenuItem value="">Initial status</MenuItem>}
+                      {statuses.map(status => (
+                        <MenuItem key={status.id} value={status.id}>{status.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={6}>
+                  <FormControl fullWidth margin="normal">
+                    <InputLabel>Priority</InputLabel>
+                    <Select name="priority" label="Priority" value={formData.priority} onChange={handleChange}>
+                      {TASK_PRIORITIES.map(priority => (
+                        <MenuItem key={priority} value={priority}>{priority}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={6}>
+                  <FormControl fullWidth margin="normal" required>
+                    <InputLabel>Project</InputLabel>
+                    <Select name="project" label="Project" value={formData.project} onChange={handleChange}>
+                      {projects.map(project => (
+                        <MenuItem key={project._id} value={project._id}>{project.name}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={6}>
+                  <FormControl fullWidth margin="normal">
+                    <InputLabel>Assignee</InputLabel>
+                    <Select name="assignedTo" label="Assignee" value={formData.assignedTo} onChange={handleChange}>
+                      <MenuItem value="">Unassigned</MenuItem>
+                      {users.map(user => (
+                        <MenuItem key={user._id} value={user._id}>
+                          {user.firstName} {user.lastName}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={6}>
+                  <TextField
+                    fullWidth
+                    label="Due Date"
+                    name="dueDate"
+                    type="date"
+                    value={formData.dueDate}
+                    onChange={handleChange}
+                    margin="normal"
+                    InputLabelProps={{ shrink: true }}
+                  />
+                </Grid>
+                <Grid item xs={6}>
+                  <TextField
+                    fullWidth
+                    label="Estimated Hours"
+                    name="estimatedHours"
+                    type="number"
+                    value={formData.estimatedHours}
+                    onChange={handleChange}
+                    margin="normal"
+                    inputProps={{ min: 0 }}
+                  />
+                </Grid>
+                <Grid item xs={6}>
+                  <FormControl fullWidth margin="normal">
+                    <InputLabel>Repeat</InputLabel>
+                    <Select name="repeat" label="Repeat" value={formData.repeat} onChange={handleChange}>
+                      <MenuItem value="">Does not repeat</MenuItem>
+                      {RECURRENCE_FREQUENCIES.map(freq => (
+                        <MenuItem key={freq} value={freq}>{freq}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                {formData.repeat && (
+                  <Grid item xs={6}>
+                    <TextField
+                      fullWidth
+                      label="Every"
+                      name="repeatInterval"
+                      type="number"
+                      value={formData.repeatInterval}
+                      onChange={handleChange}
+                      margin="normal"
+                      inputProps={{ min: 1 }}
+                      helperText={formData.dueDate ? 'Next due date follows this one' : 'Counted from completion'}
+                    />
+                  </Grid>
+                )}
+                {formData.repeat === 'weekly' && (
+                  <Grid item xs={12}>
+                    <FormControl fullWidth>
+                      <InputLabel>On</InputLabel>
+                      <Select
+                        multiple
+                        name="repeatWeekdays"
+                        label="On"
+                        value={formData.repeatWeekdays}
+                        onChange={handleChange}
+                        renderValue={(days) => days.map(day => WEEKDAYS[day]).join(', ')}
+                      >
+                        {WEEKDAYS.map((label, day) => (
+                          <MenuItem key={label} value={day}>{label}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                )}
+              </Grid>
+
+              <TextField
+                fullWidth
+                label="Tags"
+                name="tags"
+                value={formData.tags}
+                onChange={handleChange}
+                margin="normal"
+                helperText="Separate tags with commas"
+              />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {task && (
+            <Button color="error" startIcon={<DeleteIcon />} onClick={handleDelete} sx={{ mr: 'auto' }}>
+              Delete
+            </Button>
+          )}
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+// Task Card
+const TaskCard = ({ task, selected, onToggleSelect, onEdit, onDragStart, onDrop }) => (
+  <Card
+    draggable
+    onDragStart={(e) => onDragStart(e, task)}
+    onDragOver={(e) => e.preventDefault()}
+    onDrop={(e) => onDrop(e, task)}
+    sx={{ mb: 1, cursor: 'grab', border: selected ? 2 : 0, borderColor: 'primary.main' }}
+  >
+    <CardContent sx={{ pb: '12px !important' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <Box sx={{ display: 'flex', alignItems: 'flex-start' }}>
+          <Checkbox
+            size="small"
+            checked={selected}
+            onChange={() => onToggleSelect(task)}
+            sx={{ p: 0, mr: 1 }}
+            inputProps={{ 'aria-label': `Select ${task.title}` }}
+          />
+          <Typography variant="subtitle2">{task.title}</Typography>
+        </Box>
+        <IconButton size="small" onClick={() => onEdit(task)}>
+          <EditIcon fontSize="small" />
+        </IconButton>
+      </Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+        <Chip label={task.priority} size="small" color={PRIORITY_COLORS[task.priority]} />
+        {task.recurrence && (
+          <Chip icon={<RepeatIcon />} label={describeRecurrence(task.recurrence)} size="small" variant="outlined" />
+        )}
+        {(task.tags || []).map(tag => (
+          <Chip key={tag} label={tag} size="small" variant="outlined" />
+        ))}
+      </Box>
+      <Typography variant="caption" color="textSecondary" component="div" sx={{ mt: 1 }}>
+        {task.project && task.project.name && `${task.project.name} · `}
+        {task.assignedTo ?
+          `${task.assignedTo.firstName} ${task.assignedTo.lastName}` :
+          'Unassigned'
+        }
+        {task.dueDate && ` · Due ${new Date(task.dueDate).toLocaleDateString()}`}
+      </Typography>
+    </CardContent>
+  </Card>
+);
+
+const EMPTY_VIEW = { name: '', filters: '', sort: '-createdAt', visibility: 'private', project: '' };
+
+// Creates a view from the board's filters, or edits an existing one
+const SavedViewDialog = ({ open, view, initialFilters, projects, onClose, onSaved, onDeleted }) => {
+  const [formData, setFormData] = useState(EMPTY_VIEW);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+
+    setError('');
+    setFormData(view
+      ? {
+        name: view.name,
+        filters: formatFilterQuery(view.filters),
+        sort: view.sort,
+        visibility: view.visibility,
+        project: view.project ? view.project._id : '',
+      }
+      : { ...EMPTY_VIEW, filters: initialFilters || '' });
+  }, [open, view, initialFilters]);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const payload = {
+      name: formData.name,
+      filters: parseFilterQuery(formData.filters),
+      sort: formData.sort,
+      visibility: formData.visibility,
+      project: formData.project || null,
+    };
+
+    try {
+      const saved = view
+        ? await ApiService.put(`/views/${view._id}`, payload)
+        : await ApiService.post('/views', payload);
+      onSaved(saved);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the view "${view.name}"?`)) return;
+
+    try {
+      await ApiService.delete(`/views/${view._id}`);
+      onDeleted(view);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>{view ? 'Edit View' : 'Save View'}</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Name"
+            name="name"
+            value={formData.name}
+            onChange={handleChange}
+            required
+          />
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Filters"
+            name="filters"
+            value={formData.filters}
+            onChange={handleChange}
+            helperText="e.g. assignedTo=me&priority[in]=high,urgent&dueDate[lt]=today+7d"
+            InputProps={{ sx: { fontFamily: 'monospace' } }}
+          />
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Sort</InputLabel>
+            <Select name="sort" label="Sort" value={formData.sort} onChange={handleChange}>
+              {TASK_SORTS.map(sort => (
+                <MenuItem key={sort.id} value={sort.id}>{sort.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Visible to</InputLabel>
+            <Select name="visibility" label="Visible to" value={formData.visibility} onChange={handleChange}>
+              {VIEW_VISIBILITIES.map(visibility => (
+                <MenuItem key={visibility.id} value={visibility.id}>{visibility.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl fullWidth margin="normal" required={formData.visibility === 'project'}>
+            <InputLabel>Project</InputLabel>
+            <Select name="project" label="Project" value={formData.project} onChange={handleChange}>
+              <MenuItem value="">Any project</MenuItem>
+              {projects.map(project => (
+                <MenuItem key={project._id} value={project._id}>{project.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          {view && view.canEdit && (
+            <Button color="error" onClick={handleDelete} sx={{ mr: 'auto' }}>Delete</Button>
+          )}
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained">Save</Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+// Bulk Task Actions
+// Applies one change to every selected task in a single request; failures are listed per task
+const BulkTaskActions = ({ tasks, statuses, projects, users, onApplied, onClear }) => {
+  const [tag, setTag] = useState('');
+  const [dueDate, setDueDate] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+
+  const titleOf = (id) => {
+    const task = tasks.find(candidate => candidate._id === id);
+    return task ? task.title : id;
+  };
+
+  const apply = async (action, changes, ids = tasks.map(task => task._id), overrideBlockers = false) => {
+    if (action === 'delete' && !window.confirm(`Move ${ids.length} task(s) to the trash?`)) return;
+
+    setBusy(true);
+    try {
+      const data = await ApiService.post('/tasks/bulk', { action, ids, changes, overrideBlockers });
+      setOutcome({ ...data, changes });
+      onApplied(data);
+    } catch (error) {
+      setOutcome({ error: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const failures = outcome && outcome.results ? outcome.results.filter(result => !result.ok) : [];
+  const blocked = failures.filter(result => result.status === 409);
+
+  return (
+    <Paper sx={{ p: 2, mb: 2 }}>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1 }}>
+        <Typography variant="subtitle2" sx={{ mr: 1 }}>{tasks.length} selected</Typography>
+        <FormControl size="small" sx={{ minWidth: 140 }} disabled={busy}>
+          <InputLabel>Status</InputLabel>
+          <Select label="Status" value="" onChange={(e) => apply('update', { status: e.target.value })}>
+            {statuses.map(status => (
+              <MenuItem key={status.id} value={status.id}>{status.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 120 }} disabled={busy}>
+          <InputLabel>Priority</InputLabel>
+          <Select label="Priority" value="" onChange={(e) => apply('update', { priority: e.target.value })}>
+            {TASK_PRIORITIES.map(priority => (
+              <MenuItem key={priority} value={priority}>{priority}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 150 }} disabled={busy}>
+          <InputLabel>Assignee</InputLabel>
+          <Select
+            label="Assignee"
+            value=""
+            onChange={(e) => apply('update', { assignedTo: e.target.value === 'none' ? null : e.target.value })}
+          >
+            <MenuItem value="none">Unassigned</MenuItem>
+            {users.map(user => (
+              <MenuItem key={user._id} value={user._id}>{user.firstName} {user.lastName}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 150 }} disabled={busy}>
+          <InputLabel>Project</InputLabel>
+          <Select label="Project" value="" onChange={(e) => apply('update', { project: e.target.value })}>
+            {projects.map(project => (
+              <MenuItem key={project._id} value={project._id}>{project.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          size="small"
+          type="date"
+          label="Due date"
+          value={dueDate}
+          onChange={(e) => setDueDate(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+          disabled={busy}
+        />
+        <Button size="small" disabled={busy} onClick={() => apply('update', { dueDate: dueDate || null })}>
+          {dueDate ? 'Set due date' : 'Clear due date'}
+        </Button>
+        <TextField
+          size="small"
+          label="Tag"
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          disabled={busy}
+          sx={{ width: 120 }}
+        />
+        <Button size="small" disabled={busy || !tag.trim()} onClick={() => apply('update', { addTags: [tag] })}>
+          Add tag
+        </Button>
+        <Button size="small" disabled={busy || !tag.trim()} onClick={() => apply('update', { removeTags: [tag] })}>
+          Remove tag
+        </Button>
+        <Button size="small" color="error" startIcon={<DeleteIcon />} disabled={busy} onClick={() => apply('delete')}>
+          Delete
+        </Button>
+        <Button size="small" onClick={onClear} disabled={busy} sx={{ ml: 'auto' }}>Clear selection</Button>
+      </Box>
+      {busy && <LinearProgress sx={{ mt: 1 }} />}
+
+      {outcome && (
+        <Alert
+          severity={outcome.error || failures.length ? 'warning' : 'success'}
+          sx={{ mt: 2 }}
+          onClose={() => setOutcome(null)}
+          action={blocked.length > 0 && (
+            <Button
+              color="inherit"
+              size="small"
+              onClick={() => apply(outcome.action, outcome.changes, blocked.map(result => result.id), true)}
+            >
+              Complete anyway
+            </Button>
+          )}
+        >
+          {outcome.error || `${outcome.succeeded} of ${outcome.total} task(s) ${outcome.action === 'delete' ? 'moved to trash' : 'updated'}`}
+          {failures.map(result => (
+            <Typography key={result.id} variant="body2">
+              {titleOf(result.id)}: {result.error}
+            </Typography>
+          ))}
+        </Alert>
+      )}
+    </Paper>
+  );
+};
+
+// Import Dialog
+// Every file is validated with a dry run first; the mapping can be adjusted and re-checked
+// before anything is saved
+const ImportDialog = ({ open, onClose, onImported }) => {
+  const { user } = useAuth();
+  const [kind, setKind] = useState('tasks');
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const canImportProjects = ['admin', 'manager'].includes(user.role);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setKind('tasks');
+    setFile(null);
+    setMapping({});
+    setReport(null);
+    setError('');
+  }, [open]);
+
+  const run = async (dryRun, source = file, columnMapping = mapping, target = kind) => {
+    setBusy(true);
+    setError('');
+    try {
+      const data = await ApiService.post(`/${target}/import`, {
+        format: source.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+        data: source.text,
+        mapping: columnMapping,
+        dryRun,
+      });
+      setMapping(data.mapping);
+      setReport(data);
+      if (!dryRun) onImported(data);
+    } catch (error) {
+      setReport(null);
+      setError(error.message);
+      if (error.data && error.data.columns) {
+        setMapping(Object.fromEntries(error.data.columns.map(column => [column, columnMapping[column] || null])));
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+
+    const source = { name: selected.name, text: await selected.text() };
+    setFile(source);
+    setMapping({});
+    run(true, source, {});
+  };
+
+  const handleKindChange = (e) => {
+    setKind(e.target.value);
+    setMapping({});
+    setReport(null);
+    if (file) run(true, file, {}, e.target.value);
+  };
+
+  // A changed mapping invalidates the last report until it is checked again
+  const handleMappingChange = (column, field) => {
+    setMapping({ ...mapping, [column]: field || null });
+    setReport(current => current && { ...current, stale: true });
+  };
+
+  const imported = report && !report.dryRun;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mt: 1, mb: 2 }}>
+          <FormControl size="small" sx={{ minWidth: 140 }} disabled={busy || imported}>
+            <InputLabel>Import</InputLabel>
+            <Select label="Import" value={kind} onChange={handleKindChange}>
+              <MenuItem value="tasks">Tasks</MenuItem>
+              {canImportProjects && <MenuItem value="projects">Projects</MenuItem>}
+            </Select>
+          </FormControl>
+          <Button variant="outlined" component="label" startIcon={<UploadIcon />} disabled={busy || imported}>
+            {file ? 'Choose another file' : 'Choose CSV or JSON file'}
+            <input type="file" hidden accept=".csv,.json,text/csv,application/json" onChange={handleFile} />
+          </Button>
+          {file && <Typography variant="body2">{file.name}</Typography>}
+        </Box>
+        {busy && <LinearProgress sx={{ mb: 2 }} />}
+
+        {Object.keys(mapping).length > 0 && !imported && (
+          <>
+            <Typography variant="subtitle2" gutterBottom>Columns</Typography>
+            <Table size="small" sx={{ mb: 2 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Column in file</TableCell>
+                  <TableCell>Imports as</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {Object.keys(mapping).map(column => (
+                  <TableRow key={column}>
+                    <TableCell>{column}</TableCell>
+                    <TableCell>
+                      <Select
+                        size="small"
+                        value={mapping[column] || ''}
+                        onChange={(e) => handleMappingChange(column, e.target.value)}
+                        displayEmpty
+                        sx={{ minWidth: 180 }}
+                      >
+                        <MenuItem value="">Ignore</MenuItem>
+                        {IMPORT_FIELDS[kind].map(field => (
+                          <MenuItem key={field} value={field}>{field}</MenuItem>
+                        ))}
+                      </Select>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+
+        {report && (
+          <Alert severity={report.failed > 0 || report.stale ? 'warning' : 'success'} sx={{ mb: 2 }}>
+            {report.stale
+              ? 'The mapping changed; check the file again before importing.'
+              : report.dryRun
+                ? `${report.succeeded} of ${report.total} rows are ready to import.`
+                : `Imported ${report.succeeded} of ${report.total} rows.`}
+            {!report.stale && report.failed > 0 && ` ${report.failed} row(s) have errors and will be skipped.`}
+          </Alert>
+        )}
+        {report && !report.stale && report.errors.length > 0 && (
+          <TableContainer component={Paper} sx={{ maxHeight: 240 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Row</TableCell>
+                  <TableCell>Field</TableCell>
+                  <TableCell>Problem</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {report.errors.map((problem, index) => (
+                  <TableRow key={index}>
+                    <TableCell>{problem.row}</TableCell>
+                    <TableCell>{problem.field || '—'}</TableCell>
+                    <TableCell>{problem.error}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{imported ? 'Close' : 'Cancel'}</Button>
+        {!imported && (
+          <>
+            <Button onClick={() => run(true)} disabled={!file || busy}>Check again</Button>
+            <Button
+              variant="contained"
+              onClick={() => run(false)}
+              disabled={!report || report.stale || report.succeeded === 0 || busy}
+            >
+              Import
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+// External Import Dialog
+// Trello and Jira exports are imported by a background job. Its progress arrives as
+// import.progress events, with polling as a fallback while the event stream reconnects.
+const ExternalImportDialog = ({ open, onClose, onImported, projects }) => {
+  const [source, setSource] = useState('trello');
+  const [project, setProject] = useState('');
+  const [file, setFile] = useState(null);
+  const [job, setJob] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+
+    setSource('trello');
+    setProject('');
+    setFile(null);
+    setJob(null);
+    setError('');
+  }, [open]);
+
+  const jobId = job && job._id;
+  const running = !!job && ['queued', 'running'].includes(job.status);
+
+  useRealtimeEvents(event => {
+    if (event.type === 'import.progress' && jobId && event.data._id === jobId) {
+      setJob(event.data);
+    }
+  });
+
+  useEffect(() => {
+    if (!running) return undefined;
+
+    const timer = setInterval(() => {
+      ApiService.get(`/imports/${jobId}`)
+        .then(data => setJob(data))
+        .catch(() => {});
+    }, IMPORT_JOB_POLL_MS);
+    return () => clearInterval(timer);
+  }, [running, jobId]);
+
+  // Once more when the job ends, for the project names
+  const finished = !!job && ['completed', 'failed'].includes(job.status);
+  useEffect(() => {
+    if (!finished) return;
+
+    ApiService.get(`/imports/${jobId}`)
+      .then(data => setJob(data))
+      .catch(() => {});
+    onImported();
+  }, [finished]);
+
+  const handleFile = (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+
+    setFile(selected);
+  };
+
+  // Sent as a file upload: exports can be larger than the JSON body limit
+  const start = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const body = new FormData();
+      body.append('source', source);
+      if (project) body.append('project', project);
+      body.append('file', file);
+      setJob(await ApiService.upload('/imports', body));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const sourceOption = IMPORT_SOURCES.find(option => option.id === source);
+  const progress = job && job.progress;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import from Trello or Jira</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {!job && (
+          <>
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mt: 1, mb: 2 }}>
+              <FormControl size="small" sx={{ minWidth: 220 }} disabled={busy}>
+                <InputLabel>Export</InputLabel>
+                <Select label="Export" value={source} onChange={(e) => { setSource(e.target.value); setFile(null); }}>
+                  {IMPORT_SOURCES.map(option => (
+                    <MenuItem key={option.id} value={option.id}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <Button variant="outlined" component="label" startIcon={<UploadIcon />} disabled={busy}>
+                {file ? 'Choose another file' : 'Choose export file'}
+                <input type="file" hidden accept={sourceOption.accept} onChange={handleFile} />
+              </Button>
+              {file && <Typography variant="body2">{file.name}</Typography>}
+            </Box>
+            <FormControl fullWidth size="small" disabled={busy}>
+              <InputLabel>Import into</InputLabel>
+              <Select label="Import into" value={project} onChange={(e) => setProject(e.target.value)}>
+                <MenuItem value="">A new project per {source === 'trello' ? 'board' : 'Jira project'}</MenuItem>
+                {projects.map(option => (
+                  <MenuItem key={option._id} value={option._id}>{option.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+              Lists and statuses become statuses, labels become tags and people are matched to users by
+              username, email or name. Importing the same export again only adds what is new.
+            </Typography>
+          </>
+        )}
+        {busy && <LinearProgress sx={{ my: 2 }} />}
+
+        {job && (
+          <>
+            <Typography variant="body2" gutterBottom>
+              {job.fileName || sourceOption.label} — {job.status === 'queued' ? 'waiting to start' : job.status}
+            </Typography>
+            <LinearProgress
+              variant={progress.total > 0 ? 'determinate' : 'indeterminate'}
+              value={progress.total > 0 ? (progress.processed / progress.total) * 100 : 0}
+              color={job.status === 'failed' ? 'error' : 'primary'}
+              sx={{ mb: 1 }}
+            />
+            <Typography variant="caption" color="text.secondary">
+              {progress.processed} of {progress.total} processed: {progress.created} created, {progress.updated} with
+              new comments, {progress.unchanged} unchanged, {progress.skipped} skipped, {progress.failed} failed
+            </Typography>
+
+            {job.status === 'failed' && <Alert severity="error" sx={{ mt: 2 }}>{job.error}</Alert>}
+            {job.status === 'completed' && (
+              <Alert severity={job.itemErrors.length > 0 ? 'warning' : 'success'} sx={{ mt: 2 }}>
+                Imported into {job.projects.map(item => item.name || item).join(', ') || 'no project'}.
+              </Alert>
+            )}
+            {job.unmatchedUsers.length > 0 && (
+              <Alert severity="info" sx={{ mt: 2 }}>
+                No user found for {job.unmatchedUsers.join(', ')}; their tasks are unassigned and their
+                comments are kept under your name.
+              </Alert>
+            )}
+            {job.itemErrors.length > 0 && (
+              <TableContainer component={Paper} sx={{ maxHeight: 240, mt: 2 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Item</TableCell>
+                      <TableCell>Problem</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {job.itemErrors.map((problem, index) => (
+                      <TableRow key={index}>
+                        <TableCell>{problem.title || problem.ref}</TableCell>
+                        <TableCell>{problem.error}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {/* The job keeps running on the server when the dialog is closed */}
+        <Button onClick={onClose}>{job ? 'Close' : 'Cancel'}</Button>
+        {!job && (
+          <Button variant="contained" onClick={start} disabled={!file || busy}>
+            Start import
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+// Task Board Component
+const TaskBoard = ({ focus }) => {
+  const { user } = useAuth();
+  const [tasks, setTasks] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [filters, setFilters] = useState({ status: '', priority: '', project: '', assignedTo: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingTask, setEditingTask] = useState(null);
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [views, setViews] = useState([]);
+  // The open saved view lives in the URL (?view=<id>) so it can be bookmarked and shared
+  const [activeViewId, setActiveViewId] = useState(() => new URLSearchParams(window.location.search).get('view') || '');
+  const [viewDialog, setViewDialog] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [importOpen, setImportOpen] = useState(false);
+  const [importMenu, setImportMenu] = useState(null);
+  const [externalImportOpen, setExternalImportOpen] = useState(false);
+  const [exportMenu, setExportMenu] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const reloadTimer = useRef(null);
+  // Pages answered after the filters or view changed are dropped
+  const loadRequest = useRef(0);
+
+  const activeView = views.find(view => view._id === activeViewId);
+
+  const taskPageUrl = (cursor) => {
+    const params = new URLSearchParams({ limit: BOARD_PAGE_SIZE, sort: 'position' });
+    if (!activeViewId) {
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+    }
+    if (cursor) params.append('cursor', cursor);
+    return `${activeViewId ? `/views/${activeViewId}/tasks` : '/tasks'}?${params}`;
+  };
+
+  // Loads the first page; "Load more" follows the cursor from there
+  const loadTasks = () => {
+    const request = ++loadRequest.current;
+    setLoading(true);
+    ApiService.get(taskPageUrl(null))
+      .then(data => {
+        if (request !== loadRequest.current) return;
+        setTasks(data.tasks);
+        setNextCursor(data.hasMore ? data.nextCursor : null);
+      })
+      .catch(error => setError(error.message))
+      .finally(() => {
+        if (request === loadRequest.current) setLoading(false);
+      });
+  };
+
+  const loadMoreTasks = () => {
+    const request = loadRequest.current;
+    setLoadingMore(true);
+    ApiService.get(taskPageUrl(nextCursor))
+      .then(data => {
+        if (request !== loadRequest.current) return;
+        // Realtime events may already have put some of these on the board
+        setTasks(current => {
+          const loadedIds = new Set(current.map(task => task._id));
+          return [...current, ...data.tasks.filter(task => !loadedIds.has(task._id))];
+        });
+        setNextCursor(data.hasMore ? data.nextCursor : null);
+      })
+      .catch(error => setError(error.message))
+      .finally(() => setLoadingMore(false));
+  };
+
+  const loadViews = () => {
+    ApiService.get('/views')
+      .then(data => setViews(data))
+      .catch(error => setError(error.message));
+  };
+
+  useEffect(() => {
+    Promise.all([ApiService.get('/projects'), ApiService.get('/users')])
+      .then(([projectData, userData]) => {
+        setProjects(projectData);
+        setUsers(userData);
+      })
+      .catch(error => setError(error.message));
+    loadViews();
+
+    // Back and forward move between views; leaving the board drops the view from the URL
+    const syncView = () => setActiveViewId(new URLSearchParams(window.location.search).get('view') || '');
+    window.addEventListener('popstate', syncView);
+    return () => {
+      window.removeEventListener('popstate', syncView);
+      clearTimeout(reloadTimer.current);
+      if (new URLSearchParams(window.location.search).has('view')) {
+        window.history.replaceState(null, '', window.location.pathname);
+      }
+    };
+  }, []);
+
+  useEffect(loadTasks, [filters, activeViewId]);
+
+  // A selection only makes sense for the tasks it was made on
+  useEffect(() => setSelectedIds([]), [filters, activeViewId]);
+
+  const selectView = (viewId) => {
+    setActiveViewId(viewId);
+    window.history.pushState(null, '', viewId ? `?view=${viewId}` : window.location.pathname);
+  };
+
+  // Opens whatever was picked in the global search
+  useEffect(() => {
+    if (!focus) return;
+
+    if (focus.projectId) {
+      selectView('');
+      setFilters(current => ({ ...current, project: focus.projectId }));
+    } else if (focus.taskId) {
+      ApiService.get(`/tasks/${focus.taskId}`)
+        .then(task => openDialog(task))
+        .catch(error => setError(error.message));
+    }
+  }, [focus]);
+
+  useRealtimeEvents((event) => {
+    if (event.type === 'task.deleted') {
+      setTasks(current => current.filter(task => task._id !== event.data._id));
+    } else if (activeViewId && ['task.created', 'task.updated', 'task.restored'].includes(event.type)) {
+      // View filters are evaluated server-side (relative dates, `me`), so refetch instead of matching here
+      clearTimeout(reloadTimer.current);
+      reloadTimer.current = setTimeout(loadTasks, 500);
+    } else if (['task.created', 'task.updated', 'task.restored'].includes(event.type)) {
+      const incoming = event.data;
+      setTasks(current => {
+        const others = current.filter(task => task._id !== incoming._id);
+        return matchesTaskFilters(incoming, filters) ? [...others, incoming] : others;
+      });
+    }
+  });
+
+  const statuses = activeViewId
+    ? boardStatuses(projects, activeView && activeView.project ? activeView.project._id : '')
+    : boardStatuses(projects, filters.project);
+
+  const columnTasks = (status) => tasks
+    .filter(task => task.status === status)
+    .sort((a, b) => a.position - b.position);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const openDialog = (task = null) => {
+    setEditingTask(task);
+    setDialogOpen(true);
+  };
+
+  const handleSaved = (savedTask) => {
+    setTasks(current => {
+      const exists = current.some(task => task._id === savedTask._id);
+      return exists
+        ? current.map(task => (task._id === savedTask._id ? savedTask : task))
+        : [...current, savedTask];
+    });
+    setDialogOpen(false);
+  };
+
+  const handleDeleted = (deletedTask) => {
+    setTasks(current => current.filter(task => task._id !== deletedTask._id));
+    setDialogOpen(false);
+  };
+
+  const toggleSelected = (task) => {
+    setSelectedIds(current => (current.includes(task._id)
+      ? current.filter(id => id !== task._id)
+      : [...current, task._id]));
+  };
+
+  const toggleColumnSelected = (columnItems) => {
+    const ids = columnItems.map(task => task._id);
+    const allSelected = ids.every(id => selectedIds.includes(id));
+    setSelectedIds(current => (allSelected
+      ? current.filter(id => !ids.includes(id))
+      : [...new Set([...current, ...ids])]));
+  };
+
+  // Successful items leave the selection; failed ones stay selected for another try
+  const handleBulkApplied = (data) => {
+    const succeeded = data.results.filter(result => result.ok);
+    const updated = new Map(succeeded.filter(result => result.task).map(result => [result.id, result.task]));
+
+    setTasks(current => (data.action === 'delete'
+      ? current.filter(task => !succeeded.some(result => result.id === task._id))
+      : current.map(task => updated.get(task._id) || task)));
+    setSelectedIds(data.results.filter(result => !result.ok).map(result => result.id));
+  };
+
+  const handleViewSaved = (savedView) => {
+    setViews(current => [...current.filter(view => view._id !== savedView._id), savedView]
+      .sort((a, b) => a.name.localeCompare(b.name)));
+    setViewDialog(null);
+    if (savedView._id === activeViewId) {
+      loadTasks();
+    } else {
+      selectView(savedView._id);
+    }
+  };
+
+  const handleViewDeleted = (deletedView) => {
+    setViews(current => current.filter(view => view._id !== deletedView._id));
+    setViewDialog(null);
+    selectView('');
+  };
+
+  const copyViewLink = () => {
+    navigator.clipboard.writeText(savedViewUrl(activeViewId))
+      .then(() => setLinkCopied(true))
+      .catch(error => setError(error.message));
+  };
+
+  // Exports what the board shows: the open view, or the current filters
+  const exportData = (kind, format) => {
+    setExportMenu(null);
+    const params = new URLSearchParams({ format });
+    if (kind === 'tasks' && activeViewId) {
+      params.append('view', activeViewId);
+    } else if (kind === 'tasks') {
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+    }
+    ApiService.download(`/${kind}/export?${params}`, `${kind}.${format}`)
+      .catch(error => setError(error.message));
+  };
+
+  // The board's simple filters as a starting point for a new view
+  const boardFilterQuery = Object.entries(filters)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    setDraggedTask(task);
+  };
+
+  // Drops on a card insert before it; drops on empty column space append to the end
+  const moveTask = async (status, beforeTask) => {
+    if (!draggedTask || (beforeTask && beforeTask._id === draggedTask._id)) return;
+
+    const column = columnTasks(status).filter(task => task._id !== draggedTask._id);
+    const index = beforeTask ? column.findIndex(task => task._id === beforeTask._id) : column.length;
+    const position = positionBetween(column, index);
+    const previous = tasks;
+
+    setTasks(current => current.map(task => (
+      task._id === draggedTask._id ? { ...task, status, position } : task
+    )));
+    setDraggedTask(null);
+
+    try {
+      await ApiService.put(`/tasks/${draggedTask._id}`, { status, position });
+    } catch (error) {
+      const blockers = error.status === 409 && error.data.blockers;
+      const override = blockers && window.confirm(
+        `Still blocked by: ${blockers.map(blocker => blocker.title).join(', ')}. Complete anyway?`
+      );
+
+      if (override) {
+        try {
+          await ApiService.put(`/tasks/${draggedTask._id}`, { status, position, overrideBlockers: true });
+          return;
+        } catch (retryError) {
+          error.message = retryError.message;
+        }
+      }
+
+      setTasks(previous);
+      setError(error.message);
+    }
+  };
+
+  // Imports can add projects as well as tasks
+  const handleImported = () => {
+    loadTasks();
+    ApiService.get('/projects')
+      .then(data => setProjects(data))
+      .catch(error => setError(error.message));
+  };
+
+  const handleCardDrop = (e, task) => {
+    e.preventDefault();
+    e.stopPropagation();
+    moveTask(task.status, task);
+  };
+
+  const handleColumnDrop = (e, status) => {
+    e.preventDefault();
+    moveTask(status, null);
+  };
+
+  return (
+    <Container maxWidth="xl" sx={{ mt: 4, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h4">Tasks</Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button startIcon={<UploadIcon />} onClick={(e) => setImportMenu(e.currentTarget)}>Import</Button>
+          <Button startIcon={<DownloadIcon />} onClick={(e) => setExportMenu(e.currentTarget)}>Export</Button>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => openDialog()}>
+            New Task
+          </Button>
+        </Box>
+      </Box>
+
+      <Menu anchorEl={importMenu} open={!!importMenu} onClose={() => setImportMenu(null)}>
+        <MenuItem onClick={() => { setImportMenu(null); setImportOpen(true); }}>CSV or JSON file</MenuItem>
+        {['admin', 'manager'].includes(user.role) && (
+          <MenuItem onClick={() => { setImportMenu(null); setExternalImportOpen(true); }}>Trello or Jira export</MenuItem>
+        )}
+      </Menu>
+
+      <Menu anchorEl={exportMenu} open={!!exportMenu} onClose={() => setExportMenu(null)}>
+        <MenuItem onClick={() => exportData('tasks', 'csv')}>Tasks as CSV</MenuItem>
+        <MenuItem onClick={() => exportData('tasks', 'json')}>Tasks as JSON</MenuItem>
+        <Divider />
+        <MenuItem onClick={() => exportData('projects', 'csv')}>Projects as CSV</MenuItem>
+        <MenuItem onClick={() => exportData('projects', 'json')}>Projects as JSON</MenuItem>
+      </Menu>
+
+      {/* Saved views */}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 260 }}>
+          <InputLabel>View</InputLabel>
+          <Select label="View" value={activeView ? activeViewId : ''} onChange={(e) => selectView(e.target.value)}>
+            <MenuItem value="">Custom filters</MenuItem>
+            {views.map(view => (
+              <MenuItem key={view._id} value={view._id}>
+                {view.name}
+                {view.visibility === 'project' && ` · shared with ${view.project.name}`}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {activeView ? (
+          <>
+            <Button size="small" onClick={copyViewLink}>Copy link</Button>
+            {activeView.canEdit && (
+              <Button size="small" startIcon={<EditIcon />} onClick={() => setViewDialog({ view: activeView })}>
+                Edit view
+              </Button>
+            )}
+          </>
+        ) : (
+          <Button size="small" onClick={() => setViewDialog({ view: null })}>Save as view</Button>
+        )}
+      </Box>
+
+      {/* Filters */}
+      {!activeViewId && (
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          <Grid item xs={12} sm={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Status</InputLabel>
+              <Select name="status" label="Status" value={filters.status} onChange={handleFilterChange}>
+                <MenuItem value="">All</MenuItem>
+                {statuses.map(status => (
+                  <MenuItem key={status.id} value={status.id}>{status.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Priority</InputLabel>
+              <Select name="priority" label="Priority" value={filters.priority} onChange={handleFilterChange}>
+                <MenuItem value="">All</MenuItem>
+                {TASK_PRIORITIES.map(priority => (
+                  <MenuItem key={priority} value={priority}>{priority}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Project</InputLabel>
+              <Select name="project" label="Project" value={filters.project} onChange={handleFilterChange}>
+                <MenuItem value="">All</MenuItem>
+                {projects.map(project => (
+                  <MenuItem key={project._id} value={project._id}>{project.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Assignee</InputLabel>
+              <Select name="assignedTo" label="Assignee" value={filters.assignedTo} onChange={handleFilterChange}>
+                <MenuItem value="">Anyone</MenuItem>
+                {users.map(user => (
+                  <MenuItem key={user._id} value={user._id}>
+                    {user.firstName} {user.lastName}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+        </Grid>
+      )}
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      {selectedIds.length > 0 && (
+        <BulkTaskActions
+          tasks={tasks.filter(task => selectedIds.includes(task._id))}
+          statuses={statuses}
+          projects={projects}
+          users={users}
+          onApplied={handleBulkApplied}
+          onClear={() => setSelectedIds([])}
+        />
+      )}
+
+      {/* Columns */}
+      <Grid container spacing={2}>
+        {statuses.map(status => {
+          const columnItems = columnTasks(status.id);
+          return (
+            <Grid item xs={12} sm={6} md={3} key={status.id}>
+              <Paper
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => handleColumnDrop(e, status.id)}
+                sx={{ p: 1.5, minHeight: 400, bgcolor: 'grey.100' }}
+              >
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                    <Checkbox
+                      size="small"
+                      checked={columnItems.length > 0 && columnItems.every(task => selectedIds.includes(task._id))}
+                      indeterminate={columnItems.some(task => selectedIds.includes(task._id)) &&
+                        !columnItems.every(task => selectedIds.includes(task._id))}
+                      disabled={columnItems.length === 0}
+                      onChange={() => toggleColumnSelected(columnItems)}
+                      sx={{ p: 0, mr: 1 }}
+                      inputProps={{ 'aria-label': `Select all in ${status.label}` }}
+                    />
+                    <Typography variant="subtitle1">{status.label}</Typography>
+                  </Box>
+                  <Chip label={columnItems.length} size="small" />
+                </Box>
+                {columnItems.map(task => (
+                  <TaskCard
+                    key={task._id}
+                    task={task}
+                    selected={selectedIds.includes(task._id)}
+                    onToggleSelect={toggleSelected}
+                    onEdit={openDialog}
+                    onDragStart={handleDragStart}
+                    onDrop={handleCardDrop}
+                  />
+                ))}
+              </Paper>
+            </Grid>
+          );
+        })}
+      </Grid>
+
+      {nextCursor && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+          {tasks.length < MAX_BOARD_TASKS ? (
+            <Button variant="outlined" onClick={loadMoreTasks} disabled={loading || loadingMore}>
+              {loadingMore ? 'Loading...' : 'Load more tasks'}
+            </Button>
+          ) : (
+            <Typography variant="body2" color="text.secondary">
+              Showing the first {MAX_BOARD_TASKS} tasks. Narrow the filters to see the rest.
+            </Typography>
+          )}
+        </Box>
+      )}
+
+      <TaskDialog
+        open={dialogOpen}
+        task={editingTask}
+        projects={projects}
+        users={users}
+        onClose={() => setDialogOpen(false)}
+        onSaved={handleSaved}
+        onDeleted={handleDeleted}
+      />
+
+      <SavedViewDialog
+        open={!!viewDialog}
+        view={viewDialog && viewDialog.view}
+        initialFilters={boardFilterQuery}
+        projects={projects}
+        onClose={() => setViewDialog(null)}
+        onSaved={handleViewSaved}
+        onDeleted={handleViewDeleted}
+      />
+
+      <ImportDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImported={handleImported}
+      />
+
+      <ExternalImportDialog
+        open={externalImportOpen}
+        projects={projects}
+        onClose={() => setExternalImportOpen(false)}
+        onImported={handleImported}
+      />
+
+      <Snackbar
+        open={linkCopied}
+        autoHideDuration={3000}
+        onClose={() => setLinkCopied(false)}
+        message="Link to this view copied"
+      />
+    </Container>
+  );
+};
+
+// Timesheets Component
+const Timesheets = () => {
+  const [filters, setFilters] = useState({
+    from: new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    to: todayInputValue(),
+    groupBy: 'day',
+    project: '',
+  });
+  const [projects, setProjects] = useState([]);
+  const [sheet, setSheet] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Date inputs are local days; the server groups them in the browser's time zone
+  const queryString = (extra = {}) => {
+    const params = new URLSearchParams({
+      from: new Date(`${filters.from}T00:00:00`).toISOString(),
+      to: new Date(`${filters.to}T23:59:59.999`).toISOString(),
+      groupBy: filters.groupBy,
+      tz: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      ...extra,
+    });
+    if (filters.project) params.append('project', filters.project);
+    return params;
+  };
+
+  useEffect(() => {
+    ApiService.get('/projects')
+      .then(setProjects)
+      .catch(error => setError(error.message));
+  }, []);
+
+  useEffect(() => {
+    setLoading(true);
+    setError('');
+    ApiService.get(`/timesheets?${queryString()}`)
+      .then(setSheet)
+      .catch(error => setError(error.message))
+      .finally(() => setLoading(false));
+  }, [filters]);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const exportCsv = () => {
+    ApiService.download(
+      `/timesheets?${queryString({ format: 'csv' })}`,
+      `timesheet-${filters.groupBy}-${filters.from}-${filters.to}.csv`
+    ).catch(error => setError(error.message));
+  };
+
+  const byTask = filters.groupBy === 'task';
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h4">Timesheets</Typography>
+        <Button variant="outlined" startIcon={<DownloadIcon />} onClick={exportCsv}>
+          Export CSV
+        </Button>
+      </Box>
+
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            fullWidth size="small" type="date" label="From" name="from"
+            value={filters.from} onChange={handleFilterChange} InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            fullWidth size="small" type="date" label="To" name="to"
+            value={filters.to} onChange={handleFilterChange} InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Group by</InputLabel>
+            <Select name="groupBy" label="Group by" value={filters.groupBy} onChange={handleFilterChange}>
+              <MenuItem value="day">Day</MenuItem>
+              <MenuItem value="week">Week</MenuItem>
+              <MenuItem value="task">Task (vs. estimate)</MenuItem>
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Project</InputLabel>
+            <Select name="project" label="Project" value={filters.project} onChange={handleFilterChange}>
+              <MenuItem value="">All</MenuItem>
+              {projects.map(project => (
+                <MenuItem key={project._id} value={project._id}>{project.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+      </Grid>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      {sheet && (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              {byTask ? (
+                <TableRow>
+                  <TableCell>Project</TableCell>
+                  <TableCell>Task</TableCell>
+                  <TableCell align="right">Logged</TableCell>
+                  <TableCell align="right">Estimated</TableCell>
+                  <TableCell align="right">Variance</TableCell>
+                </TableRow>
+              ) : (
+                <TableRow>
+                  <TableCell>{filters.groupBy === 'week' ? 'Week' : 'Date'}</TableCell>
+                  <TableCell>User</TableCell>
+                  <TableCell align="right">Entries</TableCell>
+                  <TableCell align="right">Hours</TableCell>
+                </TableRow>
+              )}
+            </TableHead>
+            <TableBody>
+              {sheet.rows.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={5}>No time logged in this range.</TableCell>
+                </TableRow>
+              )}
+              {byTask ? sheet.rows.map(row => (
+                <TableRow key={row.task._id}>
+                  <TableCell>{row.project.name || '—'}</TableCell>
+                  <TableCell>{row.task.title || 'Deleted task'}</TableCell>
+                  <TableCell align="right">{formatHours(row.hours)}</TableCell>
+                  <TableCell align="right">{formatHours(row.estimatedHours)}</TableCell>
+                  <TableCell align="right" sx={{ color: row.variance > 0 ? 'error.main' : 'success.main' }}>
+                    {row.variance > 0 ? '+' : ''}{formatHours(row.variance)}
+                  </TableCell>
+                </TableRow>
+              )) : sheet.rows.map(row => (
+                <TableRow key={`${row.period}-${row.user._id}`}>
+                  <TableCell>{row.period}</TableCell>
+                  <TableCell>{row.user.firstName} {row.user.lastName}</TableCell>
+                  <TableCell align="right">{row.entries}</TableCell>
+                  <TableCell align="right">{formatHours(row.hours)}</TableCell>
+                </TableRow>
+              ))}
+              {!byTask && sheet.totals.map(total => (
+                <TableRow key={`total-${total.user._id}`}>
+                  <TableCell><strong>Total</strong></TableCell>
+                  <TableCell>{total.user.firstName} {total.user.lastName}</TableCell>
+                  <TableCell />
+                  <TableCell align="right"><strong>{formatHours(total.hours)}</strong></TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Container>
+  );
+};
+
+// Active Sessions Dialog
+const SessionsDialog = ({ open, onClose }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadSessions = () => {
+    setLoading(true);
+    ApiService.get('/auth/sessions')
+      .then(data => setSessions(data))
+      .catch(error => setError(error.message))
+      .finally(() => setLoading(false));
+  };
+
+  useEffect(() => {
+    if (open) {
+      setError('');
+      loadSessions();
+    }
+  }, [open]);
+
+  const revokeSession = async (sessionId) => {
+    try {
+      await ApiService.delete(`/auth/sessions/${sessionId}`);
+      loadSessions();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    try {
+      await ApiService.delete('/auth/sessions');
+      loadSessions();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Active Sessions</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {loading && <LinearProgress sx={{ mb: 2 }} />}
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Device</TableCell>
+                <TableCell>IP Address</TableCell>
+                <TableCell>Signed In</TableCell>
+                <TableCell>Last Active</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {sessions.map((session) => (
+                <TableRow key={session.id}>
+                  <TableCell>
+                    {session.userAgent || 'Unknown device'}
+                    {session.current && (
+                      <Chip label="This device" size="small" color="primary" sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                  <TableCell>{session.ip}</TableCell>
+                  <TableCell>{new Date(session.createdAt).toLocaleString()}</TableCell>
+                  <TableCell>{new Date(session.lastUsedAt).toLocaleString()}</TableCell>
+                  <TableCell align="right">
+                    {!session.current && (
+                      <Button size="small" color="error" onClick={() => revokeSession(session.id)}>
+                        Revoke
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </DialogContent>
+      <DialogActions>
+        <Button color="error" onClick={revokeOtherSessions} disabled={sessions.length < 2}>
+          Sign Out Other Devices
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+// Account Security Dialog
+const USER_ROLES = ['user', 'manager', 'admin'];
+
+const AccountSecurityDialog = ({ open, onClose }) => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrolling, setEnrolling] = useState(false);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const loadStatus = () => {
+    ApiService.get('/auth/2fa')
+      .then(data => setStatus(data))
+      .catch(error => setError(error.message));
+  };
+
+  useEffect(() => {
+    if (!open) return;
+
+    setError('');
+    setNotice('');
+    setEnrolling(false);
+    setBackupCodes(null);
+    loadStatus();
+    if (user.role === 'admin') {
+      ApiService.get('/settings/security')
+        .then(settings => setRequiredRoles(settings.twoFactorRequiredRoles))
+        .catch(error => setError(error.message));
+    }
+  }, [open]);
+
+  const run = async (action) => {
+    setError('');
+    setNotice('');
+    try {
+      await action();
+      setCode('');
+      setPassword('');
+      loadStatus();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const regenerateBackupCodes = () => run(async () => {
+    const response = await ApiService.post('/auth/2fa/backup-codes', { code });
+    setBackupCodes(response.backupCodes);
+  });
+
+  const disableTwoFactor = () => run(async () => {
+    const response = await ApiService.post('/auth/2fa/disable', { password, code });
+    setNotice(response.message);
+  });
+
+  const toggleRequiredRole = (role) => {
+    setRequiredRoles(requiredRoles.includes(role)
+      ? requiredRoles.filter(item => item !== role)
+      : [...requiredRoles, role]);
+  };
+
+  const saveRequiredRoles = () => run(async () => {
+    const response = await ApiService.put('/settings/security', { twoFactorRequiredRoles: requiredRoles });
+    setNotice(`Security settings saved; ${response.sessionsRevoked} session(s) signed out to enrol`);
+  });
+
+  const renderTwoFactor = () => {
+    if (backupCodes) {
+      return <BackupCodesList codes={backupCodes} />;
+    }
+    if (enrolling) {
+      return (
+        <TwoFactorEnrolment
+          onEnabled={(response) => {
+            setEnrolling(false);
+            setBackupCodes(response.backupCodes);
+            loadStatus();
+          }}
+        />
+      );
+    }
+    if (!status) {
+      return <LinearProgress />;
+    }
+    if (!status.enabled) {
+      return (
+        <>
+          {status.required && (
+            <Alert severity="warning" sx={{ mb: 2 }}>Two-factor authentication is required for your role.</Alert>
+          )}
+          <Typography variant="body2" gutterBottom>
+            Protect your account with a code from an authenticator app in addition to your password.
+          </Typography>
+          <Button variant="contained" onClick={() => setEnrolling(true)}>Set Up</Button>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <Typography variant="body2" gutterBottom>
+          Enabled since {new Date(status.enabledAt).toLocaleDateString()}; {status.backupCodesRemaining} backup code(s) left.
+        </Typography>
+        <TextField
+          fullWidth
+          label="Authentication code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          margin="normal"
+          helperText="Needed to change these settings"
+          inputProps={{ autoComplete: 'one-time-code' }}
+        />
+        <Button onClick={regenerateBackupCodes} disabled={!code}>New Backup Codes</Button>
+        {status.required ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            Two-factor authentication is required for your role and cannot be turned off.
+          </Typography>
+        ) : (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 2 }}>
+            <TextField
+              size="small"
+              type="password"
+              label="Password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+            <Button color="error" onClick={disableTwoFactor} disabled={!code || !password}>
+              Turn Off
+            </Button>
+          </Box>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Account Security</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {notice && <Alert severity="success" sx={{ mb: 2 }}>{notice}</Alert>}
+
+        <Typography variant="subtitle1" gutterBottom>Two-Factor Authentication</Typography>
+        {renderTwoFactor()}
+
+        {user.role === 'admin' && (
+          <>
+            <Divider sx={{ my: 3 }} />
+            <Typography variant="subtitle1" gutterBottom>Require Two-Factor Authentication For</Typography>
+            {USER_ROLES.map((role) => (
+              <FormControlLabel
+                key={role}
+                control={<Checkbox checked={requiredRoles.includes(role)} onChange={() => toggleRequiredRole(role)} />}
+                label={role}
+              />
+            ))}
+            <Box>
+              <Button onClick={saveRequiredRoles}>Save Policy</Button>
+            </Box>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+// API Keys Dialog
+const EMPTY_API_KEY = { name: '', scopes: ['tasks:read'], projects: [], expiresAt: '' };
+
+const ApiKeysDialog = ({ open, onClose }) => {
+  const [keys, setKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_API_KEY);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadKeys = () => {
+    ApiService.get('/api-keys')
+      .then(data => {
+        setKeys(data.keys);
+        setScopes(data.scopes);
+      })
+      .catch(error => setError(error.message));
+  };
+
+  useEffect(() => {
+    if (!open) return;
+
+    setError('');
+    setCreatedKey(null);
+    setFormData(EMPTY_API_KEY);
+    loadKeys();
+    ApiService.get('/projects')
+      .then(data => setProjects(data))
+      .catch(error => setError(error.message));
+  }, [open]);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const toggleScope = (scope) => {
+    setFormData({
+      ...formData,
+      scopes: formData.scopes.includes(scope)
+        ? formData.scopes.filter(item => item !== scope)
+        : [...formData.scopes, scope],
+    });
+  };
+
+  const createKey = async () => {
+    setError('');
+    try {
+      const key = await ApiService.post('/api-keys', {
+        ...formData,
+        // End of the chosen day, in local time
+        expiresAt: formData.expiresAt ? new Date(`${formData.expiresAt}T23:59:59`).toISOString() : undefined,
+      });
+      setCreatedKey(key);
+      setFormData(EMPTY_API_KEY);
+      loadKeys();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const revokeKey = async (keyId) => {
+    try {
+      await ApiService.delete(`/api-keys/${keyId}`);
+      loadKeys();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>API Keys</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {createdKey && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            Copy your new key now, it will not be shown again:
+            <Box sx={{ fontFamily: 'monospace', wordBreak: 'break-all', mt: 1 }}>{createdKey.key}</Box>
+          </Alert>
+        )}
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Key</TableCell>
+                <TableCell>Scopes</TableCell>
+                <TableCell>Expires</TableCell>
+                <TableCell>Last Used</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {keys.map((key) => (
+                <TableRow key={key.id}>
+                  <TableCell>
+                    {key.name}
+                    {key.projects.length > 0 && (
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        {key.projects.map(project => project.name).join(', ')}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{key.prefix}...</TableCell>
+                  <TableCell>
+                    {key.scopes.map(scope => <Chip key={scope} label={scope} size="small" sx={{ mr: 0.5, mb: 0.5 }} />)}
+                  </TableCell>
+                  <TableCell>{key.expiresAt ? new Date(key.expiresAt).toLocaleDateString() : 'Never'}</TableCell>
+                  <TableCell>{key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : 'Never'}</TableCell>
+                  <TableCell align="right">
+                    <Button size="small" color="error" onClick={() => revokeKey(key.id)}>
+                      Revoke
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {keys.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">No API keys yet</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        <Typography variant="subtitle1" sx={{ mt: 3 }}>New Key</Typography>
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6}>
+            <TextField fullWidth label="Name" name="name" value={formData.name} onChange={handleChange} margin="normal" />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              label="Expires"
+              name="expiresAt"
+              type="date"
+              value={formData.expiresAt}
+              onChange={handleChange}
+              margin="normal"
+              InputLabelProps={{ shrink: true }}
+              helperText="Leave empty for a key that does not expire"
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <FormControl fullWidth>
+              <InputLabel>Limit to projects</InputLabel>
+              <Select
+                multiple
+                name="projects"
+                label="Limit to projects"
+                value={formData.projects}
+                onChange={handleChange}
+                renderValue={(ids) => projects.filter(project => ids.includes(project._id)).map(project => project.name).join(', ')}
+              >
+                {projects.map((project) => (
+                  <MenuItem key={project._id} value={project._id}>{project.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12}>
+            {scopes.map((scope) => (
+              <FormControlLabel
+                key={scope}
+                control={<Checkbox checked={formData.scopes.includes(scope)} onChange={() => toggleScope(scope)} />}
+                label={scope}
+              />
+            ))}
+          </Grid>
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={createKey} disabled={!formData.name || formData.scopes.length === 0}>
+          Create Key
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+// Email Notification Preferences Dialog
+const NOTIFICATION_TYPE_LABELS = {
+  assigned: 'A task is assigned to me',
+  comment: 'New comments on tasks I watch',
+  mention: 'Someone @mentions me',
+  status_changed: 'Status changes on tasks I watch',
+  due_soon: 'A task is due soon',
+  overdue: 'A task is overdue',
+};
+
+const EMAIL_MODE_LABELS = {
+  immediate: 'Right away',
+  digest: 'Daily digest',
+  off: 'Off',
+};
+
+const NotificationPreferencesDialog = ({ open, onClose }) => {
+  const [preferences, setPreferences] = useState(null);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setError('');
+    ApiService.get('/users/profile/notification-preferences')
+      .then(setPreferences)
+      .catch(error => setError(error.message));
+  }, [open]);
+
+  const handleChange = (type, mode) => {
+    setPreferences({ ...preferences, email: { ...preferences.email, [type]: mode } });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await ApiService.put('/users/profile/notification-preferences', { email: preferences.email });
+      onClose();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Email Notifications</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {!preferences && !error && <LinearProgress sx={{ my: 2 }} />}
+        {preferences && Object.entries(preferences.email).map(([type, mode]) => (
+          <Box key={type} sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', my: 1 }}>
+            <Typography variant="body2">{NOTIFICATION_TYPE_LABELS[type] || type}</Typography>
+            <Select size="small" value={mode} onChange={(e) => handleChange(type, e.target.value)} sx={{ minWidth: 150 }}>
+              {preferences.modes.map(option => (
+                <MenuItem key={option} value={option}>{EMAIL_MODE_LABELS[option] || option}</MenuItem>
+              ))}
+            </Select>
+          </Box>
+        ))}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={!preferences || saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+// Notification Bell
+const NotificationBell = () => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [preferencesOpen, setPreferencesOpen] = useState(false);
+
+  useEffect(() => {
+    ApiService.get('/notifications/unread-count')
+      .then(data => setUnreadCount(data.count))
+      .catch(() => {});
+  }, []);
+
+  useRealtimeEvents((event) => {
+    if (event.type !== 'notification.created') return;
+    setUnreadCount(count => count + 1);
+    setNotifications(current => [event.data, ...current]);
+  });
+
+  const openMenu = (e) => {
+    setAnchorEl(e.currentTarget);
+    ApiService.get('/notifications?limit=15')
+      .then(data => {
+        setNotifications(data.notifications);
+        setUnreadCount(data.unreadCount);
+      })
+      .catch(() => {});
+  };
+
+  const markRead = async (notification) => {
+    if (notification.readAt) return;
+    await ApiService.post(`/notifications/${notification._id}/read`, {});
+    setNotifications(current => current.map(item => (
+      item._id === notification._id ? { ...item, readAt: new Date().toISOString() } : item
+    )));
+    setUnreadCount(count => Math.max(0, count - 1));
+  };
+
+  const markAllRead = async () => {
+    await ApiService.post('/notifications/read', {});
+    setNotifications(current => current.map(item => ({ ...item, readAt: item.readAt || new Date().toISOString() })));
+    setUnreadCount(0);
+  };
+
+  return (
+    <>
+      <IconButton color="inherit" onClick={openMenu} title="Notifications" sx={{ mr: 1 }}>
+        <Badge badgeContent={unreadCount} color="error" max={99}>
+          <NotificationsIcon />
+        </Badge>
+      </IconButton>
+      <Menu
+        anchorEl={anchorEl}
+        open={!!anchorEl}
+        onClose={() => setAnchorEl(null)}
+        PaperProps={{ sx: { width: 360, maxHeight: 480 } }}
+      >
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', px: 2, py: 1 }}>
+          <Typography variant="subtitle1">Notifications</Typography>
+          <Box>
+            <Button size="small" onClick={() => { setAnchorEl(null); setPreferencesOpen(true); }}>
+              Email settings
+            </Button>
+            <Button size="small" onClick={markAllRead} disabled={unreadCount === 0}>Mark all read</Button>
+          </Box>
+        </Box>
+        <Divider />
+        {notifications.length === 0 && (
+          <MenuItem disabled>You're all caught up.</MenuItem>
+        )}
+        {notifications.map(notification => (
+          <MenuItem
+            key={notification._id}
+            onClick={() => markRead(notification).catch(() => {})}
+            sx={{ whiteSpace: 'normal', bgcolor: notification.readAt ? 'inherit' : 'action.hover' }}
+          >
+            <ListItemText
+              primary={notification.message}
+              secondary={[
+                notification.actor && notification.actor.firstName
+                  ? `${notification.actor.firstName} ${notification.actor.lastName}`
+                  : null,
+                new Date(notification.createdAt).toLocaleString(),
+              ].filter(Boolean).join(' · ')}
+            />
+          </MenuItem>
+        ))}
+      </Menu>
+      <NotificationPreferencesDialog open={preferencesOpen} onClose={() => setPreferencesOpen(false)} />
+    </>
+  );
+};
+
+// Global Search Component
+const SEARCH_FACETS = [
+  { key: 'status', label: (bucket) => bucket.label || bucket.value },
+  { key: 'priority', label: (bucket) => bucket.value },
+  { key: 'project', label: (bucket) => bucket.label || 'No project' },
+  { key: 'assignedTo', label: (bucket) => bucket.label || 'Unassigned' },
+  { key: 'tag', label: (bucket) => `#${bucket.value}` },
+];
+
+const Highlighted = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (segment.match
+      ? <mark key={index}>{segment.text}</mark>
+      : <React.Fragment key={index}>{segment.text}</React.Fragment>))}
+  </>
+);
+
+const GlobalSearch = ({ onSelectTask, onSelectProject }) => {
+  const [query, setQuery] = useState('');
+  const [facetFilters, setFacetFilters] = useState({});
+  const [results, setResults] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState('');
+  const latestRequest = useRef(0);
+
+  // Debounced; responses to superseded queries are dropped
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults(null);
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      const requestId = ++latestRequest.current;
+      const params = new URLSearchParams({ q: query, limit: 8 });
+      Object.entries(facetFilters).forEach(([key, value]) => params.append(key, value));
+
+      ApiService.get(`/search?${params}`)
+        .then(data => {
+          if (requestId !== latestRequest.current) return;
+          setResults(data);
+          setError('');
+        })
+        .catch(error => {
+          if (requestId === latestRequest.current) setError(error.message);
+        });
+    }, 250);
+
+    return () => clearTimeout(timer);
+  }, [query, facetFilters]);
+
+  const toggleFacet = (key, value) => {
+    const { [key]: current, ...rest } = facetFilters;
+    setFacetFilters(current === value ? rest : { ...rest, [key]: value });
+  };
+
+  const close = () => setOpen(false);
+
+  const taskResults = results ? results.tasks.results : [];
+  const projectResults = results ? results.projects.results : [];
+
+  return (
+    <ClickAwayListener onClickAway={close}>
+      <Box sx={{ position: 'relative', mr: 2, width: 380 }}>
+        <TextField
+          size="small"
+          fullWidth
+          placeholder="Search tasks, comments and projects"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') close();
+          }}
+          sx={{ bgcolor: 'background.paper', borderRadius: 1 }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" />
+              </InputAdornment>
+            ),
+          }}
+        />
+        {open && query.trim().length >= 2 && (
+          <Paper
+            elevation={8}
+            sx={{ position: 'absolute', top: '100%', left: 0, right: 0, mt: 1, maxHeight: 520, overflow: 'auto', zIndex: 'modal' }}
+          >
+            {error && <Alert severity="error">{error}</Alert>}
+            {!results && !error && <LinearProgress />}
+            {results && (
+              <>
+                <Box sx={{ px: 2, pt: 1.5 }}>
+                  {SEARCH_FACETS.map(facet => results.tasks.facets[facet.key].slice(0, 5).map(bucket => (
+                    <Chip
+                      key={`${facet.key}-${bucket.value}`}
+                      label={`${facet.label(bucket)} (${bucket.count})`}
+                      size="small"
+                      color={facetFilters[facet.key] === bucket.value ? 'primary' : 'default'}
+                      onClick={() => toggleFacet(facet.key, bucket.value)}
+                      disabled={bucket.value === null}
+                      sx={{ mr: 0.5, mb: 0.5 }}
+                    />
+                  )))}
+                </Box>
+
+                <Typography variant="overline" sx={{ px: 2 }}>
+                  Tasks ({results.tasks.total})
+                </Typography>
+                <List dense disablePadding>
+                  {taskResults.map(task => (
+                    <ListItem
+                      button
+                      key={task._id}
+                      onClick={() => {
+                        close();
+                        onSelectTask(task._id);
+                      }}
+                    >
+                      <ListItemText
+                        primary={<Highlighted segments={task.highlights.title} />}
+                        secondary={
+                          <>
+                            {[task.project && task.project.name, task.status, task.priority].filter(Boolean).join(' · ')}
+                            {task.highlights.description && (
+                              <Box component="span" display="block">
+                                <Highlighted segments={task.highlights.description} />
+                              </Box>
+                            )}
+                            {task.highlights.comments.map(comment => (
+                              <Box component="span" display="block" key={comment._id}>
+                                {comment.user ? `${comment.user.firstName}: ` : ''}
+                                <Highlighted segments={comment.text} />
+                              </Box>
+                            ))}
+                          </>
+                        }
+                      />
+                    </ListItem>
+                  ))}
+                  {taskResults.length === 0 && (
+                    <ListItem>
+                      <ListItemText secondary="No matching tasks" />
+                    </ListItem>
+                  )}
+                </List>
+
+                <Divider />
+                <Typography variant="overline" sx={{ px: 2 }}>
+                  Projects ({results.projects.total})
+                </Typography>
+                <List dense disablePadding>
+                  {projectResults.map(project => (
+                    <ListItem
+                      button
+                      key={project._id}
+                      onClick={() => {
+                        close();
+                        onSelectProject(project._id);
+                      }}
+                    >
+                      <ListItemText
+                        primary={<Highlighted segments={project.highlights.name} />}
+                        secondary={project.highlights.description && <Highlighted segments={project.highlights.description} />}
+                      />
+                    </ListItem>
+                  ))}
+                  {projectResults.length === 0 && (
+                    <ListItem>
+                      <ListItemText secondary="No matching projects" />
+                    </ListItem>
+                  )}
+                </List>
+              </>
+            )}
+          </Paper>
+        )}
+      </Box>
+    </ClickAwayListener>
+  );
+};
+
+// Main App Component
+const MainApp = () => {
+  const { user, logout } = useAuth();
+  // Links to a saved view (?view=<id>) open on the task board
+  const [currentView, setCurrentView] = useState(() => (
+    new URLSearchParams(window.location.search).has('view') ? 'tasks' : 'dashboard'
+  ));
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  const [sessionsOpen, setSessionsOpen] = useState(false);
+  const [securityOpen, setSecurityOpen] = useState(false);
+  const [apiKeysOpen, setApiKeysOpen] = useState(false);
+  // Task or project picked from search, for the board to open; the nonce re-triggers a repeat pick
+  const [boardFocus, setBoardFocus] = useState(null);
+  const [reminder, setReminder] = useState(null);
+  const [verificationNotice, setVerificationNotice] = useState('');
+
+  // Due date reminders for tasks assigned to the signed-in user
+  useRealtimeEvents((event) => {
+    if (!['task.due_soon', 'task.overdue'].includes(event.type)) return;
+    if (refId(event.data.assignedTo) !== (user.id || user._id)) return;
+
+    const due = new Date(event.data.dueDate).toLocaleString();
+    setReminder(event.type === 'task.overdue'
+      ? `"${event.data.title}" is overdue (was due ${due})`
+      : `"${event.data.title}" is due ${due}`);
+  });
+
+  const menuItems = [
+    { id: 'dashboard', label: 'Dashboard', icon: <DashboardIcon /> },
+    { id: 'tasks', label: 'Tasks', icon: <TaskIcon /> },
+    { id: 'timesheets', label: 'Timesheets', icon: <TimeIcon /> },
+    { id: 'projects', label: 'Projects', icon: <ProjectIcon /> },
+    { id: 'team', label: 'Team', icon: <PeopleIcon /> },
+    { id: 'analytics', label: 'Analytics', icon: <AnalyticsIcon /> },
+  ];
+
+  const renderContent = () => {
+    switch (currentView) {
+      case 'dashboard':
+        return <Dashboard />;
+      case 'tasks':
+        return <TaskBoard focus={boardFocus} />;
+      case 'timesheets':
+        return <Timesheets />;
+      case 'projects':
+        return <Typography variant="h4">Projects Management (Coming Soon)</Typography>;
+      case 'team':
+        return <Typography variant="h4">Team Management (Coming Soon)</Typography>;
+      case 'analytics':
+        return <Typography variant="h4">Advanced Analytics (Coming Soon)</Typography>;
+      default:
+        return <Dashboard />;
+    }
+  };
+
+  return (
     <Box sx={{ display: 'flex' }}>
       {/* App Bar */}
       <AppBar position="fixed" sx={{ zIndex: (theme) => theme.zIndex.drawer + 1 }}>
@@ -579,13 +4207,33 @@ const MainApp = () => {
           <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
             IBM Full-Stack JavaScript Capstone
           </Typography>
+          <GlobalSearch
+            onSelectTask={(taskId) => {
+              setBoardFocus({ taskId, nonce: Date.now() });
+              setCurrentView('tasks');
+            }}
+            onSelectProject={(projectId) => {
+              setBoardFocus({ projectId, nonce: Date.now() });
+              setCurrentView('tasks');
+            }}
+          />
           <Box sx={{ display: 'flex', alignItems: 'center' }}>
             <Typography variant="body2" sx={{ mr: 2 }}>
               Welcome, {user.firstName}!
             </Typography>
+            <NotificationBell />
             <Avatar sx={{ mr: 2 }}>
               {user.firstName[0]}{user.lastName[0]}
             </Avatar>
+            <IconButton color="inherit" onClick={() => setSessionsOpen(true)} title="Active sessions">
+              <AccountIcon />
+            </IconButton>
+            <IconButton color="inherit" onClick={() => setSecurityOpen(true)} title="Account security">
+              <SecurityIcon />
+            </IconButton>
+            <IconButton color="inherit" onClick={() => setApiKeysOpen(true)} title="API keys">
+              <KeyIcon />
+            </IconButton>
             <Button color="inherit" onClick={logout} startIcon={<LogoutIcon />}>
               Logout
             </Button>
@@ -593,6 +4241,19 @@ const MainApp = () => {
         </Toolbar>
       </AppBar>
 
+      <SessionsDialog open={sessionsOpen} onClose={() => setSessionsOpen(false)} />
+      <AccountSecurityDialog open={securityOpen} onClose={() => setSecurityOpen(false)} />
+      <ApiKeysDialog open={apiKeysOpen} onClose={() => setApiKeysOpen(false)} />
+
+      <Snackbar
+        open={!!reminder}
+        autoHideDuration={10000}
+        onClose={() => setReminder(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert severity="warning" onClose={() => setReminder(null)}>{reminder}</Alert>
+      </Snackbar>
+
       {/* Sidebar */}
       <Drawer
         variant="permanent"
@@ -623,6 +4284,25 @@ const MainApp = () => {
       {/* Main Content */}
       <Box component="main" sx={{ flexGrow: 1, p: 3 }}>
         <Toolbar />
+        {user.emailVerified === false && (
+          <Alert
+            severity="info"
+            sx={{ mb: 2 }}
+            action={
+              <Button
+                color="inherit"
+                size="small"
+                onClick={() => ApiService.post('/auth/resend-verification', {})
+                  .then(data => setVerificationNotice(data.message))
+                  .catch(error => setVerificationNotice(error.message))}
+              >
+                Resend email
+              </Button>
+            }
+          >
+            {verificationNotice || `Please confirm your email address (${user.email}).`}
+          </Alert>
+        )}
         {renderContent()}
       </Box>
     </Box>
@@ -641,7 +4321,12 @@ const App = () => {
     );
   }
 
-  return isAuthenticated ? <MainApp /> : <LoginForm />;
+  return (
+    <>
+      {isAuthenticated ? <MainApp /> : <LoginForm />}
+      <EmailVerificationLink />
+    </>
+  );
 };
 
 // Root App with Providers